@@ -0,0 +1,157 @@
+/**
+ * Servidor CalDAV mínimo en memoria para probar el destino CalDAV sin un servidor real
+ * Responde PROPFIND, REPORT, PUT, GET y DELETE sobre una sola colección, con ETags
+ * y con las respuestas multistatus escapadas como las devuelven Nextcloud o Radicale
+ */
+
+import http from 'http';
+
+/**
+ * Ruta de la colección del calendario en el servidor
+ */
+const COLLECTION_PATH = '/calendars/rutina/';
+
+/**
+ * Respuesta de PROPFIND: la colección es un calendario
+ */
+const collectionResponse = `<?xml version="1.0" encoding="utf-8"?>
+<d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">
+  <d:response>
+    <d:href>${COLLECTION_PATH}</d:href>
+    <d:propstat>
+      <d:prop><d:resourcetype><d:collection/><cal:calendar/></d:resourcetype></d:prop>
+      <d:status>HTTP/1.1 200 OK</d:status>
+    </d:propstat>
+  </d:response>
+</d:multistatus>`;
+
+/**
+ * Inicia el servidor en un puerto libre de 127.0.0.1
+ * @param {Object} [options={}] - Opciones del servidor
+ * @param {string|null} [options.authorization=null] - Cabecera Authorization exigida; null no la comprueba
+ * @returns {Promise<Object>} Servidor iniciado ({ url, resources, requests, editResource, close })
+ */
+export async function startCalDavStandIn(options = {}) {
+  const { authorization = null } = options;
+  const resources = new Map();
+  const requests = [];
+  let revision = 0;
+
+  const nextEtag = () => `"rev-${++revision}"`;
+
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) {
+      body += chunk;
+    }
+
+    // Las rutas se guardan tal como llegan (codificadas), igual que los href que devuelve el servidor
+    const path = new URL(req.url, 'http://localhost').pathname;
+    requests.push({ method: req.method, path, headers: req.headers });
+
+    const send = (status, headers = {}, content = '') => {
+      res.writeHead(status, headers);
+      res.end(content);
+    };
+
+    if (authorization && req.headers.authorization !== authorization) {
+      return send(401);
+    }
+    if (!path.startsWith(COLLECTION_PATH)) {
+      return send(404);
+    }
+
+    const isCollection = path === COLLECTION_PATH;
+    const resource = resources.get(path);
+
+    switch (req.method) {
+      case 'PROPFIND':
+        return isCollection
+          ? send(207, { 'Content-Type': 'application/xml; charset=utf-8' }, collectionResponse)
+          : send(404);
+
+      case 'REPORT':
+        return send(207, { 'Content-Type': 'application/xml; charset=utf-8' }, buildMultistatus(resources));
+
+      case 'PUT': {
+        if (resource && req.headers['if-none-match'] === '*') {
+          return send(412);
+        }
+        const etag = nextEtag();
+        resources.set(path, { data: body, etag });
+        return send(resource ? 204 : 201, { ETag: etag });
+      }
+
+      case 'GET':
+        return resource
+          ? send(200, { 'Content-Type': 'text/calendar; charset=utf-8', ETag: resource.etag }, resource.data)
+          : send(404);
+
+      case 'DELETE':
+        return send(resources.delete(path) ? 204 : 404);
+
+      default:
+        return send(405);
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}${COLLECTION_PATH}`,
+    resources,
+    requests,
+    /**
+     * Simula la edición de un recurso desde otro cliente (cambia su ETag)
+     * @param {string} url - URL del recurso
+     * @param {Function} edit - Recibe el contenido .ics y devuelve el nuevo
+     */
+    editResource(url, edit) {
+      const path = new URL(url).pathname;
+      const resource = resources.get(path);
+      resources.set(path, { data: edit(resource.data), etag: nextEtag() });
+    },
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+/**
+ * Construye la respuesta multistatus de un REPORT con todos los recursos
+ * El contenido .ics se escapa como texto XML (entidades y saltos de línea CR como &#13;)
+ * @param {Map<string, Object>} resources - Recursos por ruta ({ data, etag })
+ * @returns {string} Cuerpo XML
+ */
+function buildMultistatus(resources) {
+  const responses = [...resources].map(([path, { data, etag }]) => `
+  <d:response>
+    <d:href>${encodeXml(path)}</d:href>
+    <d:propstat>
+      <d:prop>
+        <d:getetag>${encodeXml(etag)}</d:getetag>
+        <cal:calendar-data>${encodeXml(data).replace(/\r/g, '&#13;')}</cal:calendar-data>
+      </d:prop>
+      <d:status>HTTP/1.1 200 OK</d:status>
+    </d:propstat>
+  </d:response>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">${responses.join('')}
+</d:multistatus>`;
+}
+
+/**
+ * Escapa un texto para incluirlo en un elemento XML
+ * @param {string} value - Texto
+ * @returns {string} Texto escapado
+ */
+function encodeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export default {
+  startCalDavStandIn,
+};
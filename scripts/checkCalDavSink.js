@@ -0,0 +1,130 @@
+/**
+ * Prueba del destino CalDAV contra el servidor local de scripts/caldavStandIn.js
+ *
+ * Recorre el ciclo completo del destino sin un servidor real: verificación (PROPFIND),
+ * creación (PUT con If-None-Match), rechazo del evento repetido (412), lectura del rango
+ * (REPORT con el .ics escapado en XML), detección de ediciones por ETag y eliminación (DELETE).
+ * Termina con código de salida 1 si alguna comprobación falla.
+ *
+ * Uso: npm run check-caldav
+ */
+
+import assert from 'assert/strict';
+import { startCalDavStandIn } from './caldavStandIn.js';
+
+// El destino lee la zona horaria de la configuración, que se valida al importarla
+process.env.TIMEZONE ||= 'America/Bogota';
+process.env.TEMPLATE_SOURCE = 'file';
+process.env.TEMPLATE_FILE ||= 'templates/weekly-routine.example.yaml';
+process.env.CALENDAR_SINKS = 'caldav';
+process.env.CALDAV_URL ||= 'http://127.0.0.1/';
+
+const { createCalDavSink } = await import('../src/services/sinks/caldavSink.js');
+const { parseTimeToDate, calculateEndDate, createNotionDateObject, getNextWeekStart } = await import('../src/utils/dateHelper.js');
+const { SinkError } = await import('../src/utils/errorHandler.js');
+const { createLogger } = await import('../src/utils/logger.js');
+const { default: config } = await import('../src/config/environment.js');
+
+const logger = createLogger('CalDavCheck');
+
+const USERNAME = 'rutina';
+const PASSWORD = 'secreto';
+
+/**
+ * Prepara un evento como los de generateWeek
+ * El nombre y las notas llevan caracteres que se escapan en XML y en iCalendar
+ * @param {Date} day - Día del evento
+ * @returns {Object} Evento preparado (event: { templateId, name, date, notes }) y sus instantes (start, end)
+ */
+function buildEvent(day) {
+  const start = parseTimeToDate(day, '07:30', config.timezone);
+  const end = calculateEndDate(start, 45);
+
+  return {
+    event: {
+      templateId: 'tpl-gym/1',
+      name: 'Gym & <cardio> "zona 2"',
+      date: createNotionDateObject(start, end, config.timezone),
+      notes: 'Calentar; estirar, y luego\nrutina A',
+    },
+    start,
+    end,
+  };
+}
+
+/**
+ * Ejecuta las comprobaciones contra un servidor local nuevo
+ * @returns {Promise<void>}
+ * @throws {Error} Si alguna comprobación falla
+ */
+async function checkCalDavSink() {
+  const server = await startCalDavStandIn({
+    authorization: `Basic ${Buffer.from(`${USERNAME}:${PASSWORD}`).toString('base64')}`,
+  });
+  const check = (description, condition) => {
+    assert.ok(condition, description);
+    logger.info(`✓ ${description}`);
+  };
+
+  try {
+    const sink = createCalDavSink({ url: server.url, username: USERNAME, password: PASSWORD });
+    const day = getNextWeekStart();
+    const { event, start, end } = buildEvent(day);
+
+    await sink.verify();
+    check('PROPFIND reconoce la colección de calendario', server.requests.some(req => req.method === 'PROPFIND'));
+
+    const created = await sink.createEvent(event);
+    check('PUT crea el recurso con su ETag', server.resources.size === 1 && Boolean(created.revision));
+    check('PUT envía If-None-Match: *', server.requests.at(-1).headers['if-none-match'] === '*');
+
+    const duplicate = await sink.createEvent(event).then(() => null, error => error);
+    check(
+      'Un evento repetido se rechaza con 412 sin sobrescribirse',
+      duplicate instanceof SinkError && duplicate.status === 412 && server.resources.size === 1
+    );
+
+    const rangeStart = new Date(day.getTime() - 24 * 60 * 60 * 1000);
+    const rangeEnd = new Date(day.getTime() + 2 * 24 * 60 * 60 * 1000);
+    const [found, ...others] = await sink.findEventsInRange(rangeStart, rangeEnd);
+    check('REPORT devuelve el evento creado', found && others.length === 0);
+    check('La URL del recurso se resuelve desde el href', found.id === created.id);
+    check('El nombre se decodifica del XML y del .ics', found.name === event.name);
+    check('La fila de plantilla se lee de X-TEMPLATE-ID', found.templateId === event.templateId);
+    check(
+      'Las horas coinciden con las del evento',
+      found.start.getTime() === start.getTime() && found.end.getTime() === end.getTime()
+    );
+
+    let status = await sink.getEventStatus(created);
+    check('Un evento sin cambios no se marca como editado', !status.archived && !status.edited);
+
+    server.editResource(created.id, data => data.replace('SUMMARY:', 'SUMMARY:Editado: '));
+    status = await sink.getEventStatus(created);
+    check('Un cambio de ETag se detecta como edición', !status.archived && status.edited);
+
+    await sink.archiveEvent(created.id);
+    status = await sink.getEventStatus(created);
+    check('DELETE elimina el recurso', server.resources.size === 0 && status.archived);
+
+    await sink.archiveEvent(created.id);
+    check('Eliminar un recurso que ya no existe no es un error', true);
+
+    const unauthorized = await createCalDavSink({ url: server.url, username: USERNAME, password: 'otra' })
+      .verify()
+      .then(() => null, error => error);
+    check('Credenciales inválidas dan un SinkError con HTTP 401', unauthorized?.status === 401);
+  } finally {
+    await server.close();
+  }
+}
+
+checkCalDavSink()
+  .then(() => {
+    logger.info('✓ El destino CalDAV pasó todas las comprobaciones');
+    process.exit(0);
+  })
+  .catch(error => {
+    logger.error(`La comprobación del destino CalDAV falló: ${error.message}`);
+    process.exit(1);
+  });
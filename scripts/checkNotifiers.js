@@ -0,0 +1,223 @@
+/**
+ * Prueba de los canales de notificación contra los servidores locales de scripts/notifyStandIn.js
+ *
+ * Recorre los canales sin servicios reales: webhook JSON con reintentos (429 con Retry-After
+ * y 503), errores que no se reintentan (400), formatos de Slack y Discord, y email por SMTP con
+ * STARTTLS, TLS directo, AUTH PLAIN/LOGIN y credenciales inválidas. Termina comprobando qué
+ * canales avisan según el estado de la ejecución.
+ * Termina con código de salida 1 si alguna comprobación falla.
+ *
+ * Uso: npm run check-notify
+ */
+
+import assert from 'assert/strict';
+import { startWebhookStandIn, startSmtpStandIn } from './notifyStandIn.js';
+
+// Los canales leen la configuración, que se valida al importarla
+process.env.TIMEZONE ||= 'America/Bogota';
+process.env.TEMPLATE_SOURCE = 'file';
+process.env.TEMPLATE_FILE ||= 'templates/weekly-routine.example.yaml';
+process.env.CALENDAR_SINKS = 'file';
+// Solo para aceptar el certificado autofirmado del servidor SMTP local (ver notifyStandIn.js)
+process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
+
+const { createWebhookNotifier, createChatNotifier } = await import('../src/services/notifiers/webhookNotifier.js');
+const { createEmailNotifier } = await import('../src/services/notifiers/emailNotifier.js');
+const { sendRunNotifications } = await import('../src/services/notifiers/index.js');
+const { buildRunSummary } = await import('../src/services/notifiers/summary.js');
+const { NotificationError } = await import('../src/utils/errorHandler.js');
+const { createLogger } = await import('../src/utils/logger.js');
+
+const logger = createLogger('NotifyCheck');
+
+const USERNAME = 'rutina';
+const PASSWORD = 'secreto';
+
+/**
+ * Resultado de generateWeek con un evento fallido
+ * El nombre lleva tildes para probar la codificación del asunto y del cuerpo
+ */
+const partialResult = {
+  success: true,
+  runId: 'run-check-notify',
+  created: 4,
+  alreadyPresent: 1,
+  failed: 1,
+  duration: '1.25',
+  errors: [{ event: 'Sesión de lectura', week: '2026-W44', sink: 'notion', error: 'HTTP 409' }],
+};
+
+/**
+ * Comprueba una condición y la registra
+ * @param {string} description - Qué se comprueba
+ * @param {boolean} condition - Resultado
+ * @throws {AssertionError} Si la condición es falsa
+ */
+function check(description, condition) {
+  assert.ok(condition, description);
+  logger.info(`✓ ${description}`);
+}
+
+/**
+ * Crea el canal de email contra un servidor SMTP local
+ * @param {Object} server - Servidor iniciado con startSmtpStandIn
+ * @param {Object} [overrides={}] - Cambios sobre la configuración del canal
+ * @returns {Object} Canal de email
+ */
+function buildEmailNotifier(server, overrides = {}) {
+  return createEmailNotifier({
+    host: server.host,
+    port: server.port,
+    secure: false,
+    username: USERNAME,
+    password: PASSWORD,
+    from: 'Rutina <rutina@example.com>',
+    to: ['ana@example.com', 'Luis <luis@example.com>'],
+    on: 'failure',
+    ...overrides,
+  });
+}
+
+/**
+ * Comprueba el webhook JSON y los formatos de chat
+ * @param {Object} summary - Resumen de la ejecución
+ * @returns {Promise<void>}
+ */
+async function checkWebhooks(summary) {
+  const server = await startWebhookStandIn();
+
+  try {
+    server.respondWith({ status: 429, headers: { 'Retry-After': '1' } }, { status: 503 });
+    await createWebhookNotifier({ url: server.url, on: 'always' }).send(summary);
+    const [first, second, third] = server.requests;
+    check('El webhook reintenta 429 y 503 hasta recibir 2xx', server.requests.length === 3 && Boolean(third));
+    check('El reintento tras 429 respeta Retry-After', second.at - first.at >= 1000);
+    check(
+      'El webhook envía el resumen como JSON',
+      third.headers['content-type'] === 'application/json' &&
+        third.body.event === 'run.finished' && third.body.runId === summary.runId && third.body.status === 'partial'
+    );
+
+    server.requests.length = 0;
+    server.respondWith({ status: 400 });
+    const rejected = await createWebhookNotifier({ url: server.url, on: 'always' })
+      .send(summary)
+      .then(() => null, error => error);
+    check(
+      'Un 400 no se reintenta y da un NotificationError con su estado',
+      rejected instanceof NotificationError && rejected.status === 400 && server.requests.length === 1
+    );
+
+    server.requests.length = 0;
+    await createChatNotifier({ url: server.url, format: 'slack', on: 'always' }).send(summary);
+    await createChatNotifier({ url: server.url, format: 'discord', on: 'always' }).send(summary);
+    const [slack, discord] = server.requests.map(req => req.body);
+    check('Slack recibe { text } con el título en negrita', slack.text?.startsWith('*⚠') && slack.text.includes(summary.runId));
+    check('Discord recibe { content } con el título en negrita', discord.content?.startsWith('**⚠'));
+  } finally {
+    await server.close();
+  }
+}
+
+/**
+ * Comprueba el email por SMTP con STARTTLS, TLS directo y los dos mecanismos de AUTH
+ * @param {Object} summary - Resumen de la ejecución
+ * @returns {Promise<void>}
+ */
+async function checkEmail(summary) {
+  const starttls = await startSmtpStandIn({ username: USERNAME, password: PASSWORD });
+  try {
+    await buildEmailNotifier(starttls).send(summary);
+    const [message] = starttls.messages;
+    check('STARTTLS cifra la sesión antes de autenticarse', message?.encrypted && starttls.commands.indexOf('STARTTLS') < starttls.commands.indexOf('AUTH PLAIN'));
+    check('El certificado se pide para el host configurado (SNI)', message.servername === starttls.host);
+    check('AUTH PLAIN usa el usuario configurado', message.mechanism === 'PLAIN' && message.user === USERNAME);
+    check(
+      'El mensaje llega a todos los destinatarios',
+      message.from === 'rutina@example.com' && message.to.join(',') === 'ana@example.com,luis@example.com'
+    );
+    check('El asunto con tildes se codifica y se decodifica', message.subject.startsWith('[Auto Notion Scheduler] ⚠'));
+    check('El cuerpo en base64 incluye la ejecución y el evento fallido', message.text.includes(summary.runId) && message.text.includes('Sesión de lectura'));
+
+    const invalid = await buildEmailNotifier(starttls, { password: 'otra' })
+      .send(summary)
+      .then(() => null, error => error);
+    check(
+      'Credenciales inválidas dan un NotificationError con el código 535',
+      invalid instanceof NotificationError && invalid.status === 535 && starttls.messages.length === 1
+    );
+  } finally {
+    await starttls.close();
+  }
+
+  const loginOnly = await startSmtpStandIn({ username: USERNAME, password: PASSWORD, mechanisms: ['LOGIN'] });
+  try {
+    await buildEmailNotifier(loginOnly).send(summary);
+    check('Un servidor que solo ofrece LOGIN recibe AUTH LOGIN', loginOnly.messages[0]?.mechanism === 'LOGIN');
+  } finally {
+    await loginOnly.close();
+  }
+
+  const direct = await startSmtpStandIn({ username: USERNAME, password: PASSWORD, secure: true, startTls: false });
+  try {
+    await buildEmailNotifier(direct, { secure: true }).send(summary);
+    check(
+      'TLS directo (puerto 465) envía sin STARTTLS',
+      direct.messages[0]?.encrypted && !direct.commands.includes('STARTTLS')
+    );
+  } finally {
+    await direct.close();
+  }
+}
+
+/**
+ * Comprueba que cada canal avisa solo cuando su condición lo pide
+ * @returns {Promise<void>}
+ */
+async function checkConditions() {
+  const webhook = await startWebhookStandIn();
+  const smtp = await startSmtpStandIn({ username: USERNAME, password: PASSWORD });
+
+  try {
+    const notifiers = [
+      createWebhookNotifier({ url: webhook.url, on: 'success' }),
+      buildEmailNotifier(smtp, { on: 'failure' }),
+    ];
+
+    const results = await sendRunNotifications(partialResult, { weeks: ['2026-W44'], notifiers });
+    check(
+      'Una ejecución con fallos avisa por email (failure) y no por el webhook (success)',
+      results.length === 1 && results[0].channel === 'email' && results[0].sent &&
+        smtp.messages.length === 1 && webhook.requests.length === 0
+    );
+
+    await sendRunNotifications({ ...partialResult, failed: 0, errors: [] }, { notifiers });
+    check('Una ejecución correcta avisa por el webhook y no por email', webhook.requests.length === 1 && smtp.messages.length === 1);
+  } finally {
+    await webhook.close();
+    await smtp.close();
+  }
+}
+
+/**
+ * Ejecuta todas las comprobaciones contra servidores locales nuevos
+ * @returns {Promise<void>}
+ * @throws {Error} Si alguna comprobación falla
+ */
+async function checkNotifiers() {
+  const summary = buildRunSummary(partialResult, ['2026-W44']);
+
+  await checkWebhooks(summary);
+  await checkEmail(summary);
+  await checkConditions();
+}
+
+checkNotifiers()
+  .then(() => {
+    logger.info('✓ Los canales de notificación pasaron todas las comprobaciones');
+    process.exit(0);
+  })
+  .catch(error => {
+    logger.error(`La comprobación de las notificaciones falló: ${error.message}`);
+    process.exit(1);
+  });
@@ -3,6 +3,7 @@
  * Carga y valida todas las variables necesarias para la aplicación
  */
 
+import { AsyncLocalStorage } from 'async_hooks';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
@@ -19,10 +20,21 @@ dotenv.config({ path: resolve(__dirname, '../../.env') });
  * @throws {Error} Si falta alguna variable requerida
  */
 function validateEnvironment() {
+  // Con perfiles, cada perfil se valida al cargar PROFILES_FILE (ver config/profiles.js)
+  if (process.env.PROFILES_FILE) {
+    return;
+  }
+  
+  // Con una plantilla en archivo no hace falta la base de datos de plantillas,
+  // y Calendar DB solo se necesita si Notion es uno de los destinos
+  const templateSource = process.env.TEMPLATE_SOURCE || 'notion';
+  const sinks = parseList(process.env.CALENDAR_SINKS || 'notion');
+  const usesNotion = templateSource !== 'file' || sinks.includes('notion') || process.env.EXCEPTIONS_DB_ID;
   const required = [
-    'NOTION_API_KEY',
-    'TEMPLATE_DB_ID',
-    'CALENDAR_DB_ID'
+    ...(usesNotion ? ['NOTION_API_KEY'] : []),
+    templateSource === 'file' ? 'TEMPLATE_FILE' : 'TEMPLATE_DB_ID',
+    ...(sinks.includes('notion') ? ['CALENDAR_DB_ID'] : []),
+    ...(sinks.includes('caldav') ? ['CALDAV_URL'] : []),
   ];
 
   const missing = required.filter(key => !process.env[key]);
@@ -35,24 +47,199 @@ function validateEnvironment() {
   }
 }
 
+/**
+ * Convierte una variable de entorno separada por comas en una lista
+ * @param {string} [value] - Valor de la variable
+ * @returns {string[]} Valores sin espacios ni vacíos
+ */
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
 // Validar al cargar el módulo
 validateEnvironment();
 
 /**
- * Configuración centralizada de la aplicación
+ * Configuración base de la aplicación (variables de entorno)
  */
-export const config = {
+const baseConfig = {
   notion: {
     apiKey: process.env.NOTION_API_KEY,
     templateDbId: process.env.TEMPLATE_DB_ID,
     calendarDbId: process.env.CALENDAR_DB_ID,
+    // Base de datos opcional de excepciones (festivos, vacaciones...)
+    exceptionsDbId: process.env.EXCEPTIONS_DB_ID || null,
+    // Límite de la API (~3 peticiones por segundo) e intentos ante errores transitorios
+    rateLimit: {
+      requestsPerSecond: Number(process.env.NOTION_REQUESTS_PER_SECOND || 3),
+      concurrency: Number(process.env.NOTION_CONCURRENCY || 3),
+      maxAttempts: Number(process.env.NOTION_MAX_ATTEMPTS || 5),
+    },
+    // Propiedades de la fila de plantilla que se copian en cada evento ("Nombre" o "Plantilla=Calendario")
+    passThrough: parseList(process.env.PASS_THROUGH_PROPERTIES),
+    // Nombres de las propiedades en cada base de datos (campo lógico -> propiedad de Notion)
+    properties: {
+      template: {
+        name: process.env.TEMPLATE_PROPERTY_NAME || 'Name',
+        day: process.env.TEMPLATE_PROPERTY_DAY || 'Day',
+        time: process.env.TEMPLATE_PROPERTY_TIME || 'Time',
+        duration: process.env.TEMPLATE_PROPERTY_DURATION || 'Duration',
+        notes: process.env.TEMPLATE_PROPERTY_NOTES || 'Notes',
+        timezone: process.env.TEMPLATE_PROPERTY_TIMEZONE || 'Timezone',
+        recurrence: process.env.TEMPLATE_PROPERTY_RECURRENCE || 'Recurrence',
+        tags: process.env.TEMPLATE_PROPERTY_TAGS || 'Tags',
+        routine: process.env.TEMPLATE_PROPERTY_ROUTINE || 'Routine',
+      },
+      calendar: {
+        name: process.env.CALENDAR_PROPERTY_NAME || 'Name',
+        date: process.env.CALENDAR_PROPERTY_DATE || 'Date',
+        notes: process.env.CALENDAR_PROPERTY_NOTES || 'Notes',
+        // Propiedad de texto donde se guarda el ID de la fila de plantilla
+        templateId: process.env.CALENDAR_PROPERTY_TEMPLATE_ID || 'Template ID',
+      },
+      exceptions: {
+        name: process.env.EXCEPTIONS_PROPERTY_NAME || 'Name',
+        date: process.env.EXCEPTIONS_PROPERTY_DATE || 'Date',
+        action: process.env.EXCEPTIONS_PROPERTY_ACTION || 'Action',
+        tags: process.env.EXCEPTIONS_PROPERTY_TAGS || 'Tags',
+        routine: process.env.EXCEPTIONS_PROPERTY_ROUTINE || 'Routine',
+      },
+    },
+  },
+  templates: {
+    // De dónde se leen las tareas de plantilla: notion (Template DB) o file
+    source: process.env.TEMPLATE_SOURCE || 'notion',
+    // Archivo de plantilla (.yaml, .yml, .json o .ics) para TEMPLATE_SOURCE=file
+    file: process.env.TEMPLATE_FILE || null,
+    // Copiar el contenido de la página de plantilla (checklists, toggles...) en cada evento de Notion
+    copyBody: process.env.COPY_TEMPLATE_BODY !== 'false',
   },
   logging: {
     level: process.env.LOG_LEVEL || 'info',
+    // Formato de los archivos de log: text (una línea legible) o json (una línea JSON)
+    format: process.env.LOG_FORMAT || 'text',
+    dir: process.env.LOG_DIR || 'logs',
+    // Rotación: al superar el tamaño (en MB) o al cambiar el día; se conservan LOG_MAX_FILES archivos
+    maxSizeMb: Number(process.env.LOG_MAX_SIZE_MB || 5),
+    maxFiles: Number(process.env.LOG_MAX_FILES || 14),
+  },
+  runs: {
+    // Directorio donde se guarda el manifiesto de cada ejecución (para rollback)
+    dir: process.env.RUNS_DIR || 'data/runs',
+    // Historial de ejecuciones (una línea JSON por ejecución)
+    historyFile: process.env.HISTORY_FILE || 'data/history.jsonl',
+    // Archivo de bloqueo que impide dos generaciones a la vez
+    lockFile: process.env.RUN_LOCK_FILE || 'data/generate.lock',
+  },
+  daemon: {
+    // Cuándo generar en modo daemon (minuto hora día mes día-semana), evaluado en TIMEZONE
+    cron: process.env.SCHEDULE_CRON || '0 18 * * 0',
+    // Marca de la última ejecución programada que terminó bien
+    stateFile: process.env.DAEMON_STATE_FILE || 'data/daemon-state.json',
+    // Al arrancar, recuperar las ejecuciones perdidas mientras el daemon estuvo detenido
+    catchUp: process.env.DAEMON_CATCH_UP !== 'false',
+  },
+  metrics: {
+    // Archivo donde se escriben las métricas de Prometheus tras cada ejecución
+    // (ej: para el textfile collector de node_exporter); la API HTTP las sirve en /metrics
+    file: process.env.METRICS_FILE || null,
+  },
+  server: {
+    // API HTTP de control (npm run server); por defecto solo escucha en local
+    host: process.env.SERVER_HOST || '127.0.0.1',
+    port: Number(process.env.SERVER_PORT || 3000),
+    // Token que deben enviar las peticiones (Authorization: Bearer <token>)
+    token: process.env.SERVER_TOKEN || null,
   },
   timezone: process.env.TIMEZONE || 'UTC',
+  profiles: {
+    // Archivo .yaml o .json con varios perfiles (plantilla -> calendario); ver config/profiles.js
+    file: process.env.PROFILES_FILE || null,
+  },
+  conflicts: {
+    // Qué hacer si un evento se solapa con otro: warn, skip o shift
+    policy: process.env.CONFLICT_POLICY || 'warn',
+    // Eventos existentes de día completo: ignore (no ocupan horario) o block (ocupan el día)
+    allDayEvents: process.env.CONFLICT_ALL_DAY_EVENTS || 'ignore',
+  },
+  sinks: {
+    // Destinos donde se crean los eventos, separados por comas: notion, caldav, file
+    targets: parseList(process.env.CALENDAR_SINKS || 'notion'),
+    caldav: {
+      // URL de la colección del calendario (ej: https://servidor/dav/calendars/ana/rutina/)
+      url: process.env.CALDAV_URL || null,
+      username: process.env.CALDAV_USERNAME || null,
+      password: process.env.CALDAV_PASSWORD || null,
+    },
+    file: {
+      // Archivo JSON donde el destino "file" guarda los eventos
+      path: process.env.CALENDAR_FILE || 'data/calendar.json',
+    },
+  },
+  notifications: {
+    // Cada canal se activa al configurarlo; "on" indica cuándo avisar: always, failure o success
+    webhook: {
+      // Webhook genérico que recibe el resumen de la ejecución como JSON
+      url: process.env.NOTIFY_WEBHOOK_URL || null,
+      on: process.env.NOTIFY_WEBHOOK_ON || 'always',
+    },
+    chat: {
+      // Webhook entrante de Slack o Discord (formato slack o discord)
+      url: process.env.NOTIFY_CHAT_URL || null,
+      format: process.env.NOTIFY_CHAT_FORMAT || 'slack',
+      on: process.env.NOTIFY_CHAT_ON || 'always',
+    },
+    email: {
+      host: process.env.SMTP_HOST || null,
+      port: Number(process.env.SMTP_PORT || 587),
+      // true para TLS directo (puerto 465); si no, se usa STARTTLS cuando el servidor lo ofrece
+      secure: process.env.SMTP_SECURE === 'true',
+      username: process.env.SMTP_USERNAME || null,
+      password: process.env.SMTP_PASSWORD || null,
+      from: process.env.NOTIFY_EMAIL_FROM || null,
+      to: parseList(process.env.NOTIFY_EMAIL_TO),
+      on: process.env.NOTIFY_EMAIL_ON || 'failure',
+    },
+  },
+  ics: {
+    // Archivo .ics donde exportar los eventos generados (opcional)
+    file: process.env.ICS_FILE || null,
+  },
+  exceptions: {
+    // Archivo local de excepciones (.json o .ics)
+    file: process.env.EXCEPTIONS_FILE || null,
+    // Países cuyos festivos se aplican como excepciones (ej: "CO,US")
+    holidayCountries: parseList(process.env.HOLIDAY_COUNTRIES),
+    // Qué hacer en los festivos: sin valores se omite el día completo
+    holidaySkipTags: parseList(process.env.HOLIDAY_SKIP_TAGS),
+    holidayRoutine: process.env.HOLIDAY_ROUTINE || null,
+  },
 };
 
+/**
+ * Configuración del perfil en curso (se propaga a todas las llamadas asíncronas)
+ */
+const profileConfig = new AsyncLocalStorage();
+
+/**
+ * Configuración centralizada de la aplicación
+ * Dentro de runWithConfig devuelve la configuración del perfil en curso; fuera, la base
+ */
+export const config = new Proxy(baseConfig, {
+  get: (target, key) => Reflect.get(profileConfig.getStore() || target, key),
+});
+
+/**
+ * Ejecuta una función con otra configuración (la de un perfil)
+ * Todo lo que lea config dentro de la función, incluidas sus llamadas asíncronas, ve esa configuración
+ * @param {Object} overrides - Configuración completa del perfil (ver config/profiles.js)
+ * @param {Function} fn - Función a ejecutar
+ * @returns {*} Resultado de la función
+ */
+export function runWithConfig(overrides, fn) {
+  return profileConfig.run(overrides, fn);
+}
+
 export default config;
 
 
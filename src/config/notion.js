@@ -14,13 +14,46 @@ export const notionClient = new Client({
 });
 
 /**
- * IDs de las bases de datos de Notion
+ * Token del cliente principal (el de NOTION_API_KEY)
+ */
+const baseApiKey = config.notion.apiKey;
+
+/**
+ * Clientes de los perfiles con otro token de integración, por token
+ */
+const profileClients = new Map();
+
+/**
+ * Obtiene el cliente de Notion del perfil en curso
+ * Los perfiles con el mismo token que el entorno comparten el cliente principal
+ * @returns {Client} Cliente de Notion
+ */
+export function getNotionClient() {
+  const apiKey = config.notion.apiKey;
+  if (!apiKey || apiKey === baseApiKey) {
+    return notionClient;
+  }
+
+  if (!profileClients.has(apiKey)) {
+    profileClients.set(apiKey, new Client({ auth: apiKey }));
+  }
+  return profileClients.get(apiKey);
+}
+
+/**
+ * IDs de las bases de datos de Notion (del perfil en curso)
  */
 export const databases = {
-  template: config.notion.templateDbId,
-  calendar: config.notion.calendarDbId,
+  get template() {
+    return config.notion.templateDbId;
+  },
+  get calendar() {
+    return config.notion.calendarDbId;
+  },
+  // Opcional: solo si se configura EXCEPTIONS_DB_ID
+  get exceptions() {
+    return config.notion.exceptionsDbId;
+  },
 };
 
 export default notionClient;
-
-
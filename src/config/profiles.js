@@ -0,0 +1,296 @@
+/**
+ * Perfiles de planificación
+ * Un perfil une una plantilla con un calendario y tiene su propia zona horaria,
+ * token de integración y opciones. Se definen en PROFILES_FILE (.yaml, .yml o .json):
+ *
+ *   profiles:
+ *     - name: ana
+ *       timezone: America/Bogota
+ *       notionApiKeyEnv: NOTION_API_KEY_ANA   # el token se lee de esa variable
+ *       templateDbId: ...
+ *       calendarDbId: ...
+ *       conflictPolicy: skip
+ *
+ * Lo que un perfil no define se toma de las variables de entorno. Durante la
+ * generación de un perfil, config devuelve su configuración (ver runWithConfig).
+ */
+
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { parse as parseYaml } from 'yaml';
+import { ValidationError } from '../utils/errorHandler.js';
+import { runWithLogContext } from '../utils/logger.js';
+import { isValidTimezone } from '../utils/dateHelper.js';
+import config, { runWithConfig } from './environment.js';
+
+/**
+ * Campos de un perfil y la opción de configuración que reemplazan
+ * Cualquier campo puede leerse de una variable de entorno con el sufijo Env
+ * (ej: notionApiKeyEnv: NOTION_API_KEY_ANA), para no escribir secretos en el archivo
+ */
+const PROFILE_FIELDS = {
+  timezone: 'timezone',
+  notionApiKey: 'notion.apiKey',
+  templateDbId: 'notion.templateDbId',
+  calendarDbId: 'notion.calendarDbId',
+  exceptionsDbId: 'notion.exceptionsDbId',
+  // Nombres de propiedades ({ template: { name: 'Nombre' }, calendar: {...} }); se combinan con los del entorno
+  properties: 'notion.properties',
+  passThroughProperties: 'notion.passThrough',
+  templateSource: 'templates.source',
+  templateFile: 'templates.file',
+  copyTemplateBody: 'templates.copyBody',
+  sinks: 'sinks.targets',
+  // { url, username, password }; se combinan con los del entorno
+  caldav: 'sinks.caldav',
+  calendarFile: 'sinks.file.path',
+  conflictPolicy: 'conflicts.policy',
+  conflictAllDayEvents: 'conflicts.allDayEvents',
+  icsFile: 'ics.file',
+  exceptionsFile: 'exceptions.file',
+  holidayCountries: 'exceptions.holidayCountries',
+  holidaySkipTags: 'exceptions.holidaySkipTags',
+  holidayRoutine: 'exceptions.holidayRoutine',
+  // Canales de aviso del perfil ({ webhook, chat, email }); se combinan con los del entorno
+  notifications: 'notifications',
+};
+
+/**
+ * Campos que son listas (aceptan también un texto separado por comas)
+ */
+const LIST_FIELDS = ['sinks', 'holidayCountries', 'holidaySkipTags', 'passThroughProperties'];
+
+/**
+ * Perfiles ya cargados (el archivo se lee una sola vez por proceso)
+ */
+let loadedProfiles = null;
+
+/**
+ * Carga los perfiles de PROFILES_FILE
+ * @returns {Array<Object>} Perfiles ({ name, config }); vacío si no hay PROFILES_FILE
+ * @throws {ValidationError} Si el archivo no existe o algún perfil no es válido
+ */
+export function loadProfiles() {
+  if (loadedProfiles) {
+    return loadedProfiles;
+  }
+
+  const filePath = config.profiles.file;
+  if (!filePath) {
+    loadedProfiles = [];
+    return loadedProfiles;
+  }
+
+  let data;
+  try {
+    const content = readFileSync(filePath, 'utf8');
+    data = extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : parseYaml(content);
+  } catch (error) {
+    const reason = error.code === 'ENOENT' ? 'el archivo no existe' : error.message;
+    throw new ValidationError(`No se pudo leer ${filePath}: ${reason}`, 'profilesFile');
+  }
+
+  const entries = Array.isArray(data) ? data : data?.profiles;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new ValidationError(`${filePath} debe contener una lista de perfiles (o "profiles: [...]")`, 'profilesFile');
+  }
+
+  const names = new Set();
+  loadedProfiles = entries.map((entry, index) => {
+    const profile = buildProfile(entry, `${filePath}, perfil ${index + 1}`);
+    if (names.has(profile.name)) {
+      throw new ValidationError(`${filePath}: perfil repetido: ${profile.name}`, 'profile');
+    }
+    names.add(profile.name);
+    return profile;
+  });
+
+  return loadedProfiles;
+}
+
+/**
+ * Selecciona los perfiles a ejecutar
+ * @param {string[]} [names=[]] - Nombres de los perfiles; sin nombres se ejecutan todos
+ * @returns {Array<Object>} Perfiles seleccionados; vacío si no hay PROFILES_FILE
+ * @throws {ValidationError} Si se pide un perfil que no existe o no hay perfiles configurados
+ */
+export function selectProfiles(names = []) {
+  const profiles = loadProfiles();
+
+  if (names.length === 0) {
+    return profiles;
+  }
+  if (profiles.length === 0) {
+    throw new ValidationError('Se pidieron perfiles pero no hay PROFILES_FILE configurado', 'profile');
+  }
+
+  return names.map(name => {
+    const profile = profiles.find(p => p.name === name);
+    if (!profile) {
+      throw new ValidationError(
+        `No existe el perfil ${name} (disponibles: ${profiles.map(p => p.name).join(', ')})`,
+        'profile'
+      );
+    }
+    return profile;
+  });
+}
+
+/**
+ * Busca un perfil por nombre
+ * @param {string} name - Nombre del perfil
+ * @returns {Object} Perfil
+ * @throws {ValidationError} Si el perfil no existe
+ */
+export function getProfile(name) {
+  return selectProfiles([name])[0];
+}
+
+/**
+ * Ejecuta una función con la configuración de un perfil
+ * Las líneas de log de la función llevan el nombre del perfil
+ * @param {Object|null} profile - Perfil; con null se usa la configuración del entorno
+ * @param {Function} fn - Función a ejecutar
+ * @returns {*} Resultado de la función
+ */
+export function runWithProfile(profile, fn) {
+  if (!profile) {
+    return fn();
+  }
+  return runWithConfig(profile.config, () => runWithLogContext({ profile: profile.name }, fn));
+}
+
+/**
+ * Construye y valida un perfil
+ * @param {Object} entry - Perfil tal como aparece en el archivo
+ * @param {string} label - Ubicación del perfil (para los mensajes de error)
+ * @returns {Object} Perfil ({ name, config })
+ * @throws {ValidationError} Si falta algún dato o tiene un valor inválido
+ */
+function buildProfile(entry, label) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new ValidationError(`${label}: se esperaba un objeto con name`, 'profile');
+  }
+
+  const name = String(entry.name || '').trim();
+  if (!/^[\w-]+$/.test(name)) {
+    throw new ValidationError(`${label}: name es obligatorio y solo admite letras, números, "-" y "_"`, 'profile');
+  }
+
+  const values = resolveEnvReferences(entry, `${label} (${name})`);
+  const profileConfig = copyConfig(config);
+
+  for (const [field, value] of Object.entries(values)) {
+    if (field === 'name') {
+      continue;
+    }
+    if (!PROFILE_FIELDS[field]) {
+      throw new ValidationError(`${label} (${name}): campo desconocido: ${field}`, field);
+    }
+
+    const list = LIST_FIELDS.includes(field) && typeof value === 'string'
+      ? value.split(',').map(item => item.trim()).filter(Boolean)
+      : value;
+    setPath(profileConfig, PROFILE_FIELDS[field], list);
+  }
+
+  validateProfileConfig(profileConfig, `${label} (${name})`);
+  return { name, config: profileConfig };
+}
+
+/**
+ * Reemplaza los campos con sufijo Env por el valor de la variable de entorno indicada
+ * @param {Object} values - Campos del perfil (o de una de sus secciones)
+ * @param {string} label - Ubicación del perfil
+ * @returns {Object} Campos con los valores resueltos
+ * @throws {ValidationError} Si la variable no está definida
+ */
+function resolveEnvReferences(values, label) {
+  const resolved = {};
+
+  for (const [key, value] of Object.entries(values)) {
+    if (key.endsWith('Env') && typeof value === 'string') {
+      if (!process.env[value]) {
+        throw new ValidationError(`${label}: la variable de entorno ${value} (${key}) no está definida`, key);
+      }
+      resolved[key.slice(0, -3)] = process.env[value];
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      resolved[key] = resolveEnvReferences(value, label);
+    } else {
+      resolved[key] = value;
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Comprueba que la configuración de un perfil tenga lo necesario para generar
+ * (las mismas reglas que validateEnvironment para las variables de entorno)
+ * @param {Object} profileConfig - Configuración del perfil
+ * @param {string} label - Ubicación del perfil
+ * @throws {ValidationError} Si falta algún dato
+ */
+function validateProfileConfig(profileConfig, label) {
+  const { notion, templates, sinks } = profileConfig;
+  const usesNotion = templates.source !== 'file' || sinks.targets.includes('notion') || notion.exceptionsDbId;
+  const required = [
+    ...(usesNotion ? [['notionApiKey', notion.apiKey]] : []),
+    templates.source === 'file' ? ['templateFile', templates.file] : ['templateDbId', notion.templateDbId],
+    ...(sinks.targets.includes('notion') ? [['calendarDbId', notion.calendarDbId]] : []),
+    ...(sinks.targets.includes('caldav') ? [['caldav.url', sinks.caldav.url]] : []),
+  ];
+
+  const missing = required.filter(([, value]) => !value).map(([field]) => field);
+  if (missing.length > 0) {
+    throw new ValidationError(`${label}: faltan ${missing.join(', ')}`, missing[0]);
+  }
+
+  if (!isValidTimezone(profileConfig.timezone)) {
+    throw new ValidationError(`${label}: zona horaria inválida: ${profileConfig.timezone}`, 'timezone');
+  }
+}
+
+/**
+ * Copia profunda de la configuración (solo objetos y listas simples)
+ * @param {Object} source - Configuración a copiar
+ * @returns {Object} Copia independiente
+ */
+function copyConfig(source) {
+  if (Array.isArray(source)) {
+    return [...source];
+  }
+  if (!source || typeof source !== 'object') {
+    return source;
+  }
+  return Object.fromEntries(Object.keys(source).map(key => [key, copyConfig(source[key])]));
+}
+
+/**
+ * Asigna un valor en una ruta de la configuración
+ * Los objetos se combinan con los valores existentes en lugar de reemplazarlos
+ * @param {Object} target - Configuración
+ * @param {string} path - Ruta separada por puntos (ej: "notion.apiKey")
+ * @param {*} value - Valor a asignar
+ */
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => object[key], target);
+
+  if (value && typeof value === 'object' && !Array.isArray(value) && parent[last] && typeof parent[last] === 'object') {
+    for (const [key, nested] of Object.entries(value)) {
+      setPath(parent[last], key, nested);
+    }
+    return;
+  }
+
+  parent[last] = value;
+}
+
+export default {
+  loadProfiles,
+  selectProfiles,
+  getProfile,
+  runWithProfile,
+};
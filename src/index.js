@@ -5,6 +5,10 @@
 
 import { createLogger } from './utils/logger.js';
 import { generateWeek } from './jobs/generateWeek.js';
+import { startDaemon } from './jobs/daemon.js';
+import { startServer } from './jobs/server.js';
+import { parseGenerateOptions } from './utils/cliArgs.js';
+import { loadProfiles } from './config/profiles.js';
 import config from './config/environment.js';
 
 const logger = createLogger('Main');
@@ -22,30 +26,95 @@ async function main() {
     
     // Mostrar configuración (sin datos sensibles)
     logger.info('Configuración cargada:');
-    logger.info(`  - Template DB: ${config.notion.templateDbId.substring(0, 8)}...`);
-    logger.info(`  - Calendar DB: ${config.notion.calendarDbId.substring(0, 8)}...`);
-    logger.info(`  - Timezone: ${config.timezone}`);
+    const profiles = loadProfiles();
+    if (profiles.length > 0) {
+      logger.info(`  - Perfiles (${config.profiles.file}):`);
+      for (const profile of profiles) {
+        logger.info(`    · ${profile.name}: ${profile.config.sinks.targets.join(', ')} (${profile.config.timezone})`);
+      }
+    } else {
+      if (config.templates.source === 'file') {
+        logger.info(`  - Plantilla: ${config.templates.file}`);
+      } else {
+        logger.info(`  - Template DB: ${config.notion.templateDbId.substring(0, 8)}...`);
+      }
+      if (config.sinks.targets.includes('notion')) {
+        logger.info(`  - Calendar DB: ${config.notion.calendarDbId.substring(0, 8)}...`);
+      }
+      logger.info(`  - Destinos: ${config.sinks.targets.join(', ')}`);
+      logger.info(`  - Timezone: ${config.timezone}`);
+    }
     logger.info(`  - Log Level: ${config.logging.level}`);
     logger.info('');
     
+    const options = parseGenerateOptions();
+    
+    // Modo daemon y/o API HTTP: el proceso sigue activo hasta recibir SIGTERM
+    if (options.daemon || options.server) {
+      const { daemon, server, cron, target, ...generateOptions } = options;
+      await Promise.all([
+        daemon && startDaemon({ cron, generateOptions }),
+        server && startServer({ generateOptions }),
+      ]);
+      process.exit(0);
+    }
+    
     // Ejecutar generación de semana
-    const result = await generateWeek();
+    const result = await generateWeek(options);
     
     // Mostrar resumen final
-    if (result.success) {
+    if (result.success && result.dryRun) {
+      logger.info('');
+      logger.info('✓ Dry-run completado, no se escribió nada en Notion');
+      logger.info(`  - Eventos planificados: ${result.planned.length}`);
+      logger.info(`  - Duración: ${result.duration}s`);
+    } else if (result.success) {
       logger.info('');
       logger.info('✓ Proceso completado exitosamente');
+      if (result.weeks && result.weeks.length > 1) {
+        for (const week of result.weeks) {
+          logger.info(`  - ${week.profile ? `[${week.profile}] ` : ''}${week.week}: ${week.created} creados, ${week.alreadyPresent} ya presentes, ${week.failed} fallidos`);
+        }
+      }
+      if (result.sinks && result.sinks.length > 1) {
+        for (const sink of result.sinks) {
+          logger.info(`  - ${sink.profile ? `[${sink.profile}] ` : ''}${sink.sink}: ${sink.created} creados, ${sink.alreadyPresent} ya presentes, ${sink.failed} fallidos`);
+        }
+      }
       logger.info(`  - Eventos creados: ${result.created}`);
+      if (result.alreadyPresent > 0) {
+        logger.info(`  - Eventos ya presentes: ${result.alreadyPresent}`);
+      }
       if (result.failed > 0) {
         logger.warn(`  - Eventos fallidos: ${result.failed}`);
       }
+      if (result.icsFile) {
+        logger.info(`  - Eventos exportados a ICS: ${result.exported} (${result.icsFile})`);
+      }
+      if (result.skipped && result.skipped.length > 0) {
+        logger.info(`  - Omitidos por excepciones: ${result.skipped.length}`);
+      }
+      if (result.conflicts && result.conflicts.length > 0) {
+        logger.warn(`  - Conflictos de horario: ${result.conflicts.length}`);
+      }
       logger.info(`  - Duración: ${result.duration}s`);
+    } else if (result.profiles) {
+      logger.error('');
+      logger.error('✗ Proceso completado con errores en algunos perfiles');
+      for (const profile of result.profiles.filter(p => !p.success)) {
+        logger.error(`  - ${profile.profile}: ${profile.error}`);
+      }
     } else {
       logger.error('');
       logger.error('✗ Proceso completado con errores');
       logger.error(`  - Error: ${result.error}`);
     }
     
+    // Un perfil fallido no detiene a los demás, pero la ejecución debe terminar con error
+    if (!result.success) {
+      process.exit(1);
+    }
+    
   } catch (error) {
     logger.error('Error fatal en la aplicación', error);
     process.exit(1);
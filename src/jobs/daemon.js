@@ -0,0 +1,244 @@
+/**
+ * Job daemon: genera la semana según una expresión cron sin depender del cron del sistema
+ *
+ * - La expresión (SCHEDULE_CRON o --cron) se evalúa en la zona horaria configurada
+ * - Tras cada ejecución correcta se guarda una marca (ver daemonStateService); al
+ *   arrancar, las ejecuciones perdidas mientras estuvo detenido se recuperan en una sola
+ * - SIGTERM/SIGINT esperan a que termine la generación en curso antes de salir
+ */
+
+import { addWeeks, format, startOfWeek } from 'date-fns';
+import { fromZonedTime } from 'date-fns-tz';
+import { createLogger } from '../utils/logger.js';
+import { parseCron, getNextRun, getRunsBetween, countRunsBetween } from '../utils/cron.js';
+import { getNextWeekStart, getZonedNow, formatIsoWeek } from '../utils/dateHelper.js';
+import { loadDaemonState, saveDaemonState } from '../services/daemonStateService.js';
+import { enqueueRun, waitForRun } from './runQueue.js';
+import config from '../config/environment.js';
+
+const logger = createLogger('Daemon');
+
+/**
+ * Espera máxima de un temporizador; las esperas largas se trocean para
+ * no superar el límite de setTimeout y corregir saltos del reloj
+ */
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+/**
+ * Calcula las semanas que habrían generado las ejecuciones perdidas
+ * Cada ejecución genera la semana siguiente a la suya y las semanas que ya terminaron
+ * no se recuperan, así que solo cuentan las ejecuciones de la semana pasada y de esta:
+ * basta con buscar la primera de cada una en lugar de recorrer todas las perdidas
+ * @param {Object} cron - Expresión parseada
+ * @param {Date} since - Última ejecución programada que se hizo (exclusive)
+ * @param {string} timezone - Zona horaria de la expresión
+ * @param {Date} [now=new Date()] - Instante actual
+ * @returns {Date[]} Lunes de las semanas a recuperar, en orden
+ */
+function getCatchUpWeeks(cron, since, timezone, now = new Date()) {
+  const thisWeek = startOfWeek(getZonedNow(timezone, now), { weekStartsOn: 1 });
+  const weeks = [];
+
+  for (const weekStart of [addWeeks(thisWeek, -1), thisWeek]) {
+    const windowStart = fromZonedTime(weekStart, timezone);
+    const windowEnd = fromZonedTime(addWeeks(weekStart, 1), timezone);
+    const after = since > windowStart ? since : new Date(windowStart.getTime() - 1);
+    const run = getNextRun(cron, after, timezone);
+
+    if (run && run < windowEnd && run <= now) {
+      weeks.push(getNextWeekStart(getZonedNow(timezone, run)));
+    }
+  }
+
+  return weeks;
+}
+
+/**
+ * Arranca el daemon y lo mantiene hasta recibir SIGTERM o SIGINT
+ * @param {Object} [options={}] - Opciones del daemon
+ * @param {string} [options.cron=config.daemon.cron] - Expresión cron de las ejecuciones
+ * @param {Object} [options.generateOptions={}] - Opciones para generateWeek (sin target)
+ * @returns {Promise<void>} Se resuelve cuando el daemon se detiene
+ * @throws {ValidationError} Si la expresión cron no es válida
+ */
+export async function startDaemon(options = {}) {
+  const expression = options.cron || config.daemon.cron;
+  const generateOptions = options.generateOptions || {};
+  const timezone = config.timezone;
+  const cron = parseCron(expression);
+
+  let timer = null;
+  let running = null;
+  let stopping = false;
+  let resolveStopped;
+  const stopped = new Promise(resolve => { resolveStopped = resolve; });
+
+  logger.info('========================================');
+  logger.info('Modo daemon');
+  logger.info(`Programación: ${expression} (${timezone})`);
+  logger.info('========================================');
+
+  /**
+   * Ejecuta una generación, salvo que ya haya otra en curso
+   * @param {Date} scheduledAt - Ejecución programada que se cubre
+   * @param {Object} [target={}] - Semana(s) objetivo (vacío: la próxima semana)
+   * @returns {Promise<void>}
+   */
+  async function runGeneration(scheduledAt, target = {}) {
+    if (running) {
+      logger.warn(`⚠ Se omite la ejecución de las ${scheduledAt.toISOString()}: la anterior sigue en curso`);
+      return;
+    }
+
+    running = (async () => {
+      try {
+        // Se comparte la cola con la API HTTP: si ya se está generando esa semana se espera a esa ejecución
+        const { run } = enqueueRun({ ...generateOptions, target });
+        const finished = await waitForRun(run.id);
+
+        if (finished.status === 'completed' && finished.result.failed === 0) {
+          await saveDaemonState({
+            lastScheduledAt: scheduledAt.toISOString(),
+            lastSuccessAt: new Date().toISOString(),
+            lastRunId: finished.id,
+          });
+          logger.info(`✓ Ejecución ${finished.id} completada`);
+        } else {
+          logger.warn(`⚠ La ejecución ${finished.id} no terminó bien; se reintentará al reiniciar el daemon`);
+        }
+      } catch (error) {
+        // Un fallo no detiene el daemon: la ejecución queda pendiente para el catch-up
+        logger.error(`Error en la ejecución programada: ${error.message}`);
+      } finally {
+        running = null;
+      }
+    })();
+
+    await running;
+  }
+
+  /**
+   * Recupera las ejecuciones perdidas desde la última marca guardada
+   * @returns {Promise<void>}
+   */
+  async function catchUp() {
+    const state = await loadDaemonState();
+
+    if (!state.lastScheduledAt) {
+      logger.info('No hay ejecuciones anteriores registradas, se espera a la siguiente programada');
+      return;
+    }
+
+    const since = new Date(state.lastScheduledAt);
+    const now = new Date();
+    const missedCount = countRunsBetween(cron, since, now, timezone);
+    if (missedCount === 0) {
+      logger.info(`✓ Sin ejecuciones pendientes (última: ${state.lastScheduledAt})`);
+      return;
+    }
+
+    const [lastMissed] = getRunsBetween(cron, since, now, timezone, 1);
+    const weeks = getCatchUpWeeks(cron, since, timezone, now);
+    logger.warn(`⚠ ${missedCount} ejecuciones perdidas desde ${state.lastScheduledAt}`);
+
+    if (weeks.length === 0) {
+      // Las semanas de esas ejecuciones ya pasaron: no tiene sentido generarlas
+      logger.warn('⚠ Las semanas de las ejecuciones perdidas ya terminaron, no se recuperan');
+      await saveDaemonState({ ...state, lastScheduledAt: lastMissed.toISOString() });
+      return;
+    }
+
+    logger.info(`Recuperando semanas: ${weeks.map(formatIsoWeek).join(', ')}`);
+    await runGeneration(lastMissed, {
+      from: format(weeks[0], 'yyyy-MM-dd'),
+      to: format(weeks[weeks.length - 1], 'yyyy-MM-dd'),
+    });
+  }
+
+  /**
+   * Programa la siguiente ejecución a partir de ahora
+   */
+  function scheduleNext() {
+    if (stopping) {
+      return;
+    }
+
+    const next = getNextRun(cron, new Date(), timezone);
+    if (!next) {
+      logger.error(`La expresión "${expression}" no tiene ejecuciones en los próximos años, el daemon se detiene`);
+      stop();
+      return;
+    }
+
+    logger.info(`Siguiente ejecución: ${format(getZonedNow(timezone, next), 'yyyy-MM-dd HH:mm')} (${timezone})`);
+    wait(next);
+  }
+
+  /**
+   * Espera hasta una ejecución programada y la lanza
+   * @param {Date} next - Instante de la ejecución
+   */
+  function wait(next) {
+    const remaining = next.getTime() - Date.now();
+
+    timer = setTimeout(async () => {
+      timer = null;
+      if (Date.now() < next.getTime()) {
+        wait(next);
+        return;
+      }
+
+      await runGeneration(next);
+      scheduleNext();
+    }, Math.min(Math.max(remaining, 0), MAX_TIMER_MS));
+  }
+
+  /**
+   * Detiene el daemon, esperando a la generación en curso
+   * @param {string} [signal] - Señal recibida
+   * @returns {Promise<void>}
+   */
+  async function stop(signal) {
+    if (stopping) {
+      return;
+    }
+    stopping = true;
+
+    if (signal) {
+      logger.info(`Señal ${signal} recibida, deteniendo el daemon...`);
+    }
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (running) {
+      logger.info('Esperando a que termine la generación en curso...');
+      await running;
+    }
+
+    process.off('SIGTERM', onSignal);
+    process.off('SIGINT', onSignal);
+    logger.info('✓ Daemon detenido');
+    resolveStopped();
+  }
+
+  /**
+   * Manejador de SIGTERM y SIGINT
+   * @param {string} signal - Señal recibida
+   */
+  function onSignal(signal) {
+    stop(signal);
+  }
+
+  process.on('SIGTERM', onSignal);
+  process.on('SIGINT', onSignal);
+
+  if (config.daemon.catchUp) {
+    await catchUp();
+  }
+  scheduleNext();
+
+  return stopped;
+}
+
+export default startDaemon;
@@ -2,136 +2,962 @@
  * Job principal: Generación de la semana en Notion
  * 
  * Este módulo contiene la lógica principal para:
- * 1. Obtener las tareas de plantilla desde Template DB
- * 2. Calcular las fechas de la próxima semana
- * 3. Crear eventos en Calendar DB con las fechas calculadas
+ * 1. Obtener las tareas de plantilla (Template DB o archivo, ver templateSources)
+ * 2. Calcular las fechas de la semana objetivo (por defecto, la próxima)
+ * 3. Detectar los eventos que ya existen para evitar duplicados
+ * 4. Detectar solapamientos y aplicar la política de conflictos
+ * 5. Crear los eventos en los destinos configurados (Calendar DB, CalDAV, archivo)
+ *
+ * Puede generar una semana concreta o un rango de semanas (backfill)
  */
 
-import { createLogger } from '../utils/logger.js';
-import {
-  getTemplateTasks,
-  createCalendarEventsBatch,
-  verifyConnection,
-} from '../services/notionService.js';
+import { extname } from 'path';
+import { addDays, format } from 'date-fns';
+
+import { createLogger, runWithLogContext } from '../utils/logger.js';
+import { verifyConnection } from '../services/notionService.js';
 import {
-  getNextWeekDayDate,
+  getZonedNow,
+  isValidTimezone,
+  getWeekDayDate,
+  resolveTargetWeeks,
+  formatIsoWeek,
+  expandDayNames,
   parseTimeToDate,
   calculateEndDate,
   createNotionDateObject,
+  getDateKey,
+  parseNotionDate,
 } from '../utils/dateHelper.js';
+import { parseRecurrence, getOccurrencesInWeek } from '../utils/recurrence.js';
+import { resolveConflicts, CONFLICT_POLICIES, ALL_DAY_EVENT_MODES } from '../utils/conflictDetector.js';
+import { applyExceptions } from '../utils/exceptionCalendar.js';
+import { buildPlanEntry, formatPlanTable, writePlanFile } from '../utils/planPrinter.js';
+import { writeIcsFile } from '../utils/ics.js';
+import { fillPlaceholders } from '../utils/placeholders.js';
+import { parseGenerateOptions } from '../utils/cliArgs.js';
+import { createRunId, saveRunManifest } from '../services/runManifestService.js';
+import { acquireRunLock } from '../services/runLockService.js';
+import { appendHistoryEntry, hashTemplateTasks } from '../services/historyService.js';
+import { loadExceptions } from '../services/exceptionService.js';
+import { createTemplateSource } from '../services/templateSources/index.js';
+import { createSinks, createEventsBatch } from '../services/sinks/index.js';
+import { sendRunNotifications } from '../services/notifiers/index.js';
+import { selectProfiles, runWithProfile } from '../config/profiles.js';
+import { recordRunMetrics } from '../services/metricsService.js';
 import config from '../config/environment.js';
-import { handleError } from '../utils/errorHandler.js';
+import { handleError, ValidationError } from '../utils/errorHandler.js';
 
 const logger = createLogger('GenerateWeek');
 
 /**
- * Transforma una tarea de plantilla en un evento de calendario con fechas reales
+ * Calcula los días de la semana objetivo en los que ocurre una tarea de plantilla
+ * Sin regla de recurrencia la tarea ocurre una vez por cada día de su propiedad Day
+ * (uno o varios, ej: "Weekdays"); con regla puede ocurrir varios días o ninguno
  * @param {Object} task - Tarea de plantilla
+ * @param {Date} weekStart - Lunes de la semana objetivo
+ * @returns {Array<Object>} Ocurrencias de la tarea ({ task, dayDate })
+ */
+function getTaskOccurrences(task, weekStart) {
+  try {
+    const dayDates = task.recurrence
+      ? getOccurrencesInWeek(parseRecurrence(task.recurrence), weekStart, task.day)
+      : getTaskDayDates(task.day, weekStart);
+    
+    return dayDates.map(dayDate => ({ task, dayDate }));
+  } catch (error) {
+    logger.error(`Error al transformar tarea "${task.name}": ${error.message}`, { templateId: task.id });
+    throw error;
+  }
+}
+
+/**
+ * Numera las ocurrencias de cada fila de plantilla por fecha (marcador {{n}})
+ * @param {Array<Object>} occurrences - Ocurrencias de la semana ({ task, dayDate })
+ * @returns {Array<Object>} Las mismas ocurrencias, en el mismo orden, con n (1, 2, 3...)
+ */
+function numberOccurrences(occurrences) {
+  const numbers = new Map();
+  const counters = new Map();
+
+  for (const occurrence of [...occurrences].sort((a, b) => a.dayDate - b.dayDate)) {
+    const n = (counters.get(occurrence.task.id) || 0) + 1;
+    counters.set(occurrence.task.id, n);
+    numbers.set(occurrence, n);
+  }
+
+  return occurrences.map(occurrence => ({ ...occurrence, n: numbers.get(occurrence) }));
+}
+
+/**
+ * Transforma una ocurrencia de una tarea de plantilla en un evento de calendario
+ * Los marcadores del nombre y las notas ({{date}}, {{n}}...) se rellenan con los datos de la ocurrencia
+ * @param {Object} occurrence - Ocurrencia de la tarea
+ * @param {Object} occurrence.task - Tarea de plantilla
+ * @param {Date} occurrence.dayDate - Día en que ocurre
+ * @param {number} [occurrence.n=1] - Número de la ocurrencia de la fila en la semana
  * @returns {Object} Evento listo para crear en Calendar DB
  */
-function transformTaskToEvent(task) {
+function transformTaskToEvent({ task, dayDate, n = 1 }) {
   try {
-    // Obtener la fecha del día correspondiente en la próxima semana
-    const dayDate = getNextWeekDayDate(task.day);
+    // La zona horaria de la fila tiene prioridad sobre la global
+    const timezone = task.timezone || config.timezone;
+    if (!isValidTimezone(timezone)) {
+      throw new ValidationError(`Zona horaria no válida: ${timezone}`, 'timezone');
+    }
+    
+    if (!task.name) {
+      throw new ValidationError('La fila no tiene nombre', 'name');
+    }
+    if (!(task.duration > 0)) {
+      throw new ValidationError(`Duración no válida: ${task.duration} (debe ser mayor que 0 minutos)`, 'duration');
+    }
     
-    // Parsear la hora y crear la fecha de inicio completa
-    const startDate = parseTimeToDate(dayDate, task.time, config.timezone);
+    // Parsear la hora como reloj de pared en la zona horaria del evento
+    const startDate = parseTimeToDate(dayDate, task.time, timezone);
     
     // Calcular la fecha de fin basada en la duración
     const endDate = calculateEndDate(startDate, task.duration);
     
     // Crear el objeto de fecha compatible con Notion
-    const notionDate = createNotionDateObject(startDate, endDate, config.timezone);
+    const notionDate = createNotionDateObject(startDate, endDate, timezone);
+    
+    const context = { task, dayDate, start: startDate, end: endDate, timezone, n };
     
     return {
-      name: task.name,
+      templateId: task.id,
+      name: fillPlaceholders(task.name, context, 'Name'),
       date: notionDate,
-      notes: task.notes || `Generado automáticamente desde plantilla`,
+      notes: fillPlaceholders(task.notes || `Generado automáticamente desde plantilla`, context, 'Notes'),
+      // Solo las filas de Template DB (PASS_THROUGH_PROPERTIES); los destinos que no son Notion lo ignoran
+      ...(task.passThrough && { passThrough: task.passThrough }),
     };
   } catch (error) {
-    logger.error(`Error al transformar tarea "${task.name}": ${error.message}`);
+    logger.error(`Error al transformar tarea "${task.name}": ${error.message}`, {
+      templateId: task.id,
+      date: format(dayDate, 'yyyy-MM-dd'),
+    });
     throw error;
   }
 }
 
+/**
+ * Obtiene las fechas de la semana objetivo para el valor de la propiedad Day
+ * @param {string} dayValue - Día, días separados por comas o atajo ("Weekdays")
+ * @param {Date} weekStart - Lunes de la semana objetivo
+ * @returns {Date[]} Fechas de los días indicados
+ * @throws {Error} Si el valor está vacío o algún día no es válido
+ */
+function getTaskDayDates(dayValue, weekStart) {
+  const dayNames = expandDayNames(dayValue);
+  
+  if (dayNames.length === 0) {
+    throw new Error(`Día no válido: ${dayValue}`);
+  }
+  
+  return dayNames.map(dayName => getWeekDayDate(weekStart, dayName));
+}
+
+/**
+ * Construye la clave que identifica un evento generado: fila de plantilla + día
+ * @param {string} templateId - ID de la página de plantilla
+ * @param {Date} start - Fecha de inicio del evento
+ * @returns {string} Clave única del evento
+ */
+function buildEventKey(templateId, start) {
+  return `${templateId}:${getDateKey(start, config.timezone)}`;
+}
+
+/**
+ * Separa los eventos preparados entre los que faltan y los que ya existen en un destino
+ * @param {Array<Object>} events - Eventos preparados para la semana
+ * @param {Array<Object>} existingEvents - Eventos ya presentes en el destino
+ * @returns {Object} Eventos pendientes de crear y eventos ya presentes
+ */
+function partitionExistingEvents(events, existingEvents) {
+  const existingKeys = new Set(
+    existingEvents
+      .filter(event => event.templateId && event.start)
+      .map(event => buildEventKey(event.templateId, event.start))
+  );
+  
+  const missing = [];
+  const alreadyPresent = [];
+  
+  for (const event of events) {
+    // Se usa la fecha tal como se escribirá en Notion para comparar igual que al leerla
+    const start = parseNotionDate(event.date.start, event.date.time_zone, config.timezone);
+    
+    if (existingKeys.has(buildEventKey(event.templateId, start))) {
+      alreadyPresent.push(event);
+    } else {
+      missing.push(event);
+    }
+  }
+  
+  return { missing, alreadyPresent };
+}
+
+/**
+ * Genera (o previsualiza) los eventos de una semana
+ * @param {Array<Object>} templateTasks - Tareas de plantilla
+ * @param {Date} weekStart - Lunes de la semana objetivo
+ * @param {Object} options - Opciones de la ejecución
+ * @param {boolean} options.dryRun - Si es true no se escribe nada en Notion
+ * @param {boolean} options.icsOnly - Si es true los eventos solo se exportan a ICS
+ * @param {string} options.conflictPolicy - Política ante solapamientos (warn, skip, shift)
+ * @param {Array<Object>} options.exceptions - Excepciones del calendario (festivos, vacaciones...)
+ * @param {Array<Object>} options.sinks - Destinos de los eventos; el primero es el principal
+ * @param {Array<Object>} createdPages - Acumulador de las páginas creadas en la ejecución
+ * @returns {Promise<Object>} Resultado de la semana
+ */
+async function generateForWeek(templateTasks, weekStart, options, createdPages) {
+  const { dryRun, icsOnly, conflictPolicy, exceptions, sinks } = options;
+  const [primarySink] = sinks;
+  const week = formatIsoWeek(weekStart);
+  
+  logger.info('----------------------------------------');
+  logger.info(`Semana ${week} (${format(weekStart, 'yyyy-MM-dd')} a ${format(addDays(weekStart, 6), 'yyyy-MM-dd')})`);
+  
+  // Paso 3: Transformar tareas a eventos con fechas reales
+  logger.info('Paso 3/5: Transformando tareas a eventos...');
+  const occurrences = [];
+  const transformErrors = [];
+  
+  // Las filas de una rutina alternativa solo se usan en los días con excepción
+  const regularTasks = templateTasks.filter(task => !task.routine);
+  const routineTasks = templateTasks.filter(task => task.routine);
+  
+  for (const task of regularTasks) {
+    try {
+      occurrences.push(...getTaskOccurrences(task, weekStart));
+    } catch (error) {
+      transformErrors.push({ task, error });
+    }
+  }
+  
+  // Festivos y demás excepciones: se omiten o sustituyen las filas de esos días
+  const { occurrences: scheduled, skipped, swaps } = applyExceptions(
+    occurrences,
+    routineTasks,
+    exceptions,
+    weekStart
+  );
+  
+  for (const swap of swaps) {
+    logger.info(`✓ ${swap.date} (${swap.exception}): rutina "${swap.routine}" con ${swap.tasks} filas`);
+  }
+  if (skipped.length > 0) {
+    logger.info(`✓ ${skipped.length} eventos omitidos por excepciones`);
+    for (const item of skipped) {
+      logger.debug(`Omitido "${item.name}" el ${item.date}: ${item.exception}`, {
+        templateId: item.templateId,
+        date: item.date,
+      });
+    }
+  }
+  
+  const events = [];
+  for (const occurrence of numberOccurrences(scheduled)) {
+    try {
+      events.push(transformTaskToEvent(occurrence));
+    } catch (error) {
+      transformErrors.push({ task: occurrence.task, error });
+    }
+  }
+  
+  logger.info(`✓ ${events.length} eventos preparados para creación`);
+  
+  if (transformErrors.length > 0) {
+    logger.warn(`⚠ ${transformErrors.length} tareas tuvieron errores de transformación`);
+  }
+  
+  // Paso 4: Detectar eventos ya creados para la semana (re-ejecuciones)
+  logger.info('Paso 4/5: Buscando eventos ya generados...');
+  // Se amplía el rango un día por lado para cubrir diferencias de zona horaria;
+  // la coincidencia final se hace por fila de plantilla y día
+  const rangeStart = addDays(weekStart, -1);
+  const rangeEnd = addDays(weekStart, 8);
+  // El plan (duplicados y conflictos) se calcula contra el destino principal
+  const existingEvents = await primarySink.findEventsInRange(rangeStart, rangeEnd);
+  const { missing, alreadyPresent } = partitionExistingEvents(events, existingEvents);
+  
+  if (alreadyPresent.length > 0) {
+    logger.info(`✓ ${alreadyPresent.length} eventos ya presentes, se omitirán`);
+  }
+  
+  // Solapamientos entre filas de plantilla y contra eventos existentes
+  const { events: toCreate, conflicts } = resolveConflicts(
+    missing,
+    existingEvents,
+    conflictPolicy,
+    config.timezone,
+    { allDayEvents: config.conflicts.allDayEvents }
+  );
+  
+  for (const conflict of conflicts) {
+    const others = conflict.with.map(other => `"${other.name}"`).join(', ');
+    const action = conflict.action === 'shifted'
+      ? `movido a ${conflict.shiftedTo}`
+      : conflict.action === 'skipped' ? 'omitido' : 'se creará igual';
+    logger.warn(`⚠ Conflicto: "${conflict.event}" (${conflict.start}) se solapa con ${others}: ${action}`, {
+      templateId: conflict.templateId,
+      date: conflict.start,
+    });
+  }
+  
+  const weekResult = {
+    week,
+    start: format(weekStart, 'yyyy-MM-dd'),
+    created: 0,
+    alreadyPresent: alreadyPresent.length,
+    failed: 0,
+    transformErrors: transformErrors.length,
+    skipped,
+    conflicts,
+    // Todos los eventos de la semana (nuevos y ya presentes), para la exportación ICS
+    events: [...toCreate, ...alreadyPresent],
+    sinks: [],
+    errors: [],
+  };
+  
+  if (dryRun) {
+    const planned = [
+      ...toCreate.map(event => buildPlanEntry(event, 'new', config.timezone)),
+      ...alreadyPresent.map(event => buildPlanEntry(event, 'existing', config.timezone)),
+    ];
+    
+    logger.info(`Plan de la semana ${week} (${config.timezone}):`);
+    for (const line of formatPlanTable(planned)) {
+      logger.info(line);
+    }
+    
+    return { ...weekResult, planned };
+  }
+  
+  if (icsOnly) {
+    logger.info('Paso 5/5: Solo exportación ICS, no se crean eventos en los destinos');
+    return weekResult;
+  }
+  
+  // Paso 5: Crear los eventos en cada destino
+  logger.info(`Paso 5/5: Creando eventos en ${sinks.map(sink => sink.name).join(', ')}...`);
+  const sinkResults = [];
+  
+  for (const sink of sinks) {
+    try {
+      // En los demás destinos se crean los eventos del plan que les falten
+      const { missing: pending, alreadyPresent: present } = sink === primarySink
+        ? { missing: toCreate, alreadyPresent }
+        : partitionExistingEvents(weekResult.events, await sink.findEventsInRange(rangeStart, rangeEnd));
+      
+      if (sink !== primarySink && present.length > 0) {
+        logger.info(`✓ ${present.length} eventos ya presentes en ${sink.name}, se omitirán`);
+      }
+      
+      const result = await createEventsBatch(sink, pending);
+      
+      for (const { event, created } of result.success) {
+        createdPages.push({
+          id: created.id,
+          sink: sink.name,
+          revision: created.revision,
+          templateId: event.templateId,
+          name: event.name,
+          start: event.date.start,
+          week,
+        });
+      }
+      
+      sinkResults.push({
+        sink: sink.name,
+        created: result.success.length,
+        alreadyPresent: present.length,
+        failed: result.errors.length,
+        errors: result.errors.map(e => ({
+          event: e.event.name,
+          week,
+          sink: sink.name,
+          error: e.error.message,
+        })),
+      });
+    } catch (error) {
+      // Un destino secundario caído no detiene los demás: sus eventos cuentan como fallidos
+      if (sink === primarySink) {
+        throw error;
+      }
+      logger.error(`Error en el destino ${sink.name}: ${error.message}`);
+      sinkResults.push({
+        sink: sink.name,
+        created: 0,
+        alreadyPresent: 0,
+        failed: weekResult.events.length,
+        errors: [{ event: null, week, sink: sink.name, error: error.message }],
+      });
+    }
+  }
+  
+  const sum = field => sinkResults.reduce((total, result) => total + result[field], 0);
+  
+  return {
+    ...weekResult,
+    created: sum('created'),
+    alreadyPresent: sum('alreadyPresent'),
+    failed: sum('failed'),
+    sinks: sinkResults.map(({ errors, ...result }) => result),
+    errors: sinkResults.flatMap(result => result.errors),
+  };
+}
+
+/**
+ * Suma los resultados de cada semana en un resumen de la ejecución
+ * @param {Array<Object>} weeks - Resultados por semana
+ * @returns {Object} Totales de la ejecución
+ */
+function summarizeWeeks(weeks) {
+  return {
+    created: weeks.reduce((total, week) => total + week.created, 0),
+    alreadyPresent: weeks.reduce((total, week) => total + week.alreadyPresent, 0),
+    failed: weeks.reduce((total, week) => total + week.failed, 0),
+    skipped: weeks.flatMap(week => week.skipped),
+    conflicts: weeks.flatMap(week => week.conflicts),
+    sinks: summarizeSinks(weeks),
+    errors: weeks.flatMap(week => week.errors),
+  };
+}
+
+/**
+ * Suma los resultados de cada destino en todas las semanas
+ * @param {Array<Object>} weeks - Resultados por semana
+ * @returns {Array<Object>} Totales por destino ({ sink, created, alreadyPresent, failed })
+ */
+function summarizeSinks(weeks) {
+  const bySink = new Map();
+  
+  for (const result of weeks.flatMap(week => week.sinks)) {
+    const total = bySink.get(result.sink) || { sink: result.sink, created: 0, alreadyPresent: 0, failed: 0 };
+    total.created += result.created;
+    total.alreadyPresent += result.alreadyPresent;
+    total.failed += result.failed;
+    bySink.set(result.sink, total);
+  }
+  
+  return [...bySink.values()];
+}
+
+/**
+ * Indica si la ejecución lee o escribe alguna base de datos de Notion
+ * @param {Array<Object>} sinks - Destinos de los eventos
+ * @returns {boolean} true si hay que verificar la conexión con Notion
+ */
+export function usesNotion(sinks) {
+  return config.templates.source === 'notion' ||
+    Boolean(config.notion.exceptionsDbId) ||
+    sinks.some(sink => sink.name === 'notion');
+}
+
+/**
+ * Muestra los eventos omitidos por excepciones, agrupados por excepción
+ * @param {Array<Object>} skipped - Eventos omitidos de todas las semanas
+ */
+function logSkippedSummary(skipped) {
+  if (skipped.length === 0) {
+    return;
+  }
+  
+  logger.info(`✓ Omitidos por excepciones: ${skipped.length}`);
+  
+  const byException = new Map();
+  for (const item of skipped) {
+    const key = `${item.date} ${item.exception}`;
+    byException.set(key, [...(byException.get(key) || []), item.name]);
+  }
+  for (const [key, names] of byException) {
+    logger.info(`  - ${key}: ${names.join(', ')}`);
+  }
+}
+
+/**
+ * Muestra el resumen de conflictos de la ejecución
+ * @param {Array<Object>} conflicts - Conflictos de todas las semanas
+ */
+function logConflictSummary(conflicts) {
+  if (conflicts.length === 0) {
+    return;
+  }
+  
+  const count = action => conflicts.filter(conflict => conflict.action === action).length;
+  logger.warn(
+    `⚠ Conflictos: ${conflicts.length} (${count('warned')} creados igual, ` +
+    `${count('shifted')} movidos, ${count('skipped')} omitidos)`
+  );
+}
+
+/**
+ * Guarda el manifiesto de la ejecución con las páginas creadas (para rollback)
+ * @param {Object} run - Datos de la ejecución
+ * @returns {Promise<void>}
+ */
+async function saveManifest(run) {
+  try {
+    const filePath = await saveRunManifest({
+      runId: run.runId,
+      profile: run.profile || null,
+      startedAt: run.startedAt,
+      finishedAt: new Date().toISOString(),
+      status: run.status,
+      timezone: config.timezone,
+      weeks: run.weeks,
+      pages: run.pages,
+      rollback: null,
+    });
+    logger.info(`Manifiesto de la ejecución ${run.runId}: ${filePath}`);
+  } catch (error) {
+    // No se interrumpe la ejecución: los eventos ya se crearon en Notion
+    logger.error(`No se pudo guardar el manifiesto de la ejecución ${run.runId}: ${error.message}`);
+  }
+}
+
+/**
+ * Registra el resultado de la ejecución en el historial
+ * @param {Object} result - Resultado devuelto por generateWeek
+ * @param {Object} run - Datos de la ejecución (inicio, semanas, hash de plantilla)
+ * @returns {Promise<Object>} El mismo resultado, para encadenar en el return
+ */
+async function recordHistory(result, run) {
+  try {
+    await appendHistoryEntry({
+      runId: result.runId,
+      profile: run.profile,
+      dryRun: Boolean(result.dryRun),
+      icsOnly: Boolean(result.icsOnly),
+      success: result.success,
+      startedAt: run.startedAt,
+      finishedAt: new Date().toISOString(),
+      weeks: run.weeks,
+      created: result.created,
+      alreadyPresent: result.alreadyPresent,
+      failed: result.failed,
+      sinks: result.sinks || [],
+      weekResults: (result.weeks || []).map(week => ({
+        week: week.week,
+        created: week.created,
+        alreadyPresent: week.alreadyPresent,
+        failed: week.failed,
+        transformErrors: week.transformErrors,
+        skipped: week.skipped.length,
+        conflicts: week.conflicts.length,
+      })),
+      errors: result.errors || [],
+      error: result.error || null,
+      templateHash: run.templateHash,
+    });
+  } catch (error) {
+    logger.error(`No se pudo registrar la ejecución ${result.runId} en el historial: ${error.message}`);
+  }
+  
+  return result;
+}
+
 /**
  * Función principal que ejecuta la generación de la semana
- * @returns {Promise<Object>} Resultado de la operación con estadísticas
+ * @param {Object} [options={}] - Opciones de ejecución
+ * @param {boolean} [options.dryRun=false] - Calcula el plan sin escribir en Notion
+ * @param {string|null} [options.planFile=null] - Ruta donde escribir el plan como JSON
+ * @param {string|null} [options.icsFile=null] - Ruta donde exportar los eventos como .ics;
+ *   por defecto la configurada en ICS_FILE
+ * @param {boolean} [options.icsOnly=false] - Exporta a ICS sin crear eventos en Notion
+ * @param {Object} [options.target={}] - Semana(s) a generar (ver resolveTargetWeeks);
+ *   sin objetivo se genera la próxima semana
+ * @param {string|null} [options.conflictPolicy=null] - Política ante solapamientos;
+ *   por defecto la configurada en CONFLICT_POLICY
+ * @param {string} [options.runId] - ID de la ejecución; por defecto se genera uno nuevo
+ *   (la cola de ejecuciones lo asigna al encolar)
+ * @param {string[]} [options.profiles=[]] - Perfiles a generar (ver config/profiles.js);
+ *   sin nombres se generan todos los de PROFILES_FILE
+ * @returns {Promise<Object>} Resultado de la operación con estadísticas y desglose por semana
+ *   (con perfiles, el resumen combinado y el resultado de cada perfil en profiles)
+ */
+export async function generateWeek(options = {}) {
+  const runId = options.runId || createRunId();
+  const profiles = selectProfiles(options.profiles);
+  
+  if (profiles.length === 0) {
+    return runGeneration(options, runId, null);
+  }
+  
+  return runWithLogContext({ runId }, () => generateProfiles(profiles, options, runId));
+}
+
+/**
+ * Ejecuta una generación y registra sus métricas
+ * @param {Object} options - Opciones de ejecución (ver generateWeek)
+ * @param {string} runId - ID de la ejecución
+ * @param {Object|null} profile - Perfil con el que se genera; null para la configuración del entorno
+ * @returns {Promise<Object>} Resultado de la operación
+ */
+async function runGeneration(options, runId, profile) {
+  const startTime = Date.now();
+  let result = null;
+  
+  try {
+    // Todas las líneas de log de la ejecución llevan su runId
+    result = await runWithProfile(profile, () => runWithLogContext(
+      { runId },
+      () => executeGenerateWeek({ ...options, runId, profile: profile?.name || null })
+    ));
+    return result;
+  } finally {
+    await recordRunMetrics(result, {
+      mode: options.dryRun ? 'dry_run' : options.icsOnly ? 'ics_only' : 'generate',
+      profile: profile?.name,
+      durationSeconds: (Date.now() - startTime) / 1000,
+    });
+  }
+}
+
+/**
+ * Agrega el nombre del perfil a una ruta antes de la extensión
+ * @param {string} filePath - Ruta indicada en la CLI (ej: "exports/routine.ics")
+ * @param {string} profileName - Nombre del perfil
+ * @returns {string} Ruta del perfil (ej: "exports/routine.ana.ics")
+ */
+function addProfileToPath(filePath, profileName) {
+  const extension = extname(filePath);
+  return `${filePath.slice(0, filePath.length - extension.length)}.${profileName}${extension}`;
+}
+
+/**
+ * Genera cada perfil por separado: el fallo de uno no detiene a los demás
+ * Cada perfil tiene su propia ejecución (<runId>-<perfil>) en el historial y en los manifiestos
+ * @param {Array<Object>} profiles - Perfiles a generar
+ * @param {Object} options - Opciones de ejecución (ver generateWeek)
+ * @param {string} runId - ID de la ejecución combinada
+ * @returns {Promise<Object>} Resumen combinado, con el resultado de cada perfil en profiles
+ */
+async function generateProfiles(profiles, options, runId) {
+  const startTime = Date.now();
+  const results = [];
+  
+  logger.info(`Generando ${profiles.length} perfiles: ${profiles.map(profile => profile.name).join(', ')}`);
+  
+  for (const profile of profiles) {
+    const profileRunId = `${runId}-${profile.name}`;
+    logger.info(`▶ Perfil ${profile.name} (${profile.config.timezone})`);
+    
+    // Las rutas de la CLI (--ics, --plan-json) son comunes: cada perfil escribe su propio archivo
+    const profileOptions = {
+      ...options,
+      icsFile: options.icsFile ? addProfileToPath(options.icsFile, profile.name) : null,
+      planFile: options.planFile ? addProfileToPath(options.planFile, profile.name) : null,
+    };
+    
+    try {
+      results.push({ profile: profile.name, ...await runGeneration(profileOptions, profileRunId, profile) });
+    } catch (error) {
+      // El error ya quedó registrado en el log del perfil (ver handleError)
+      results.push({
+        profile: profile.name,
+        success: false,
+        runId: profileRunId,
+        created: 0,
+        alreadyPresent: 0,
+        failed: 0,
+        error: error.message,
+      });
+    }
+  }
+  
+  const sum = field => results.reduce((total, result) => total + (result[field] || 0), 0);
+  const tagged = field => results.flatMap(result => (result[field] || []).map(item => ({ ...item, profile: result.profile })));
+  const failedProfiles = results.filter(result => !result.success);
+  
+  logger.info('========================================');
+  logger.info('Resumen de perfiles');
+  for (const result of results) {
+    if (result.success) {
+      logger.info(`  ✓ ${result.profile}: ${result.created} creados, ${result.alreadyPresent} ya presentes, ${result.failed} fallidos (${result.runId})`);
+    } else {
+      logger.error(`  ✗ ${result.profile}: ${result.error} (${result.runId})`);
+    }
+  }
+  logger.info('========================================');
+  
+  return {
+    success: failedProfiles.length === 0,
+    runId,
+    ...(options.dryRun && { dryRun: true, planned: tagged('planned') }),
+    ...(options.icsOnly && { icsOnly: true }),
+    created: sum('created'),
+    alreadyPresent: sum('alreadyPresent'),
+    failed: sum('failed'),
+    duration: ((Date.now() - startTime) / 1000).toFixed(2),
+    weeks: tagged('weeks'),
+    skipped: tagged('skipped'),
+    conflicts: tagged('conflicts'),
+    sinks: tagged('sinks'),
+    errors: tagged('errors'),
+    ...(failedProfiles.length > 0 && {
+      error: failedProfiles.map(result => `${result.profile}: ${result.error}`).join('; '),
+    }),
+    profiles: results.map(result => ({
+      profile: result.profile,
+      runId: result.runId,
+      success: result.success,
+      created: result.created,
+      alreadyPresent: result.alreadyPresent,
+      failed: result.failed,
+      error: result.error || null,
+    })),
+  };
+}
+
+/**
+ * Ejecuta la generación (ver generateWeek)
+ * @param {Object} options - Opciones de ejecución, con el runId ya asignado
+ * @returns {Promise<Object>} Resultado de la operación
  */
-export async function generateWeek() {
+async function executeGenerateWeek(options) {
+  const { dryRun = false, planFile = null, icsOnly = false, target = {} } = options;
+  const icsFile = options.icsFile || config.ics.file;
+  const conflictPolicy = options.conflictPolicy || config.conflicts.policy;
   const startTime = Date.now();
+  const { runId } = options;
+  const createdPages = [];
+  const run = {
+    startedAt: new Date(startTime).toISOString(),
+    profile: options.profile || null,
+    weeks: [],
+    templateHash: null,
+  };
+  let releaseLock = null;
   
   try {
+    if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+      throw new ValidationError(
+        `Política de conflictos inválida: ${conflictPolicy} (usa ${CONFLICT_POLICIES.join(', ')})`,
+        'conflictPolicy'
+      );
+    }
+    
+    if (!ALL_DAY_EVENT_MODES.includes(config.conflicts.allDayEvents)) {
+      throw new ValidationError(
+        `CONFLICT_ALL_DAY_EVENTS inválido: ${config.conflicts.allDayEvents} (usa ${ALL_DAY_EVENT_MODES.join(', ')})`,
+        'allDayEvents'
+      );
+    }
+    
+    if (icsOnly && !icsFile) {
+      throw new ValidationError('--ics-only requiere la ruta del archivo (--ics o ICS_FILE)', 'icsFile');
+    }
+    
+    // Solo una generación puede escribir eventos a la vez (daemon, CLI o cron externo)
+    if (!dryRun && !icsOnly) {
+      releaseLock = await acquireRunLock(runId);
+    }
+    
+    // Las semanas se calculan según el calendario de la zona horaria configurada
+    const weekStarts = resolveTargetWeeks(target, getZonedNow(config.timezone));
+    run.weeks = weekStarts.map(formatIsoWeek);
+    
     logger.info('========================================');
     logger.info('Iniciando generación de semana en Notion');
+    logger.info(`Ejecución: ${runId}`);
+    logger.info(`Semanas objetivo: ${weekStarts.map(formatIsoWeek).join(', ')}`);
+    if (dryRun) {
+      logger.info('Modo dry-run: no se escribirá nada en Notion');
+    } else if (icsOnly) {
+      logger.info('Modo ICS: los eventos solo se exportarán al archivo .ics');
+    }
+    logger.info(`Política de conflictos: ${conflictPolicy}`);
+    
+    const sinks = createSinks();
+    logger.info(`Destinos: ${sinks.map(sink => sink.description).join(', ')}`);
     logger.info('========================================');
     
-    // Paso 1: Verificar conexión con Notion
-    logger.info('Paso 1/4: Verificando conexión con Notion...');
-    await verifyConnection();
+    // Paso 1: Verificar conexión con Notion y con los demás destinos
+    logger.info('Paso 1/5: Verificando conexiones...');
+    if (usesNotion(sinks)) {
+      await verifyConnection();
+    }
+    for (const sink of sinks) {
+      if (sink.verify) {
+        await sink.verify();
+      }
+    }
     logger.info('✓ Conexión verificada');
     
     // Paso 2: Obtener tareas de plantilla
-    logger.info('Paso 2/4: Obteniendo tareas de plantilla...');
-    const templateTasks = await getTemplateTasks();
+    const templateSource = createTemplateSource();
+    logger.info(`Paso 2/5: Obteniendo tareas de plantilla (${templateSource.name})...`);
+    const templateTasks = await templateSource.getTemplateTasks();
+    run.templateHash = hashTemplateTasks(templateTasks);
     
     if (templateTasks.length === 0) {
       logger.warn('No se encontraron tareas en la base de datos de plantillas');
-      return {
+      return recordHistory({
         success: true,
+        runId,
         created: 0,
+        alreadyPresent: 0,
         failed: 0,
+        weeks: [],
+        ...(dryRun && { dryRun, planned: [] }),
         message: 'No hay tareas de plantilla para procesar',
-      };
+      }, run);
     }
     
     logger.info(`✓ Se encontraron ${templateTasks.length} tareas de plantilla`);
     
-    // Paso 3: Transformar tareas a eventos con fechas reales
-    logger.info('Paso 3/4: Transformando tareas a eventos...');
-    const events = [];
-    const transformErrors = [];
-    
-    for (const task of templateTasks) {
-      try {
-        const event = transformTaskToEvent(task);
-        events.push(event);
-      } catch (error) {
-        transformErrors.push({ task, error });
-      }
+    // Excepciones (festivos, vacaciones...) de todo el rango objetivo
+    const exceptions = await loadExceptions(
+      weekStarts[0],
+      addDays(weekStarts[weekStarts.length - 1], 6)
+    );
+    if (exceptions.length > 0) {
+      logger.info(`✓ ${exceptions.length} excepciones en las semanas objetivo`);
     }
     
-    logger.info(`✓ ${events.length} eventos preparados para creación`);
-    
-    if (transformErrors.length > 0) {
-      logger.warn(`⚠ ${transformErrors.length} tareas tuvieron errores de transformación`);
+    // Pasos 3 a 5 para cada semana objetivo
+    const weeks = [];
+    for (const weekStart of weekStarts) {
+      weeks.push(await generateForWeek(
+        templateTasks,
+        weekStart,
+        { dryRun, icsOnly, conflictPolicy, exceptions, sinks },
+        createdPages
+      ));
     }
     
-    // Paso 4: Crear eventos en Calendar DB
-    logger.info('Paso 4/4: Creando eventos en Calendar DB...');
-    const result = await createCalendarEventsBatch(events);
+    const totals = summarizeWeeks(weeks);
+    
+    // Exportación ICS de la semana completa (también en dry-run, no escribe en Notion)
+    const exported = weeks.flatMap(week => week.events);
+    if (icsFile) {
+      await writeIcsFile(icsFile, exported, {
+        name: 'Rutina semanal',
+        timezone: config.timezone,
+      });
+      logger.info(`✓ ${exported.length} eventos exportados a ${icsFile}`);
+    }
     
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     
+    if (dryRun) {
+      const planned = weeks.flatMap(week => week.planned);
+      
+      if (planFile) {
+        await writePlanFile(planFile, {
+          timezone: config.timezone,
+          generatedAt: new Date().toISOString(),
+          weeks: weeks.map(week => week.week),
+          planned,
+          skipped: totals.skipped,
+        });
+        logger.info(`✓ Plan escrito en ${planFile}`);
+      }
+      
+      logger.info('========================================');
+      logger.info('Dry-run completado, no se creó ningún evento');
+      logger.info(`Eventos por crear: ${planned.length - totals.alreadyPresent}`);
+      logger.info(`Eventos ya presentes: ${totals.alreadyPresent}`);
+      logSkippedSummary(totals.skipped);
+      logConflictSummary(totals.conflicts);
+      logger.info('========================================');
+      
+      return recordHistory({
+        success: true,
+        runId,
+        dryRun: true,
+        created: 0,
+        alreadyPresent: totals.alreadyPresent,
+        failed: 0,
+        duration: duration,
+        weeks,
+        skipped: totals.skipped,
+        conflicts: totals.conflicts,
+        ...(icsFile && { icsFile, exported: exported.length }),
+        planned,
+      }, run);
+    }
+    
+    if (icsOnly) {
+      logger.info('========================================');
+      logger.info('Exportación ICS completada, no se creó ningún evento en Notion');
+      logger.info(`✓ Eventos exportados: ${exported.length} (${icsFile})`);
+      logSkippedSummary(totals.skipped);
+      logConflictSummary(totals.conflicts);
+      logger.info(`Tiempo total: ${duration}s`);
+      logger.info('========================================');
+      
+      return recordHistory({
+        success: true,
+        runId,
+        created: 0,
+        alreadyPresent: totals.alreadyPresent,
+        failed: 0,
+        duration: duration,
+        weeks,
+        skipped: totals.skipped,
+        conflicts: totals.conflicts,
+        icsOnly: true,
+        icsFile,
+        exported: exported.length,
+        errors: [],
+      }, run);
+    }
+    
+    await saveManifest({
+      runId,
+      profile: run.profile,
+      startedAt: run.startedAt,
+      status: totals.failed > 0 ? 'partial' : 'completed',
+      weeks: run.weeks,
+      pages: createdPages,
+    });
+    
     logger.info('========================================');
     logger.info('Generación de semana completada');
-    logger.info(`✓ Eventos creados: ${result.success.length}`);
-    if (result.errors.length > 0) {
-      logger.warn(`⚠ Eventos fallidos: ${result.errors.length}`);
+    if (weeks.length > 1) {
+      for (const week of weeks) {
+        logger.info(`  ${week.week}: ${week.created} creados, ${week.alreadyPresent} ya presentes, ${week.failed} fallidos`);
+      }
+    }
+    if (totals.sinks.length > 1) {
+      for (const sink of totals.sinks) {
+        logger.info(`  ${sink.sink}: ${sink.created} creados, ${sink.alreadyPresent} ya presentes, ${sink.failed} fallidos`);
+      }
+    }
+    logger.info(`✓ Eventos creados: ${totals.created}`);
+    logger.info(`✓ Eventos ya presentes: ${totals.alreadyPresent}`);
+    if (totals.failed > 0) {
+      logger.warn(`⚠ Eventos fallidos: ${totals.failed}`);
+    }
+    if (icsFile) {
+      logger.info(`✓ Eventos exportados a ICS: ${exported.length} (${icsFile})`);
     }
+    logSkippedSummary(totals.skipped);
+    logConflictSummary(totals.conflicts);
     logger.info(`Tiempo total: ${duration}s`);
     logger.info('========================================');
     
-    return {
+    const result = await recordHistory({
       success: true,
-      created: result.success.length,
-      failed: result.errors.length,
+      runId,
+      created: totals.created,
+      alreadyPresent: totals.alreadyPresent,
+      failed: totals.failed,
       duration: duration,
-      errors: result.errors.map(e => ({
-        event: e.event.name,
-        error: e.error.message,
-      })),
-    };
+      weeks,
+      skipped: totals.skipped,
+      conflicts: totals.conflicts,
+      sinks: totals.sinks,
+      ...(icsFile && { icsFile, exported: exported.length }),
+      errors: totals.errors,
+    }, run);
+    
+    await sendRunNotifications(result, { weeks: run.weeks, profile: run.profile });
+    return result;
     
   } catch (error) {
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -141,15 +967,56 @@ export async function generateWeek() {
     logger.error(`Tiempo transcurrido: ${duration}s`);
     logger.error('========================================');
     
+    // Si alguna semana alcanzó a crear páginas, se registran para poder deshacerlas
+    if (createdPages.length > 0) {
+      await saveManifest({
+        runId,
+        profile: run.profile,
+        startedAt: run.startedAt,
+        status: 'failed',
+        weeks: run.weeks,
+        pages: createdPages,
+      });
+    }
+    
+    await recordHistory({
+      success: false,
+      runId,
+      dryRun,
+      icsOnly,
+      created: createdPages.length,
+      alreadyPresent: 0,
+      failed: 0,
+      error: error.message,
+    }, run);
+    
+    if (!dryRun && !icsOnly) {
+      await sendRunNotifications({
+        success: false,
+        runId,
+        created: createdPages.length,
+        alreadyPresent: 0,
+        failed: 0,
+        duration: duration,
+        error: error.message,
+      }, { weeks: run.weeks, profile: run.profile });
+    }
+    
     handleError(error, 'GenerateWeek');
     
     return {
       success: false,
+      runId,
       created: 0,
+      alreadyPresent: 0,
       failed: 0,
       duration: duration,
       error: error.message,
     };
+  } finally {
+    if (releaseLock) {
+      await releaseLock();
+    }
   }
 }
 
@@ -157,7 +1024,7 @@ export async function generateWeek() {
  * Ejecuta el job si este archivo se ejecuta directamente
  */
 if (import.meta.url === `file://${process.argv[1]}`) {
-  generateWeek()
+  generateWeek(parseGenerateOptions())
     .then(result => {
       if (result.success) {
         logger.info('Job ejecutado exitosamente');
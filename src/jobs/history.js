@@ -0,0 +1,182 @@
+/**
+ * Job de historial: consulta las ejecuciones registradas
+ *
+ * Comandos:
+ * - list: últimas ejecuciones (por defecto)
+ * - show <runId|last>: detalle de una ejecución
+ * - gaps: semanas sin generar o generadas parcialmente
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { readHistory, findHistoryEntry, getWeekCoverage } from '../services/historyService.js';
+import { loadRolledBackWeeks } from '../services/runManifestService.js';
+import { getNextWeekStart, getZonedNow } from '../utils/dateHelper.js';
+import { parseHistoryOptions } from '../utils/cliArgs.js';
+import { handleError, ValidationError } from '../utils/errorHandler.js';
+import { getProfile, loadProfiles, runWithProfile } from '../config/profiles.js';
+import config from '../config/environment.js';
+
+const logger = createLogger('History');
+
+/**
+ * Muestra las ejecuciones más recientes
+ * @param {number} limit - Número máximo de ejecuciones a mostrar
+ * @param {string|null} profile - Solo las ejecuciones de este perfil (null para todas)
+ * @returns {Promise<Array<Object>>} Ejecuciones mostradas
+ */
+async function listRuns(limit, profile) {
+  const entries = (await readHistory())
+    .filter(entry => !profile || entry.profile === profile)
+    .slice(0, limit);
+
+  if (entries.length === 0) {
+    logger.info('El historial está vacío');
+    return entries;
+  }
+
+  logger.info(`Últimas ${entries.length} ejecuciones:`);
+  for (const entry of entries) {
+    const status = !entry.success ? '✗' : entry.failed > 0 ? '⚠' : '✓';
+    const mode = entry.dryRun ? ' (dry-run)' : '';
+    logger.info(
+      `  ${status} ${entry.runId}  ${entry.profile ? `[${entry.profile}]  ` : ''}${entry.weeks.join(', ') || '-'}  ` +
+      `creados: ${entry.created}, ya presentes: ${entry.alreadyPresent}, fallidos: ${entry.failed}${mode}`
+    );
+  }
+
+  return entries;
+}
+
+/**
+ * Muestra el detalle de una ejecución
+ * @param {string} runId - ID de la ejecución o "last"
+ * @returns {Promise<Object>} Entrada del historial
+ */
+async function showRun(runId) {
+  const entry = await findHistoryEntry(runId);
+
+  logger.info(`Ejecución ${entry.runId}${entry.dryRun ? ' (dry-run)' : ''}`);
+  logger.info(`  - Estado: ${entry.success ? 'completada' : 'fallida'}`);
+  if (entry.profile) {
+    logger.info(`  - Perfil: ${entry.profile}`);
+  }
+  logger.info(`  - Inicio: ${entry.startedAt}`);
+  logger.info(`  - Fin: ${entry.finishedAt}`);
+  logger.info(`  - Hash de plantilla: ${entry.templateHash || '-'}`);
+  logger.info(`  - Creados: ${entry.created}, ya presentes: ${entry.alreadyPresent}, fallidos: ${entry.failed}`);
+
+  for (const week of entry.weekResults) {
+    logger.info(
+      `  - ${week.week}: ${week.created} creados, ${week.alreadyPresent} ya presentes, ` +
+      `${week.failed} fallidos, ${week.transformErrors} tareas con errores`
+    );
+  }
+
+  for (const error of entry.errors) {
+    logger.warn(`  ⚠ ${error.week} "${error.event}": ${error.error}`);
+  }
+
+  if (entry.error) {
+    logger.error(`  ✗ ${entry.error}`);
+  }
+
+  return entry;
+}
+
+/**
+ * Muestra las semanas recientes sin generar o generadas parcialmente
+ * Los rollbacks registrados en los manifiestos cuentan como eventos quitados
+ * Con perfiles, el estado se calcula por perfil y en su zona horaria
+ * @param {number} weeks - Número de semanas a revisar (terminando en la próxima semana)
+ * @param {string|null} profile - Solo este perfil (null para todos)
+ * @returns {Promise<Array<Object>>} Estado por semana (con perfiles, también el perfil de cada semana)
+ */
+async function showGaps(weeks, profile) {
+  const entries = await readHistory();
+  const rolledBack = await loadRolledBackWeeks();
+  const profiles = profile ? [getProfile(profile)] : loadProfiles();
+
+  if (profiles.length === 0) {
+    return logCoverage(entries, weeks, rolledBack);
+  }
+
+  const coverage = [];
+  for (const selected of profiles) {
+    logger.info(`Perfil ${selected.name}:`);
+    const profileEntries = entries.filter(entry => entry.profile === selected.name);
+    const weekCoverage = runWithProfile(selected, () => logCoverage(profileEntries, weeks, rolledBack));
+    coverage.push(...weekCoverage.map(week => ({ ...week, profile: selected.name })));
+  }
+
+  return coverage;
+}
+
+/**
+ * Calcula y muestra el estado de las últimas semanas
+ * @param {Array<Object>} entries - Entradas del historial
+ * @param {number} weeks - Número de semanas a revisar
+ * @param {Map<string, Object>} rolledBack - Rollbacks por ejecución (ver loadRolledBackWeeks)
+ * @returns {Array<Object>} Estado por semana
+ */
+function logCoverage(entries, weeks, rolledBack) {
+  const coverage = getWeekCoverage(entries, getNextWeekStart(getZonedNow(config.timezone)), weeks, rolledBack);
+  const labels = { complete: '✓ completa', partial: '⚠ parcial', missing: '✗ sin generar' };
+
+  logger.info(`Estado de las últimas ${weeks} semanas:`);
+  for (const week of coverage) {
+    const run = week.runId ? `  (${week.runId}${week.rolledBack ? ', con rollback' : ''})` : '';
+    logger.info(`  ${week.week}  ${labels[week.status]}${run}`);
+  }
+
+  const gaps = coverage.filter(week => week.status !== 'complete');
+  if (gaps.length > 0) {
+    logger.warn(`⚠ ${gaps.length} semanas sin generar o incompletas`);
+  }
+
+  return coverage;
+}
+
+/**
+ * Ejecuta un comando de historial
+ * @param {Object} options - Opciones del comando
+ * @param {string} [options.command='list'] - list, show o gaps
+ * @param {string} [options.runId] - Ejecución para el comando show
+ * @param {number} [options.limit=10] - Ejecuciones a listar
+ * @param {number} [options.weeks=8] - Semanas a revisar en gaps
+ * @param {string|null} [options.profile=null] - Perfil para list y gaps (null para todos)
+ * @returns {Promise<*>} Datos mostrados por el comando
+ */
+export async function history(options = {}) {
+  const { command = 'list', runId = 'last', limit = 10, weeks = 8, profile = null } = options;
+
+  try {
+    switch (command) {
+      case 'list':
+        return await listRuns(limit, profile);
+      case 'show':
+        return await showRun(runId);
+      case 'gaps':
+        return await showGaps(weeks, profile);
+      default:
+        throw new ValidationError(`Comando de historial desconocido: ${command} (usa list, show o gaps)`, 'command');
+    }
+  } catch (error) {
+    handleError(error, 'History');
+  }
+}
+
+/**
+ * Ejecuta el job si este archivo se ejecuta directamente
+ * Uso: npm run history -- [list|show <runId|last>|gaps] [--limit N] [--weeks N] [--profile nombre]
+ */
+if (import.meta.url === `file://${process.argv[1]}`) {
+  history(parseHistoryOptions())
+    .then(() => process.exit(0))
+    .catch(error => {
+      logger.error('Error fatal al consultar el historial');
+      process.exit(1);
+    });
+}
+
+export default history;
+
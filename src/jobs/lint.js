@@ -0,0 +1,89 @@
+/**
+ * Job de lint: revisa las filas de plantilla sin generar nada
+ *
+ * Reporta todos los problemas a la vez, con el nombre de cada fila y su enlace de Notion:
+ * horas inválidas, días desconocidos, duraciones vacías, no positivas o absurdas,
+ * filas sin nombre, solapamientos y eventos que cruzan la medianoche.
+ * Termina con código de salida 1 si hay problemas, para usarlo como paso de CI.
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { lintTemplateTasks } from '../utils/templateLinter.js';
+import { parseLintOptions } from '../utils/cliArgs.js';
+import { createTemplateSource } from '../services/templateSources/index.js';
+import { selectProfiles, runWithProfile } from '../config/profiles.js';
+import { handleError, ValidationError } from '../utils/errorHandler.js';
+
+const logger = createLogger('Lint');
+
+/**
+ * Revisa la plantilla configurada (la del perfil en curso, si lo hay)
+ * @returns {Promise<Object>} Tareas revisadas y problemas encontrados ({ tasks, findings })
+ */
+async function lintCurrentTemplate() {
+  const templateSource = createTemplateSource();
+  logger.info(`Revisando tareas de plantilla (${templateSource.name})...`);
+
+  const tasks = await templateSource.getTemplateTasks();
+  const findings = lintTemplateTasks(tasks);
+
+  for (const finding of findings) {
+    logger.warn(`⚠ ${finding.message}`, { templateId: finding.task.id });
+  }
+
+  if (findings.length === 0) {
+    logger.info(`✓ ${tasks.length} filas revisadas sin problemas`);
+  } else {
+    logger.warn(`⚠ ${findings.length} problemas en ${new Set(findings.map(finding => finding.task)).size} de ${tasks.length} filas`);
+  }
+
+  return { tasks, findings };
+}
+
+/**
+ * Revisa la plantilla de cada perfil (o la del entorno si no hay perfiles)
+ * @param {Object} [options={}] - Opciones del lint
+ * @param {string[]} [options.profiles=[]] - Perfiles a revisar; sin valores, todos
+ * @returns {Promise<Array<Object>>} Resultado por perfil ({ profile, tasks, findings })
+ * @throws {ValidationError} Si alguna fila tiene problemas (error.findings tiene el detalle)
+ */
+export async function lintTemplate(options = {}) {
+  try {
+    const profiles = selectProfiles(options.profiles || []);
+    const results = [];
+
+    if (profiles.length === 0) {
+      results.push({ profile: null, ...await lintCurrentTemplate() });
+    }
+    for (const profile of profiles) {
+      logger.info(`▶ Perfil ${profile.name}`);
+      results.push({ profile: profile.name, ...await runWithProfile(profile, lintCurrentTemplate) });
+    }
+
+    const findings = results.flatMap(result => result.findings);
+    if (findings.length > 0) {
+      const error = new ValidationError(`La plantilla tiene ${findings.length} problemas`, 'template');
+      error.findings = findings;
+      throw error;
+    }
+
+    return results;
+  } catch (error) {
+    handleError(error, 'Lint');
+  }
+}
+
+/**
+ * Ejecuta el job si este archivo se ejecuta directamente
+ * Uso: npm run lint -- [--profile nombre]
+ */
+if (import.meta.url === `file://${process.argv[1]}`) {
+  lintTemplate(parseLintOptions())
+    .then(() => process.exit(0))
+    .catch(error => {
+      logger.error('La revisión de la plantilla no pasó');
+      process.exit(1);
+    });
+}
+
+export default lintTemplate;
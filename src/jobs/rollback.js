@@ -0,0 +1,165 @@
+/**
+ * Job de rollback: deshace una ejecución de generateWeek
+ *
+ * Lee el manifiesto de la ejecución y archiva las páginas que creó, cada una en
+ * su destino (Notion, CalDAV o archivo). Las páginas editadas después de su
+ * creación se respetan salvo que se use --force.
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { createSink } from '../services/sinks/index.js';
+import { loadRunManifest, saveRunManifest } from '../services/runManifestService.js';
+import { parseRollbackOptions } from '../utils/cliArgs.js';
+import { handleError } from '../utils/errorHandler.js';
+import { getProfile, runWithProfile } from '../config/profiles.js';
+
+const logger = createLogger('Rollback');
+
+/**
+ * Obtiene el destino donde se creó una página del manifiesto
+ * Los manifiestos anteriores a los destinos no registran sink: son de Notion
+ * @param {Object} entry - Página registrada en el manifiesto
+ * @param {Map<string, Object>} sinks - Destinos ya creados, por tipo
+ * @returns {Object} Destino de eventos
+ */
+function getEntrySink(entry, sinks) {
+  const type = entry.sink || 'notion';
+
+  if (!sinks.has(type)) {
+    sinks.set(type, createSink(type));
+  }
+  return sinks.get(type);
+}
+
+/**
+ * Archiva las páginas creadas por una ejecución
+ * @param {string} runId - ID de la ejecución o "last"
+ * @param {Object} [options={}] - Opciones del rollback
+ * @param {boolean} [options.force=false] - Archiva también las páginas editadas tras su creación
+ * @returns {Promise<Object>} Resumen del rollback
+ */
+export async function rollback(runId, options = {}) {
+  const { force = false } = options;
+  const startTime = Date.now();
+
+  try {
+    const manifest = await loadRunManifest(runId);
+    // Las páginas se archivan con el token y los destinos del perfil que las creó
+    const profile = manifest.profile ? getProfile(manifest.profile) : null;
+
+    logger.info('========================================');
+    logger.info(`Rollback de la ejecución ${manifest.runId}${profile ? ` (perfil ${profile.name})` : ''}`);
+    logger.info(`Semanas: ${manifest.weeks.join(', ')}`);
+    logger.info(`Páginas registradas: ${manifest.pages.length}`);
+    if (force) {
+      logger.warn('Modo forzado: se archivarán también las páginas editadas');
+    }
+    logger.info('========================================');
+
+    const archived = [];
+    const alreadyArchived = [];
+    const skippedEdited = [];
+    const errors = [];
+    const sinks = new Map();
+
+    await runWithProfile(profile, async () => {
+      for (const entry of manifest.pages) {
+        const sinkName = entry.sink || 'notion';
+        const meta = {
+          templateId: entry.templateId,
+          date: entry.start,
+          sink: sinkName,
+          [sinkName === 'notion' ? 'pageId' : 'eventId']: entry.id,
+        };
+        try {
+          const sink = getEntrySink(entry, sinks);
+          const status = await sink.getEventStatus(entry);
+
+          if (status.archived) {
+            alreadyArchived.push(entry);
+            continue;
+          }
+
+          if (!force && status.edited) {
+            logger.warn(`Se omite "${entry.name}" (${entry.start}) en ${sink.name}: fue editada después de crearse`, meta);
+            skippedEdited.push(entry);
+            continue;
+          }
+
+          await sink.archiveEvent(entry.id);
+          archived.push(entry);
+          logger.debug(`Archivada "${entry.name}" (${entry.start}) en ${sink.name}`, meta);
+        } catch (error) {
+          errors.push({ page: entry, error });
+          logger.error(`Error al archivar "${entry.name}": ${error.message}`, meta);
+        }
+      }
+    });
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    // Registrar el rollback en el manifiesto para no repetirlo con "last"
+    await saveRunManifest({
+      ...manifest,
+      rollback: {
+        at: new Date().toISOString(),
+        force,
+        archived: archived.map(entry => entry.id),
+        skippedEdited: skippedEdited.map(entry => entry.id),
+        failed: errors.map(e => e.page.id),
+      },
+    });
+
+    logger.info('========================================');
+    logger.info('Rollback completado');
+    logger.info(`✓ Páginas archivadas: ${archived.length}`);
+    if (alreadyArchived.length > 0) {
+      logger.info(`✓ Ya archivadas: ${alreadyArchived.length}`);
+    }
+    if (skippedEdited.length > 0) {
+      logger.warn(`⚠ Omitidas por estar editadas: ${skippedEdited.length} (usa --force para archivarlas)`);
+    }
+    if (errors.length > 0) {
+      logger.warn(`⚠ Páginas con error: ${errors.length}`);
+    }
+    logger.info(`Tiempo total: ${duration}s`);
+    logger.info('========================================');
+
+    return {
+      success: errors.length === 0,
+      runId: manifest.runId,
+      archived: archived.length,
+      alreadyArchived: alreadyArchived.length,
+      skippedEdited: skippedEdited.map(entry => ({ id: entry.id, name: entry.name, start: entry.start })),
+      failed: errors.length,
+      duration: duration,
+      errors: errors.map(e => ({
+        page: e.page.name,
+        error: e.error.message,
+      })),
+    };
+
+  } catch (error) {
+    handleError(error, 'Rollback');
+  }
+}
+
+/**
+ * Ejecuta el job si este archivo se ejecuta directamente
+ * Uso: npm run rollback -- <runId|last> [--force]
+ */
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { runId, force } = parseRollbackOptions();
+
+  rollback(runId, { force })
+    .then(result => {
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      logger.error('Error fatal en la ejecución del rollback');
+      process.exit(1);
+    });
+}
+
+export default rollback;
+
@@ -0,0 +1,172 @@
+/**
+ * Cola de ejecuciones de generateWeek
+ * Las generaciones pedidas por la API HTTP y por el daemon se ejecutan de una en
+ * una; si se pide una semana que ya está en cola o en curso, se devuelve esa
+ * ejecución en lugar de encolar otra
+ */
+
+import { format } from 'date-fns';
+import { createLogger } from '../utils/logger.js';
+import { resolveTargetWeeks, getZonedNow, formatIsoWeek } from '../utils/dateHelper.js';
+import { createRunId } from '../services/runManifestService.js';
+import { generateWeek } from './generateWeek.js';
+import { selectProfiles } from '../config/profiles.js';
+import config from '../config/environment.js';
+
+const logger = createLogger('RunQueue');
+
+/**
+ * Ejecuciones terminadas que se conservan en memoria para consultarlas
+ */
+const MAX_FINISHED_RUNS = 100;
+
+/**
+ * Ejecuciones conocidas por ID, en orden de llegada
+ */
+const runs = new Map();
+
+/**
+ * Promesas de las ejecuciones pendientes o en curso, por ID
+ */
+const pending = new Map();
+
+/**
+ * Última ejecución de la cola: cada nueva espera a la anterior
+ */
+let tail = Promise.resolve();
+
+/**
+ * Encola una generación
+ * La semana objetivo se resuelve al encolar, así una petición sin semana
+ * genera la próxima semana del momento en que se pidió
+ * @param {Object} [options={}] - Opciones para generateWeek (target, conflictPolicy, profiles...)
+ * @returns {Object} Ejecución ({ id, status, weeks, ... }) y si ya estaba en cola ({ run, duplicate })
+ * @throws {ValidationError} Si la semana objetivo o algún perfil no son válidos
+ */
+export function enqueueRun(options = {}) {
+  const weekStarts = resolveTargetWeeks(options.target, getZonedNow(config.timezone));
+  const weeks = weekStarts.map(formatIsoWeek);
+  const profiles = selectProfiles(options.profiles).map(profile => profile.name);
+
+  const active = [...runs.values()].find(run =>
+    (run.status === 'queued' || run.status === 'running') &&
+    run.weeks.join() === weeks.join() &&
+    run.profiles.join() === profiles.join()
+  );
+  if (active) {
+    logger.info(`Ya hay una ejecución para ${weeks.join(', ')} (${active.id}), no se encola otra`);
+    return { run: active, duplicate: true };
+  }
+
+  const run = {
+    id: createRunId(),
+    status: 'queued',
+    weeks,
+    profiles,
+    requestedAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+  };
+  runs.set(run.id, run);
+
+  const target = {
+    from: format(weekStarts[0], 'yyyy-MM-dd'),
+    to: format(weekStarts[weekStarts.length - 1], 'yyyy-MM-dd'),
+  };
+  const promise = tail.then(() => execute(run, { ...options, target, profiles }));
+  tail = promise;
+  pending.set(run.id, promise);
+
+  logger.info(`Ejecución ${run.id} encolada para ${weeks.join(', ')}`);
+  return { run, duplicate: false };
+}
+
+/**
+ * Ejecuta una generación encolada y guarda su resultado
+ * Nunca rechaza, para no cortar la cola
+ * @param {Object} run - Ejecución encolada
+ * @param {Object} options - Opciones para generateWeek
+ * @returns {Promise<Object>} Ejecución terminada
+ */
+async function execute(run, options) {
+  run.status = 'running';
+  run.startedAt = new Date().toISOString();
+
+  try {
+    run.result = await generateWeek({ ...options, runId: run.id });
+    run.status = run.result.success ? 'completed' : 'failed';
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    pending.delete(run.id);
+    pruneFinishedRuns();
+  }
+
+  logger.info(`Ejecución ${run.id}: ${run.status}`);
+  return run;
+}
+
+/**
+ * Obtiene una ejecución por su ID
+ * @param {string} id - ID de la ejecución
+ * @returns {Object|null} Ejecución o null si no está en memoria
+ */
+export function getRun(id) {
+  return runs.get(id) || null;
+}
+
+/**
+ * Espera a que termine una ejecución
+ * @param {string} id - ID de la ejecución
+ * @returns {Promise<Object|null>} Ejecución terminada o null si no existe
+ */
+export async function waitForRun(id) {
+  await pending.get(id);
+  return getRun(id);
+}
+
+/**
+ * Espera a que se vacíe la cola (para detener el proceso sin cortar una generación)
+ * @returns {Promise<void>}
+ */
+export async function waitForIdle() {
+  while (pending.size > 0) {
+    await tail;
+  }
+}
+
+/**
+ * Resume el estado de la cola
+ * @returns {Object} Ejecución en curso y número de ejecuciones en espera
+ */
+export function getQueueStatus() {
+  const active = [...runs.values()];
+
+  return {
+    running: active.find(run => run.status === 'running')?.id || null,
+    queued: active.filter(run => run.status === 'queued').length,
+  };
+}
+
+/**
+ * Descarta las ejecuciones terminadas más antiguas
+ */
+function pruneFinishedRuns() {
+  const finished = [...runs.values()].filter(run => run.finishedAt);
+
+  for (const run of finished.slice(0, Math.max(finished.length - MAX_FINISHED_RUNS, 0))) {
+    runs.delete(run.id);
+  }
+}
+
+export default {
+  enqueueRun,
+  getRun,
+  waitForRun,
+  waitForIdle,
+  getQueueStatus,
+};
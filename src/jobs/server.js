@@ -0,0 +1,377 @@
+/**
+ * API HTTP de control
+ * Permite lanzar y consultar generaciones desde otra automatización (ej: un atajo del teléfono)
+ *
+ * Endpoints (todos requieren Authorization: Bearer <SERVER_TOKEN>):
+ * - POST /runs: encola una generación ({ week | start | from/to, conflictPolicy, profiles })
+ * - GET /runs/:id: estado y resultado de una ejecución
+ * - GET /preview: eventos planificados (dry-run) con ?week=, ?start= o ?from=&to= (y ?profile=)
+ * - GET /health: verifica la conexión con Notion y con los destinos
+ * - GET /metrics: métricas de las ejecuciones y de la API de Notion (formato Prometheus)
+ */
+
+import { createServer } from 'http';
+import { createHash, timingSafeEqual } from 'crypto';
+import { createLogger } from '../utils/logger.js';
+import { ValidationError } from '../utils/errorHandler.js';
+import { verifyConnection } from '../services/notionService.js';
+import { findHistoryEntry } from '../services/historyService.js';
+import { createSinks } from '../services/sinks/index.js';
+import { getMetricsText } from '../services/metricsService.js';
+import { loadProfiles, runWithProfile } from '../config/profiles.js';
+import { enqueueRun, getRun, getQueueStatus, waitForIdle } from './runQueue.js';
+import { generateWeek, usesNotion } from './generateWeek.js';
+import config from '../config/environment.js';
+
+const logger = createLogger('Server');
+
+/**
+ * Tamaño máximo del cuerpo de una petición
+ */
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Error HTTP con su código de estado
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Envía una respuesta JSON
+ * @param {http.ServerResponse} res - Respuesta
+ * @param {number} status - Código de estado
+ * @param {Object} body - Cuerpo de la respuesta
+ * @param {Object} [headers={}] - Cabeceras adicionales
+ */
+function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body);
+
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    ...headers,
+  });
+  res.end(payload);
+}
+
+/**
+ * Lee el cuerpo JSON de una petición
+ * @param {http.IncomingMessage} req - Petición
+ * @returns {Promise<Object>} Cuerpo interpretado (vacío si no hay cuerpo)
+ * @throws {HttpError} Si el cuerpo es demasiado grande o no es JSON válido
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, `El cuerpo supera ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8').trim();
+  if (!text) {
+    return {};
+  }
+
+  try {
+    const body = JSON.parse(text);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new Error('se esperaba un objeto');
+    }
+    return body;
+  } catch (error) {
+    throw new HttpError(400, `Cuerpo JSON inválido: ${error.message}`);
+  }
+}
+
+/**
+ * Comprueba el token de la cabecera Authorization
+ * Se comparan los hashes para no revelar la longitud del token por tiempos
+ * @param {http.IncomingMessage} req - Petición
+ * @param {string} token - Token esperado
+ * @returns {boolean} true si el token es correcto
+ */
+function isAuthorized(req, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) {
+    return false;
+  }
+
+  const digest = value => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(match[1].trim()), digest(token));
+}
+
+/**
+ * Extrae la semana objetivo de la petición
+ * @param {Object} source - Cuerpo o parámetros de la URL
+ * @returns {Object} Semana(s) objetivo (ver resolveTargetWeeks)
+ */
+function getTarget(source) {
+  return {
+    week: source.week || undefined,
+    start: source.start || undefined,
+    from: source.from || undefined,
+    to: source.to || undefined,
+  };
+}
+
+/**
+ * Extrae los perfiles de la petición
+ * @param {string|string[]|undefined} value - Lista o texto separado por comas
+ * @returns {string[]} Nombres de los perfiles (vacío para todos)
+ */
+function getProfiles(value) {
+  const names = Array.isArray(value) ? value : String(value || '').split(',');
+  return names.map(name => String(name).trim()).filter(Boolean);
+}
+
+/**
+ * POST /runs: encola una generación
+ * Si la misma semana ya está en cola o en curso se devuelve esa ejecución
+ * @param {http.IncomingMessage} req - Petición
+ * @param {http.ServerResponse} res - Respuesta
+ * @param {Object} generateOptions - Opciones base para generateWeek
+ */
+async function createRun(req, res, generateOptions) {
+  const body = await readJsonBody(req);
+  const { run, duplicate } = enqueueRun({
+    ...generateOptions,
+    conflictPolicy: body.conflictPolicy || generateOptions.conflictPolicy || null,
+    profiles: body.profiles ? getProfiles(body.profiles) : generateOptions.profiles,
+    target: getTarget(body),
+  });
+
+  sendJson(res, duplicate ? 200 : 202, { ...run, duplicate }, { Location: `/runs/${run.id}` });
+}
+
+/**
+ * GET /runs/:id: estado de una ejecución
+ * Las ejecuciones que ya no están en memoria se buscan en el historial
+ * @param {http.ServerResponse} res - Respuesta
+ * @param {string} id - ID de la ejecución
+ */
+async function showRun(res, id) {
+  const run = getRun(id);
+  if (run) {
+    sendJson(res, 200, run);
+    return;
+  }
+
+  try {
+    const entry = await findHistoryEntry(id);
+    sendJson(res, 200, {
+      id: entry.runId,
+      status: entry.success ? 'completed' : 'failed',
+      weeks: entry.weeks,
+      startedAt: entry.startedAt,
+      finishedAt: entry.finishedAt,
+      result: entry,
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw new HttpError(404, `No existe la ejecución ${id}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * GET /preview: eventos que se crearían (dry-run, no escribe nada)
+ * @param {http.ServerResponse} res - Respuesta
+ * @param {URLSearchParams} params - Parámetros de la URL
+ * @param {Object} generateOptions - Opciones base para generateWeek
+ */
+async function preview(res, params, generateOptions) {
+  const result = await generateWeek({
+    ...generateOptions,
+    dryRun: true,
+    planFile: null,
+    conflictPolicy: params.get('conflictPolicy') || generateOptions.conflictPolicy || null,
+    profiles: params.has('profile') ? getProfiles(params.get('profile')) : generateOptions.profiles,
+    target: getTarget(Object.fromEntries(params)),
+  });
+
+  sendJson(res, 200, {
+    runId: result.runId,
+    weeks: (result.weeks || []).map(week => week.week),
+    planned: result.planned,
+    alreadyPresent: result.alreadyPresent,
+    skipped: result.skipped || [],
+    conflicts: result.conflicts || [],
+    ...(result.profiles && { profiles: result.profiles }),
+  });
+}
+
+/**
+ * Verifica la conexión con Notion y con los destinos de la configuración en curso
+ * @returns {Promise<Object>} Zona horaria y destinos verificados
+ */
+async function checkConnections() {
+  const sinks = createSinks();
+  if (usesNotion(sinks)) {
+    await verifyConnection();
+  }
+  for (const sink of sinks) {
+    if (sink.verify) {
+      await sink.verify();
+    }
+  }
+
+  return { timezone: config.timezone, sinks: sinks.map(sink => sink.name) };
+}
+
+/**
+ * GET /health: verifica las conexiones (de cada perfil, si hay perfiles)
+ * @param {http.ServerResponse} res - Respuesta
+ */
+async function health(res) {
+  const queue = getQueueStatus();
+  const profiles = loadProfiles();
+
+  if (profiles.length === 0) {
+    try {
+      sendJson(res, 200, { status: 'ok', ...await checkConnections(), queue });
+    } catch (error) {
+      logger.warn(`⚠ Health check fallido: ${error.message}`);
+      sendJson(res, 503, { status: 'error', error: error.message, queue });
+    }
+    return;
+  }
+
+  const checks = [];
+  for (const profile of profiles) {
+    try {
+      checks.push({ profile: profile.name, status: 'ok', ...await runWithProfile(profile, checkConnections) });
+    } catch (error) {
+      logger.warn(`⚠ Health check fallido en el perfil ${profile.name}: ${error.message}`);
+      checks.push({ profile: profile.name, status: 'error', error: error.message });
+    }
+  }
+
+  const ok = checks.every(check => check.status === 'ok');
+  sendJson(res, ok ? 200 : 503, { status: ok ? 'ok' : 'error', profiles: checks, queue });
+}
+
+/**
+ * GET /metrics: métricas en formato de texto de Prometheus
+ * @param {http.ServerResponse} res - Respuesta
+ */
+async function sendMetrics(res) {
+  const payload = await getMetricsText();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+  });
+  res.end(payload);
+}
+
+/**
+ * Atiende una petición
+ * @param {http.IncomingMessage} req - Petición
+ * @param {http.ServerResponse} res - Respuesta
+ * @param {Object} options - Token y opciones base para generateWeek
+ */
+async function handleRequest(req, res, options) {
+  const url = new URL(req.url, 'http://localhost');
+  const runMatch = /^\/runs\/([\w-]+)$/.exec(url.pathname);
+
+  try {
+    if (!isAuthorized(req, options.token)) {
+      sendJson(res, 401, { error: 'No autorizado' }, { 'WWW-Authenticate': 'Bearer' });
+      return;
+    }
+
+    if (url.pathname === '/runs' && req.method === 'POST') {
+      await createRun(req, res, options.generateOptions);
+    } else if (runMatch && req.method === 'GET') {
+      await showRun(res, runMatch[1]);
+    } else if (url.pathname === '/preview' && req.method === 'GET') {
+      await preview(res, url.searchParams, options.generateOptions);
+    } else if (url.pathname === '/health' && req.method === 'GET') {
+      await health(res);
+    } else if (url.pathname === '/metrics' && req.method === 'GET') {
+      await sendMetrics(res);
+    } else {
+      throw new HttpError(404, `Ruta no encontrada: ${req.method} ${url.pathname}`);
+    }
+  } catch (error) {
+    const status = error instanceof HttpError ? error.status : error instanceof ValidationError ? 400 : 500;
+    if (status === 500) {
+      logger.error(`Error en ${req.method} ${url.pathname}: ${error.message}`);
+    }
+    if (!res.headersSent) {
+      sendJson(res, status, { error: error.message, ...(error.field && { field: error.field }) });
+    }
+  } finally {
+    // Los scrapes periódicos de /metrics no llenan el log
+    const log = url.pathname === '/metrics' ? logger.debug : logger.info;
+    log(`${req.method} ${url.pathname} ${res.statusCode}`);
+  }
+}
+
+/**
+ * Arranca la API HTTP y la mantiene hasta recibir SIGTERM o SIGINT
+ * @param {Object} [options={}] - Opciones del servidor
+ * @param {string} [options.host=config.server.host] - Dirección en la que escuchar
+ * @param {number} [options.port=config.server.port] - Puerto
+ * @param {string} [options.token=config.server.token] - Token de acceso
+ * @param {Object} [options.generateOptions={}] - Opciones base para generateWeek (sin target)
+ * @returns {Promise<void>} Se resuelve cuando el servidor se detiene
+ * @throws {ValidationError} Si no hay token configurado
+ */
+export async function startServer(options = {}) {
+  const {
+    host = config.server.host,
+    port = config.server.port,
+    token = config.server.token,
+    generateOptions = {},
+  } = options;
+
+  if (!token) {
+    throw new ValidationError('La API HTTP requiere un token (SERVER_TOKEN)', 'serverToken');
+  }
+
+  const server = createServer((req, res) => handleRequest(req, res, { token, generateOptions }));
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  logger.info(`✓ API HTTP escuchando en http://${address.address}:${address.port}`);
+
+  return new Promise(resolve => {
+    /**
+     * Deja de aceptar peticiones y espera a las generaciones en cola
+     * @param {string} signal - Señal recibida
+     */
+    async function onSignal(signal) {
+      process.off('SIGTERM', onSignal);
+      process.off('SIGINT', onSignal);
+      logger.info(`Señal ${signal} recibida, deteniendo la API HTTP...`);
+
+      server.close();
+      server.closeIdleConnections();
+      await waitForIdle();
+
+      logger.info('✓ API HTTP detenida');
+      resolve();
+    }
+
+    process.on('SIGTERM', onSignal);
+    process.on('SIGINT', onSignal);
+  });
+}
+
+export default startServer;
@@ -0,0 +1,51 @@
+/**
+ * Servicio de estado del daemon
+ * Guarda la marca de la última ejecución programada que terminó bien, para
+ * detectar al arrancar las ejecuciones perdidas mientras el daemon estuvo detenido
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { createLogger } from '../utils/logger.js';
+import config from '../config/environment.js';
+
+const logger = createLogger('DaemonState');
+
+/**
+ * Lee el estado guardado del daemon
+ * @returns {Promise<Object>} Estado ({ lastScheduledAt, lastSuccessAt, lastRunId }); vacío si no existe
+ */
+export async function loadDaemonState() {
+  try {
+    return JSON.parse(await readFile(config.daemon.stateFile, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    if (error instanceof SyntaxError) {
+      logger.warn(`⚠ ${config.daemon.stateFile} está corrupto, se ignora`);
+      return {};
+    }
+    throw error;
+  }
+}
+
+/**
+ * Guarda el estado del daemon
+ * @param {Object} state - Estado a guardar
+ * @param {string} state.lastScheduledAt - Ejecución programada cubierta (ISO)
+ * @param {string} state.lastSuccessAt - Momento en que terminó la generación (ISO)
+ * @param {string} state.lastRunId - ID de la ejecución de generateWeek
+ * @returns {Promise<void>}
+ */
+export async function saveDaemonState(state) {
+  await mkdir(dirname(config.daemon.stateFile), { recursive: true });
+  await writeFile(config.daemon.stateFile, JSON.stringify(state, null, 2), 'utf8');
+
+  logger.debug(`Estado del daemon guardado en ${config.daemon.stateFile}`);
+}
+
+export default {
+  loadDaemonState,
+  saveDaemonState,
+};
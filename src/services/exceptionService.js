@@ -0,0 +1,169 @@
+/**
+ * Servicio de excepciones del calendario
+ * Reúne las excepciones de todas las fuentes configuradas: archivo local
+ * (.json o .ics), festivos incorporados por país y base de datos de Notion
+ */
+
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { addDays, format, parseISO } from 'date-fns';
+import { createLogger } from '../utils/logger.js';
+import { ValidationError } from '../utils/errorHandler.js';
+import { parseIcs, parseIcsDate, getIcsText } from '../utils/ics.js';
+import { getHolidays } from '../utils/holidays.js';
+import { normalizeException } from '../utils/exceptionCalendar.js';
+import { getExceptionEntries } from './notionService.js';
+import { databases } from '../config/notion.js';
+import config from '../config/environment.js';
+
+const logger = createLogger('Exceptions');
+
+/**
+ * Carga las excepciones que afectan a un rango de días
+ * @param {Date} rangeStart - Primer día del rango
+ * @param {Date} rangeEnd - Último día del rango (inclusive)
+ * @returns {Promise<Array<Object>>} Excepciones normalizadas (ver normalizeException)
+ * @throws {ValidationError} Si alguna fuente contiene excepciones inválidas
+ */
+export async function loadExceptions(rangeStart, rangeEnd) {
+  const exceptions = [];
+
+  if (config.exceptions.file) {
+    exceptions.push(...await readExceptionsFile(config.exceptions.file));
+  }
+
+  for (const country of config.exceptions.holidayCountries) {
+    exceptions.push(...getHolidayExceptions(country, rangeStart, rangeEnd));
+  }
+
+  if (databases.exceptions) {
+    const entries = await getExceptionEntries();
+    exceptions.push(...entries.map(entry => normalizeException(entry, 'Exceptions DB')));
+  }
+
+  const from = format(rangeStart, 'yyyy-MM-dd');
+  const to = format(rangeEnd, 'yyyy-MM-dd');
+  const inRange = exceptions.filter(exception => exception.start <= to && exception.end >= from);
+
+  logger.debug(`${inRange.length} excepciones entre ${from} y ${to} (${exceptions.length} en total)`);
+  return inRange;
+}
+
+/**
+ * Convierte los festivos de un país en excepciones
+ * La acción depende de HOLIDAY_ROUTINE y HOLIDAY_SKIP_TAGS; sin ellas se omite el día
+ * @param {string} country - Código de país
+ * @param {Date} rangeStart - Primer día del rango
+ * @param {Date} rangeEnd - Último día del rango
+ * @returns {Array<Object>} Excepciones normalizadas
+ */
+function getHolidayExceptions(country, rangeStart, rangeEnd) {
+  const exceptions = [];
+  const { holidaySkipTags, holidayRoutine } = config.exceptions;
+
+  for (let year = rangeStart.getFullYear(); year <= rangeEnd.getFullYear(); year++) {
+    for (const holiday of getHolidays(country, year)) {
+      exceptions.push(normalizeException({
+        date: holiday.date,
+        name: `${holiday.name} (${country.toUpperCase()})`,
+        tags: holidaySkipTags,
+        routine: holidayRoutine,
+      }, `festivos ${country.toUpperCase()}`));
+    }
+  }
+
+  return exceptions;
+}
+
+/**
+ * Lee un archivo local de excepciones
+ * @param {string} filePath - Ruta del archivo (.json o .ics)
+ * @returns {Promise<Array<Object>>} Excepciones normalizadas
+ * @throws {ValidationError} Si el archivo no existe o su formato no es válido
+ */
+async function readExceptionsFile(filePath) {
+  let content;
+
+  try {
+    content = await readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new ValidationError(`No existe el archivo de excepciones ${filePath}`, 'exceptionsFile');
+    }
+    throw error;
+  }
+
+  const extension = extname(filePath).toLowerCase();
+
+  if (extension === '.ics') {
+    return parseIcsExceptions(content, filePath);
+  }
+
+  if (extension === '.json') {
+    return parseJsonExceptions(content, filePath);
+  }
+
+  throw new ValidationError(`Formato de excepciones no soportado: ${filePath} (usa .json o .ics)`, 'exceptionsFile');
+}
+
+/**
+ * Interpreta un archivo JSON de excepciones
+ * Acepta una lista (o { "exceptions": [...] }) de fechas sueltas ("2026-12-24")
+ * u objetos ({ date, end?, name?, action?, tags?, routine? })
+ * @param {string} content - Contenido del archivo
+ * @param {string} filePath - Ruta del archivo (para los mensajes)
+ * @returns {Array<Object>} Excepciones normalizadas
+ * @throws {ValidationError} Si el JSON no es válido
+ */
+function parseJsonExceptions(content, filePath) {
+  let data;
+
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new ValidationError(`JSON inválido en ${filePath}: ${error.message}`, 'exceptionsFile');
+  }
+
+  const entries = Array.isArray(data) ? data : data.exceptions;
+  if (!Array.isArray(entries)) {
+    throw new ValidationError(`${filePath} debe contener una lista de excepciones`, 'exceptionsFile');
+  }
+
+  return entries.map(entry => normalizeException(
+    typeof entry === 'string' ? { date: entry } : entry,
+    filePath
+  ));
+}
+
+/**
+ * Interpreta un archivo .ics de excepciones
+ * Cada VEVENT cubre los días entre DTSTART y DTEND (exclusivo, como en los
+ * eventos de día completo); con CATEGORIES solo se omiten las filas con esas etiquetas
+ * @param {string} content - Contenido del archivo
+ * @param {string} filePath - Ruta del archivo (para los mensajes)
+ * @returns {Array<Object>} Excepciones normalizadas
+ */
+function parseIcsExceptions(content, filePath) {
+  return parseIcs(content).map(event => {
+    const start = parseIcsDate(event.DTSTART);
+    const end = parseIcsDate(event.DTEND);
+    let lastDay = start?.date;
+
+    if (end) {
+      // DTEND es exclusivo salvo que termine a media jornada
+      const exclusive = !end.time || end.time === '00:00:00';
+      lastDay = exclusive ? format(addDays(parseISO(end.date), -1), 'yyyy-MM-dd') : end.date;
+    }
+
+    return normalizeException({
+      name: getIcsText(event.SUMMARY) || undefined,
+      date: start?.date,
+      end: lastDay && lastDay > start.date ? lastDay : start?.date,
+      tags: getIcsText(event.CATEGORIES).split(','),
+    }, filePath);
+  });
+}
+
+export default {
+  loadExceptions,
+};
@@ -0,0 +1,161 @@
+/**
+ * Servicio de historial de ejecuciones
+ * Registra el resultado de cada ejecución de generateWeek en un archivo JSON Lines
+ * y permite consultar ejecuciones pasadas y semanas sin generar
+ */
+
+import { createHash } from 'crypto';
+import { readFile, appendFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { addWeeks } from 'date-fns';
+import { createLogger } from '../utils/logger.js';
+import { ValidationError } from '../utils/errorHandler.js';
+import { formatIsoWeek } from '../utils/dateHelper.js';
+import config from '../config/environment.js';
+
+const logger = createLogger('History');
+
+/**
+ * Calcula un hash de las tareas de plantilla para detectar cambios entre ejecuciones
+ * @param {Array<Object>} tasks - Tareas de plantilla
+ * @returns {string} Hash SHA-256 (primeros 16 caracteres)
+ */
+export function hashTemplateTasks(tasks) {
+  const snapshot = [...tasks]
+    .sort((a, b) => String(a.id).localeCompare(String(b.id)))
+    .map(task => JSON.stringify(task));
+
+  return createHash('sha256').update(snapshot.join('\n')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Agrega una ejecución al historial
+ * @param {Object} entry - Resumen de la ejecución
+ * @returns {Promise<void>}
+ */
+export async function appendHistoryEntry(entry) {
+  const filePath = config.runs.historyFile;
+
+  await mkdir(dirname(filePath), { recursive: true });
+  await appendFile(filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+
+  logger.debug(`Ejecución ${entry.runId} registrada en ${filePath}`);
+}
+
+/**
+ * Lee el historial completo, de la ejecución más reciente a la más antigua
+ * Las líneas corruptas se ignoran con una advertencia
+ * @returns {Promise<Array<Object>>} Entradas del historial
+ */
+export async function readHistory() {
+  let content;
+
+  try {
+    content = await readFile(config.runs.historyFile, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const entries = [];
+  const lines = content.split('\n').filter(line => line.trim());
+
+  lines.forEach((line, index) => {
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      logger.warn(`Línea ${index + 1} del historial ignorada: JSON inválido`);
+    }
+  });
+
+  return entries.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * Busca una ejecución en el historial
+ * @param {string} runId - ID de la ejecución o "last" para la más reciente
+ * @returns {Promise<Object>} Entrada del historial
+ * @throws {ValidationError} Si la ejecución no existe
+ */
+export async function findHistoryEntry(runId) {
+  const entries = await readHistory();
+  const entry = runId === 'last' ? entries[0] : entries.find(e => e.runId === runId);
+
+  if (!entry) {
+    throw new ValidationError(`No existe la ejecución ${runId} en el historial`, 'runId');
+  }
+
+  return entry;
+}
+
+/**
+ * Calcula el estado de generación de cada semana de un rango
+ * Se usa la ejecución real (no dry-run ni solo ICS) más reciente que cubrió cada semana:
+ * - complete: todos los eventos se crearon o ya existían
+ * - partial: hubo eventos fallidos, tareas con errores o la ejecución falló
+ * - missing: ninguna ejecución generó esa semana
+ * Un rollback posterior a esa ejecución que quitó eventos de la semana la deja en missing
+ * si quitó todo lo que la ejecución dejó en el calendario, o en partial si no
+ * @param {Array<Object>} entries - Entradas del historial (más recientes primero)
+ * @param {Date} lastWeekStart - Lunes de la última semana a revisar
+ * @param {number} count - Número de semanas a revisar hacia atrás
+ * @param {Map<string, Object>} [rolledBack=new Map()] - Rollbacks por ejecución (ver loadRolledBackWeeks)
+ * @returns {Array<Object>} Estado por semana ({ week, status, runId, rolledBack })
+ */
+export function getWeekCoverage(entries, lastWeekStart, count, rolledBack = new Map()) {
+  const coverage = [];
+
+  for (let i = count - 1; i >= 0; i--) {
+    const week = formatIsoWeek(addWeeks(lastWeekStart, -i));
+    let status = 'missing';
+    let runId = null;
+    let weekRolledBack = false;
+
+    for (const entry of entries) {
+      if (entry.dryRun || entry.icsOnly) {
+        continue;
+      }
+
+      const weekResult = (entry.weekResults || []).find(result => result.week === week);
+      if (!weekResult && !(entry.weeks || []).includes(week)) {
+        continue;
+      }
+
+      runId = entry.runId;
+      status = entry.success && weekResult &&
+        weekResult.failed === 0 && weekResult.transformErrors === 0
+        ? 'complete'
+        : 'partial';
+
+      const rollbacks = [...rolledBack].filter(([rolledBackRunId, rollback]) =>
+        rollback.weeks.get(week)?.removed > 0 &&
+        (rolledBackRunId === entry.runId || rollback.at > entry.finishedAt));
+      if (rollbacks.length > 0) {
+        weekRolledBack = true;
+        // Solo si se deshizo esta misma ejecución se sabe qué queda: lo que ya existía y lo que no se archivó
+        const ownRollback = rollbacks.length === 1 && rollbacks[0][0] === entry.runId
+          ? rollbacks[0][1].weeks.get(week)
+          : null;
+        status = ownRollback && ownRollback.kept === 0 && !(weekResult?.alreadyPresent > 0)
+          ? 'missing'
+          : 'partial';
+      }
+      break;
+    }
+
+    coverage.push({ week, status, runId, rolledBack: weekRolledBack });
+  }
+
+  return coverage;
+}
+
+export default {
+  hashTemplateTasks,
+  appendHistoryEntry,
+  readHistory,
+  findHistoryEntry,
+  getWeekCoverage,
+};
+
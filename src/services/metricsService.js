@@ -0,0 +1,139 @@
+/**
+ * Servicio de métricas de las ejecuciones
+ * Registra el resultado de cada generación en las métricas de Prometheus y las
+ * exporta a METRICS_FILE (ejecuciones puntuales) o por /metrics (API HTTP)
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { metrics, renderMetrics, loadMetricsFile, writeMetricsFile } from '../utils/metrics.js';
+import { readHistory } from './historyService.js';
+import config from '../config/environment.js';
+
+const logger = createLogger('Metrics');
+
+/**
+ * Carga de la última generación exitosa desde el historial (una sola vez por proceso)
+ */
+let lastSuccessLoaded = null;
+
+/**
+ * Carga de los valores anteriores de METRICS_FILE (una sola vez por proceso)
+ */
+let metricsFileLoaded = null;
+
+/**
+ * Indica si una ejecución terminó sin eventos fallidos
+ * @param {Object} result - Resultado de generateWeek o entrada del historial
+ * @returns {boolean} true si la ejecución fue completa
+ */
+function isCompleteRun(result) {
+  return Boolean(result?.success) && !(result.failed > 0);
+}
+
+/**
+ * Inicializa la métrica de la última generación exitosa con el historial
+ * Así un proceso recién arrancado no informa "nunca" si ya hubo generaciones
+ * @returns {Promise<void>}
+ */
+function loadLastSuccess() {
+  if (!lastSuccessLoaded) {
+    lastSuccessLoaded = readHistory()
+      .then(entries => {
+        // La más reciente de cada perfil (las ejecuciones sin perfil van sin etiqueta)
+        for (const entry of entries) {
+          const labels = { profile: entry.profile };
+          if (!entry.dryRun && !entry.icsOnly && isCompleteRun(entry) && metrics.lastSuccess.get(labels) === undefined) {
+            metrics.lastSuccess.set(labels, Math.floor(Date.parse(entry.finishedAt) / 1000));
+          }
+        }
+      })
+      .catch(error => {
+        logger.warn(`⚠ No se pudo leer el historial para las métricas: ${error.message}`);
+      });
+  }
+
+  return lastSuccessLoaded;
+}
+
+/**
+ * Carga los valores que dejó la ejecución anterior en METRICS_FILE
+ * Cada ejecución puntual es un proceso nuevo: sin esto, los contadores del archivo
+ * volverían a empezar en cero en cada una
+ * @returns {Promise<void>}
+ */
+function loadPreviousMetrics() {
+  if (!metricsFileLoaded) {
+    const filePath = config.metrics.file;
+    metricsFileLoaded = loadMetricsFile(filePath)
+      .then(loaded => {
+        if (loaded > 0) {
+          logger.debug(`${loaded} series de métricas cargadas de ${filePath}`);
+        }
+      })
+      .catch(error => {
+        logger.warn(`⚠ No se pudieron leer las métricas anteriores de ${filePath}: ${error.message}`);
+      });
+  }
+
+  return metricsFileLoaded;
+}
+
+/**
+ * Registra el resultado de una ejecución de generateWeek
+ * Nunca lanza: un fallo al exportar las métricas no debe afectar a la generación
+ * @param {Object|null} result - Resultado de generateWeek (null si la ejecución lanzó un error)
+ * @param {Object} run - Datos de la ejecución
+ * @param {string} run.mode - generate, dry_run o ics_only
+ * @param {string} [run.profile] - Perfil de la ejecución (etiqueta profile de las métricas)
+ * @param {number} run.durationSeconds - Duración en segundos
+ * @returns {Promise<void>}
+ */
+export async function recordRunMetrics(result, { mode, profile, durationSeconds }) {
+  await loadLastSuccess();
+
+  const status = !result?.success ? 'failed' : result.failed > 0 ? 'partial' : 'success';
+  metrics.runs.inc({ mode, status, profile });
+  metrics.runDuration.observe({ mode, profile }, durationSeconds);
+
+  // Solo las generaciones reales crean eventos
+  if (mode === 'generate' && result) {
+    for (const sink of result.sinks || []) {
+      metrics.eventsCreated.inc({ sink: sink.sink, profile }, sink.created);
+      metrics.eventsFailed.inc({ sink: sink.sink, profile }, sink.failed);
+      metrics.eventsAlreadyPresent.inc({ sink: sink.sink, profile }, sink.alreadyPresent);
+    }
+
+    metrics.lastRunEvents.set({ result: 'created', profile }, result.created || 0);
+    metrics.lastRunEvents.set({ result: 'failed', profile }, result.failed || 0);
+    metrics.lastRunEvents.set({ result: 'already_present', profile }, result.alreadyPresent || 0);
+
+    if (isCompleteRun(result)) {
+      metrics.lastSuccess.set({ profile }, Math.floor(Date.now() / 1000));
+    }
+  }
+
+  if (config.metrics.file) {
+    await loadPreviousMetrics();
+
+    try {
+      await writeMetricsFile(config.metrics.file);
+      logger.debug(`Métricas escritas en ${config.metrics.file}`);
+    } catch (error) {
+      logger.warn(`⚠ No se pudieron escribir las métricas en ${config.metrics.file}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Devuelve las métricas actuales en formato de texto de Prometheus
+ * @returns {Promise<string>} Métricas en texto
+ */
+export async function getMetricsText() {
+  await loadLastSuccess();
+  return renderMetrics();
+}
+
+export default {
+  recordRunMetrics,
+  getMetricsText,
+};
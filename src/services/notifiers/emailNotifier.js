@@ -0,0 +1,31 @@
+/**
+ * Notificaciones por email (SMTP)
+ */
+
+import { sendMail } from '../../utils/smtpClient.js';
+import { formatSummaryText } from './summary.js';
+
+/**
+ * Crea el canal que envía el resumen por email
+ * @param {Object} options - Configuración del canal
+ *   ({ host, port, secure, username, password, from, to, on })
+ * @returns {Object} Canal de notificación (ver notifiers/index.js)
+ */
+export function createEmailNotifier(options) {
+  return {
+    name: 'email',
+    on: options.on,
+    send: async summary => {
+      const { title, text } = formatSummaryText(summary);
+
+      await sendMail(options, {
+        from: options.from,
+        to: options.to,
+        subject: `[Auto Notion Scheduler] ${title}`,
+        text,
+      });
+    },
+  };
+}
+
+export default createEmailNotifier;
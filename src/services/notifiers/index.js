@@ -0,0 +1,134 @@
+/**
+ * Notificaciones del resultado de cada ejecución
+ * Tras cada generación (salvo dry-run y solo ICS) se envía un resumen por los
+ * canales configurados: webhook JSON, Slack/Discord y email.
+ *
+ * Cada canal expone la misma interfaz:
+ * - name: tipo de canal ("webhook", "chat" o "email")
+ * - on: cuándo avisar ("always", "failure" o "success")
+ * - send(summary): envía el resumen (ver buildRunSummary)
+ */
+
+import { createLogger } from '../../utils/logger.js';
+import { ValidationError } from '../../utils/errorHandler.js';
+import { createWebhookNotifier, createChatNotifier, CHAT_FORMATS } from './webhookNotifier.js';
+import { createEmailNotifier } from './emailNotifier.js';
+import { buildRunSummary } from './summary.js';
+import config from '../../config/environment.js';
+
+const logger = createLogger('Notifiers');
+
+/**
+ * Cuándo puede avisar un canal
+ * - always: después de cada ejecución
+ * - failure: si la ejecución falló o algún evento no se pudo crear
+ * - success: solo si todo se creó correctamente
+ */
+export const NOTIFY_CONDITIONS = ['always', 'failure', 'success'];
+
+/**
+ * Crea los canales configurados
+ * @param {Object} [options=config.notifications] - Configuración de los canales
+ * @returns {Array<Object>} Canales de notificación (vacío si no hay ninguno)
+ * @throws {ValidationError} Si un canal tiene una configuración inválida
+ */
+export function createNotifiers(options = config.notifications) {
+  const notifiers = [];
+
+  if (options.webhook.url) {
+    validateCondition(options.webhook.on, 'NOTIFY_WEBHOOK_ON');
+    notifiers.push(createWebhookNotifier(options.webhook));
+  }
+
+  if (options.chat.url) {
+    validateCondition(options.chat.on, 'NOTIFY_CHAT_ON');
+    if (!CHAT_FORMATS.includes(options.chat.format)) {
+      throw new ValidationError(
+        `Formato de chat inválido: ${options.chat.format} (usa ${CHAT_FORMATS.join(', ')})`,
+        'NOTIFY_CHAT_FORMAT'
+      );
+    }
+    notifiers.push(createChatNotifier(options.chat));
+  }
+
+  if (options.email.host) {
+    validateCondition(options.email.on, 'NOTIFY_EMAIL_ON');
+    if (!options.email.from || options.email.to.length === 0) {
+      throw new ValidationError('Las notificaciones por email requieren NOTIFY_EMAIL_FROM y NOTIFY_EMAIL_TO', 'email');
+    }
+    notifiers.push(createEmailNotifier(options.email));
+  }
+
+  return notifiers;
+}
+
+/**
+ * Envía el resumen de una ejecución por los canales que correspondan
+ * Nunca lanza: un canal que falla se registra en el log y no afecta a la ejecución
+ * @param {Object} result - Resultado de generateWeek
+ * @param {Object} [options={}] - Opciones del envío
+ * @param {string[]} [options.weeks=[]] - Semanas objetivo de la ejecución
+ * @param {string|null} [options.profile=null] - Perfil de la ejecución
+ * @param {Array<Object>} [options.notifiers] - Canales; por defecto los configurados
+ * @returns {Promise<Array<Object>>} Resultado por canal ({ channel, sent, error })
+ */
+export async function sendRunNotifications(result, options = {}) {
+  let notifiers;
+  try {
+    notifiers = options.notifiers || createNotifiers();
+  } catch (error) {
+    logger.error(`Configuración de notificaciones inválida: ${error.message}`);
+    return [];
+  }
+
+  const summary = buildRunSummary(result, options.weeks || [], options.profile || null);
+  const selected = notifiers.filter(notifier => shouldNotify(notifier.on, summary.status));
+
+  return Promise.all(selected.map(async notifier => {
+    try {
+      await notifier.send(summary);
+      logger.info(`✓ Notificación enviada por ${notifier.name}`);
+      return { channel: notifier.name, sent: true };
+    } catch (error) {
+      logger.error(`No se pudo enviar la notificación por ${notifier.name}: ${error.message}`);
+      return { channel: notifier.name, sent: false, error: error.message };
+    }
+  }));
+}
+
+/**
+ * Indica si un canal debe avisar según el estado de la ejecución
+ * @param {string} condition - Condición del canal (always, failure o success)
+ * @param {string} status - Estado de la ejecución (success, partial o failed)
+ * @returns {boolean} true si hay que avisar
+ */
+function shouldNotify(condition, status) {
+  if (condition === 'failure') {
+    return status !== 'success';
+  }
+  if (condition === 'success') {
+    return status === 'success';
+  }
+  return true;
+}
+
+/**
+ * Valida la condición de un canal
+ * @param {string} condition - Condición configurada
+ * @param {string} variable - Variable de entorno (para el mensaje de error)
+ * @throws {ValidationError} Si la condición no existe
+ */
+function validateCondition(condition, variable) {
+  if (!NOTIFY_CONDITIONS.includes(condition)) {
+    throw new ValidationError(
+      `Valor inválido en ${variable}: ${condition} (usa ${NOTIFY_CONDITIONS.join(', ')})`,
+      variable
+    );
+  }
+}
+
+export default {
+  NOTIFY_CONDITIONS,
+  createNotifiers,
+  sendRunNotifications,
+};
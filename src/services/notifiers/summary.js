@@ -0,0 +1,78 @@
+/**
+ * Resumen de una ejecución para las notificaciones
+ */
+
+/**
+ * Eventos fallidos que se listan en los mensajes de texto
+ */
+const MAX_LISTED_FAILURES = 20;
+
+/**
+ * Construye el resumen de una ejecución de generateWeek
+ * @param {Object} result - Resultado de generateWeek
+ * @param {string[]} [weeks=[]] - Semanas objetivo (ej: ["2026-W44"])
+ * @param {string|null} [profile=null] - Perfil de la ejecución (ver config/profiles.js)
+ * @returns {Object} Resumen ({ runId, profile, status, weeks, created, alreadyPresent, failed,
+ *   duration, failures: [{ event, week, sink, error }], error })
+ */
+export function buildRunSummary(result, weeks = [], profile = null) {
+  let status = 'success';
+  if (!result.success) {
+    status = 'failed';
+  } else if (result.failed > 0) {
+    status = 'partial';
+  }
+
+  return {
+    runId: result.runId,
+    profile,
+    status,
+    weeks,
+    created: result.created,
+    alreadyPresent: result.alreadyPresent,
+    failed: result.failed,
+    duration: Number(result.duration),
+    failures: (result.errors || []).map(({ event, week, sink, error }) => ({ event, week, sink, error })),
+    error: result.error || null,
+  };
+}
+
+/**
+ * Convierte el resumen en un título y un texto legibles
+ * @param {Object} summary - Resumen de la ejecución (ver buildRunSummary)
+ * @returns {Object} Título y texto ({ title, text })
+ */
+export function formatSummaryText(summary) {
+  const weeks = `${summary.weeks.join(', ') || 'sin semanas'}${summary.profile ? ` (${summary.profile})` : ''}`;
+  const titles = {
+    success: `✓ Semana generada: ${weeks}`,
+    partial: `⚠ Semana generada con errores: ${weeks}`,
+    failed: `✗ Falló la generación: ${weeks}`,
+  };
+
+  const lines = [
+    `Ejecución: ${summary.runId}`,
+    `Creados: ${summary.created} · Ya presentes: ${summary.alreadyPresent} · Fallidos: ${summary.failed} · Duración: ${summary.duration}s`,
+  ];
+
+  if (summary.error) {
+    lines.push(`Error: ${summary.error}`);
+  }
+
+  if (summary.failures.length > 0) {
+    lines.push('Eventos fallidos:');
+    for (const failure of summary.failures.slice(0, MAX_LISTED_FAILURES)) {
+      lines.push(`- ${failure.event || 'todos los eventos'} (${failure.week}, ${failure.sink}): ${failure.error}`);
+    }
+    if (summary.failures.length > MAX_LISTED_FAILURES) {
+      lines.push(`- ... y ${summary.failures.length - MAX_LISTED_FAILURES} más`);
+    }
+  }
+
+  return { title: titles[summary.status], text: lines.join('\n') };
+}
+
+export default {
+  buildRunSummary,
+  formatSummaryText,
+};
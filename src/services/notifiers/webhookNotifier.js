@@ -0,0 +1,108 @@
+/**
+ * Notificaciones por webhook
+ * - webhook: envía el resumen completo como JSON a cualquier URL
+ * - chat: envía un mensaje de texto con el formato de los webhooks entrantes
+ *   de Slack ({ text }) o de Discord ({ content })
+ */
+
+import { NotificationError, retryOperation } from '../../utils/errorHandler.js';
+import { formatSummaryText } from './summary.js';
+
+/**
+ * Tiempo máximo de espera de cada petición
+ */
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Longitud máxima de un mensaje de Discord
+ */
+const DISCORD_MAX_LENGTH = 2000;
+
+/**
+ * Formatos de mensaje del canal chat
+ */
+export const CHAT_FORMATS = ['slack', 'discord'];
+
+/**
+ * Crea el canal que envía el resumen como JSON
+ * El cuerpo es { event: "run.finished", ...resumen } (ver buildRunSummary)
+ * @param {Object} options - Configuración del canal ({ url, on })
+ * @returns {Object} Canal de notificación (ver notifiers/index.js)
+ */
+export function createWebhookNotifier(options) {
+  return {
+    name: 'webhook',
+    on: options.on,
+    send: summary => postJson(options.url, { event: 'run.finished', ...summary }),
+  };
+}
+
+/**
+ * Crea el canal que envía el resumen como mensaje de Slack o Discord
+ * @param {Object} options - Configuración del canal ({ url, format, on })
+ * @returns {Object} Canal de notificación (ver notifiers/index.js)
+ */
+export function createChatNotifier(options) {
+  return {
+    name: 'chat',
+    on: options.on,
+    send: summary => {
+      const { title, text } = formatSummaryText(summary);
+
+      // Slack marca la negrita con un asterisco y Discord con dos
+      return postJson(options.url, options.format === 'discord'
+        ? { content: truncate(`**${title}**\n${text}`, DISCORD_MAX_LENGTH) }
+        : { text: `*${title}*\n${text}` });
+    },
+  };
+}
+
+/**
+ * Envía un cuerpo JSON por POST, reintentando errores transitorios
+ * @param {string} url - URL del webhook
+ * @param {Object} body - Cuerpo a enviar
+ * @returns {Promise<void>}
+ * @throws {NotificationError} Si el servidor no responde 2xx
+ */
+async function postJson(url, body) {
+  await retryOperation(async () => {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+    } catch (error) {
+      throw new NotificationError(`No se pudo conectar con ${new URL(url).host}: ${error.message}`, error);
+    }
+
+    if (!response.ok) {
+      const error = new NotificationError(
+        `El webhook ${new URL(url).host} respondió HTTP ${response.status}`,
+        null,
+        response.status
+      );
+      // Para respetar Retry-After en los reintentos (Slack y Discord lo envían con 429)
+      error.headers = response.headers;
+      throw error;
+    }
+  }, 3, 1000, { name: 'webhook' });
+}
+
+/**
+ * Recorta un texto a una longitud máxima
+ * @param {string} text - Texto
+ * @param {number} max - Longitud máxima
+ * @returns {string} Texto recortado con "…" si hacía falta
+ */
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+export default {
+  CHAT_FORMATS,
+  createWebhookNotifier,
+  createChatNotifier,
+};
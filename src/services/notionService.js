@@ -3,13 +3,79 @@
  * Maneja todas las operaciones de lectura y escritura en Notion
  */
 
-import { notionClient, databases } from '../config/notion.js';
+import { getNotionClient, databases } from '../config/notion.js';
 import { createLogger } from '../utils/logger.js';
-import { NotionError, processNotionError, retryOperation } from '../utils/errorHandler.js';
+import {
+  NotionError,
+  ValidationError,
+  processNotionError,
+} from '../utils/errorHandler.js';
+import { createRequestScheduler } from '../utils/requestScheduler.js';
+import { metrics } from '../utils/metrics.js';
+import { parseNotionDateRange } from '../utils/dateHelper.js';
+import { isFlattenedBlock, toCreatableBlock, copyRichText } from '../utils/notionBlocks.js';
+import {
+  templateSchema,
+  calendarSchema,
+  exceptionsSchema,
+  validateDatabaseSchema,
+  validatePassThroughSchema,
+  parsePassThrough,
+} from '../utils/schemaValidator.js';
 import config from '../config/environment.js';
 
 const logger = createLogger('NotionService');
 
+/**
+ * Todas las peticiones a Notion pasan por el mismo planificador para
+ * respetar el límite de la API (~3 peticiones por segundo)
+ */
+const notionScheduler = createRequestScheduler({ name: 'Notion', ...config.notion.rateLimit });
+
+/**
+ * Ejecuta una petición a Notion a través del planificador y registra sus métricas
+ * Cada intento cuenta por separado: un 429 reintentado suma una petición 429 y otra 200
+ * @param {string} endpoint - Endpoint de la API (ej: "pages.create")
+ * @param {Function} fn - Función que realiza la petición
+ * @returns {Promise} Resultado de la petición
+ */
+function notionRequest(endpoint, fn) {
+  return notionScheduler.run(async () => {
+    const startedAt = process.hrtime.bigint();
+    let status = 200;
+
+    try {
+      return await fn();
+    } catch (error) {
+      status = error.status || 'network';
+      throw error;
+    } finally {
+      metrics.apiRequests.inc({ endpoint, status });
+      metrics.apiRequestDuration.observe({ endpoint }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    }
+  });
+}
+
+/**
+ * Nombres de las propiedades configuradas para cada base de datos
+ * Se leen en cada llamada porque cada perfil puede tener los suyos
+ */
+const templateProps = () => config.notion.properties.template;
+const calendarProps = () => config.notion.properties.calendar;
+const exceptionsProps = () => config.notion.properties.exceptions;
+
+/**
+ * Máximo de bloques por petición de blocks.children.append (límite de la API)
+ */
+const BLOCKS_PER_REQUEST = 100;
+
+/**
+ * Contenido de las páginas de plantilla ya leído, por ID de página
+ * Varias ocurrencias de la misma fila leen el contenido una sola vez; se vacía
+ * en cada lectura de la plantilla para no copiar un contenido antiguo
+ */
+const templateBodies = new Map();
+
 /**
  * Obtiene todas las tareas/eventos de la base de datos de plantillas
  * @returns {Promise<Array>} Lista de tareas de plantilla
@@ -17,20 +83,20 @@ const logger = createLogger('NotionService');
 export async function getTemplateTasks() {
   try {
     logger.info('Obteniendo tareas de la base de datos de plantillas...');
+    templateBodies.clear();
     
-    const response = await retryOperation(async () => {
-      return await notionClient.databases.query({
-        database_id: databases.template,
-        sorts: [
-          {
-            property: 'Day',
-            direction: 'ascending',
-          },
-        ],
-      });
+    // Se ordena por fecha de creación: Day puede ser multi_select, que no admite ordenamiento
+    const pages = await queryDatabaseAll({
+      database_id: databases.template,
+      sorts: [
+        {
+          timestamp: 'created_time',
+          direction: 'ascending',
+        },
+      ],
     });
     
-    const tasks = response.results.map(page => parseTemplatePage(page));
+    const tasks = pages.map(page => parseTemplatePage(page));
     
     logger.info(`Se obtuvieron ${tasks.length} tareas de plantilla`);
     return tasks;
@@ -42,6 +108,96 @@ export async function getTemplateTasks() {
   }
 }
 
+/**
+ * Obtiene los eventos de Calendar DB cuya fecha de inicio cae dentro de un rango
+ * @param {Date} rangeStart - Inicio del rango (inclusive)
+ * @param {Date} rangeEnd - Fin del rango (exclusive)
+ * @returns {Promise<Array>} Lista de eventos existentes
+ */
+export async function getCalendarEventsInRange(rangeStart, rangeEnd) {
+  try {
+    logger.info('Buscando eventos existentes en el calendario...');
+    
+    const pages = await queryDatabaseAll({
+      database_id: databases.calendar,
+      filter: {
+        and: [
+          {
+            property: calendarProps().date,
+            date: {
+              on_or_after: rangeStart.toISOString(),
+            },
+          },
+          {
+            property: calendarProps().date,
+            date: {
+              before: rangeEnd.toISOString(),
+            },
+          },
+        ],
+      },
+    });
+    
+    const events = pages.map(page => parseCalendarPage(page));
+    
+    logger.info(`Se encontraron ${events.length} eventos existentes en el rango`);
+    return events;
+    
+  } catch (error) {
+    const errorMessage = processNotionError(error);
+    logger.error(`Error al obtener eventos existentes: ${errorMessage}`);
+    throw new NotionError(`No se pudieron obtener los eventos existentes: ${errorMessage}`, error);
+  }
+}
+
+/**
+ * Obtiene las entradas de la base de datos de excepciones
+ * @returns {Promise<Array>} Excepciones sin normalizar ({ name, date, end, action, tags, routine })
+ */
+export async function getExceptionEntries() {
+  try {
+    logger.info('Obteniendo excepciones de la base de datos de excepciones...');
+    
+    const pages = await queryDatabaseAll({
+      database_id: databases.exceptions,
+    });
+    
+    const entries = pages.map(page => parseExceptionPage(page));
+    
+    logger.info(`Se obtuvieron ${entries.length} excepciones`);
+    return entries;
+    
+  } catch (error) {
+    const errorMessage = processNotionError(error);
+    logger.error(`Error al obtener excepciones: ${errorMessage}`);
+    throw new NotionError(`No se pudieron obtener las excepciones: ${errorMessage}`, error);
+  }
+}
+
+/**
+ * Ejecuta una consulta a una base de datos recorriendo todas las páginas de resultados
+ * @param {Object} params - Parámetros de databases.query (sin start_cursor)
+ * @returns {Promise<Array>} Todas las páginas devueltas por la consulta
+ */
+async function queryDatabaseAll(params) {
+  const results = [];
+  let cursor;
+  
+  do {
+    const response = await notionRequest('databases.query', async () => {
+      return await getNotionClient().databases.query({
+        ...params,
+        start_cursor: cursor,
+      });
+    });
+    
+    results.push(...response.results);
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+  
+  return results;
+}
+
 /**
  * Parsea una página de Notion de la base de datos de plantillas
  * @param {Object} page - Objeto de página de Notion
@@ -49,14 +205,101 @@ export async function getTemplateTasks() {
  */
 function parseTemplatePage(page) {
   const properties = page.properties;
+  const props = templateProps();
+  const duration = extractNumber(properties[props.duration]);
+  
+  return {
+    id: page.id,
+    // Enlace a la fila, para los mensajes de lint
+    url: page.url || null,
+    name: extractTitle(properties[props.name]),
+    // Day puede ser select o multi_select; varios días se unen con comas ("Monday, Friday")
+    day: extractSelect(properties[props.day]) ||
+      extractMultiSelect(properties[props.day]).join(', '),
+    time: extractText(properties[props.time]),
+    duration: duration ?? 60, // Default 60 minutos
+    // Sin Duration se usan 60 minutos; lint lo reporta
+    durationMissing: duration === null,
+    notes: extractText(properties[props.notes]) || '',
+    // Zona horaria propia de la fila (opcional); si no existe se usa la global
+    timezone: extractText(properties[props.timezone]) ||
+      extractSelect(properties[props.timezone]) || null,
+    // Regla de recurrencia (opcional); sin regla la fila se repite cada semana en su día
+    recurrence: extractText(properties[props.recurrence]) || null,
+    // Etiquetas de la fila, usadas por las excepciones que omiten solo algunas filas
+    tags: extractMultiSelect(properties[props.tags]),
+    // Rutina alternativa a la que pertenece la fila (ej: "Festivo"); sin valor es la rutina normal
+    routine: extractSelect(properties[props.routine]) ||
+      extractText(properties[props.routine]) || null,
+    // Todas las propiedades como texto, para los marcadores {{prop:Nombre}} del nombre y las notas
+    properties: Object.fromEntries(
+      Object.entries(properties).map(([name, property]) => [name, extractPropertyText(property)])
+    ),
+    // Propiedades que se copian tal cual en el evento (PASS_THROUGH_PROPERTIES), por nombre en Calendar DB
+    passThrough: extractPassThrough(page),
+  };
+}
+
+/**
+ * Obtiene los valores de las propiedades que se copian de la fila de plantilla al evento
+ * @param {Object} page - Página de Template DB
+ * @returns {Object|null} Valores a crear por nombre de propiedad en Calendar DB; null si no hay ninguno
+ */
+function extractPassThrough(page) {
+  const values = {};
+  
+  for (const { template, calendar } of parsePassThrough(config.notion.passThrough)) {
+    const property = page.properties[template];
+    const value = property && toPropertyValue(property);
+    if (value) {
+      values[calendar] = value;
+    }
+    if (property?.has_more) {
+      logger.warn(`⚠ "${template}" tiene más valores de los que devuelve Notion en la consulta; solo se copian los primeros`, {
+        templateId: page.id,
+      });
+    }
+  }
+  
+  return Object.keys(values).length > 0 ? values : null;
+}
+
+/**
+ * Parsea una página de Notion de la base de datos de calendario
+ * @param {Object} page - Objeto de página de Notion
+ * @returns {Object} Evento existente parseado ({ id, name, templateId, start, end, allDay })
+ */
+function parseCalendarPage(page) {
+  const properties = page.properties;
+  const props = calendarProps();
   
   return {
     id: page.id,
-    name: extractTitle(properties.Name),
-    day: extractSelect(properties.Day),
-    time: extractText(properties.Time),
-    duration: extractNumber(properties.Duration) || 60, // Default 60 minutos
-    notes: extractText(properties.Notes) || '',
+    name: extractTitle(properties[props.name]),
+    templateId: extractText(properties[props.templateId]) || null,
+    ...parseNotionDateRange(properties[props.date]?.date, config.timezone),
+  };
+}
+
+/**
+ * Parsea una página de Notion de la base de datos de excepciones
+ * Las fechas se reducen al día: una excepción siempre cubre días completos
+ * @param {Object} page - Objeto de página de Notion
+ * @returns {Object} Excepción sin normalizar
+ */
+function parseExceptionPage(page) {
+  const properties = page.properties;
+  const props = exceptionsProps();
+  const date = properties[props.date]?.date;
+  
+  return {
+    name: extractTitle(properties[props.name]),
+    date: date?.start?.slice(0, 10),
+    end: date?.end?.slice(0, 10),
+    action: extractSelect(properties[props.action]) || null,
+    tags: extractMultiSelect(properties[props.tags]),
+    routine: extractSelect(properties[props.routine]) ||
+      extractText(properties[props.routine]) || null,
   };
 }
 
@@ -66,21 +309,37 @@ function parseTemplatePage(page) {
  * @param {string} eventData.name - Nombre del evento
  * @param {Object} eventData.date - Objeto con fechas de inicio y fin
  * @param {string} eventData.notes - Notas del evento
- * @returns {Promise<Object>} Página creada en Notion
+ * @param {string} [eventData.templateId] - ID de la fila de plantilla de origen
+ * @param {Object} [eventData.passThrough] - Propiedades copiadas de la fila de plantilla (nombre -> valor)
+ * @returns {Promise<Object>} Página creada en Notion (con bodyCopiedAt si se copió contenido de la plantilla)
  */
 export async function createCalendarEvent(eventData) {
   try {
-    const { name, date, notes } = eventData;
+    const { name, date, notes, templateId, passThrough } = eventData;
+    const props = calendarProps();
     
-    logger.debug(`Creando evento: ${name} - ${date.start}`);
+    logger.debug(`Creando evento: ${name} - ${date.start}`, { templateId, date: date.start });
     
-    const response = await retryOperation(async () => {
-      return await notionClient.pages.create({
+    const response = await notionRequest('pages.create', async () => {
+      return await getNotionClient().pages.create({
         parent: {
           database_id: databases.calendar,
         },
         properties: {
-          Name: {
+          // Las propiedades de la fila van primero: las del evento no se pueden reemplazar
+          ...passThrough,
+          ...(templateId && {
+            [props.templateId]: {
+              rich_text: [
+                {
+                  text: {
+                    content: templateId,
+                  },
+                },
+              ],
+            },
+          }),
+          [props.name]: {
             title: [
               {
                 text: {
@@ -89,14 +348,14 @@ export async function createCalendarEvent(eventData) {
               },
             ],
           },
-          Date: {
+          [props.date]: {
             date: {
               start: date.start,
               end: date.end,
               time_zone: date.time_zone || config.timezone,
             },
           },
-          Notes: {
+          [props.notes]: {
             rich_text: [
               {
                 text: {
@@ -109,71 +368,255 @@ export async function createCalendarEvent(eventData) {
       });
     });
     
-    logger.debug(`Evento creado exitosamente: ${name}`);
+    // El contenido de la página de plantilla (checklists, toggles...) solo existe si la plantilla es Template DB
+    if (templateId && config.templates.source === 'notion' && config.templates.copyBody) {
+      const copied = await copyTemplateBody(templateId, response.id, name);
+      if (copied) {
+        // Añadir bloques cambia last_edited_time: rollback no debe tomarlo por una edición del usuario
+        response.bodyCopiedAt = new Date().toISOString();
+      }
+    }
+    
+    logger.debug(`Evento creado exitosamente: ${name}`, { templateId, date: date.start, pageId: response.id });
     return response;
     
   } catch (error) {
     const errorMessage = processNotionError(error);
-    logger.error(`Error al crear evento "${eventData.name}": ${errorMessage}`);
+    logger.error(`Error al crear evento "${eventData.name}": ${errorMessage}`, {
+      templateId: eventData.templateId,
+      date: eventData.date?.start,
+    });
     throw new NotionError(`No se pudo crear el evento: ${errorMessage}`, error);
   }
 }
 
 /**
- * Crea múltiples eventos en batch
- * @param {Array<Object>} events - Lista de eventos a crear
- * @returns {Promise<Array>} Lista de eventos creados
+ * Copia el contenido de la página de plantilla en la página de un evento recién creado
+ * Un fallo no deshace el evento: se avisa y el evento queda sin contenido (o con parte)
+ * @param {string} templateId - ID de la página de plantilla
+ * @param {string} pageId - ID de la página del evento
+ * @param {string} name - Nombre del evento (para los logs)
+ * @returns {Promise<boolean>} true si se añadió algún bloque a la página
  */
-export async function createCalendarEventsBatch(events) {
-  logger.info(`Creando ${events.length} eventos en el calendario...`);
+async function copyTemplateBody(templateId, pageId, name) {
+  let appended = false;
   
-  const results = [];
-  const errors = [];
-  
-  for (const event of events) {
-    try {
-      const result = await createCalendarEvent(event);
-      results.push(result);
-    } catch (error) {
-      errors.push({ event, error });
-      logger.error(`Error al crear evento "${event.name}": ${error.message}`);
+  try {
+    const body = await getTemplateBody(templateId);
+    if (body.length > 0) {
+      appended = true;
+      await appendBlockTree(pageId, body);
+      logger.debug(`Contenido de la plantilla copiado en "${name}"`, { templateId, pageId });
     }
+  } catch (error) {
+    const errorMessage = processNotionError(error);
+    logger.warn(`⚠ El evento "${name}" se creó sin el contenido completo de la plantilla: ${errorMessage}`, {
+      templateId,
+      pageId,
+    });
   }
   
-  if (errors.length > 0) {
-    logger.warn(`Se crearon ${results.length} eventos, ${errors.length} fallaron`);
-  } else {
-    logger.info(`Se crearon exitosamente ${results.length} eventos`);
+  return appended;
+}
+
+/**
+ * Obtiene el contenido de una página de plantilla (leído una vez por ejecución)
+ * @param {string} templateId - ID de la página de plantilla
+ * @returns {Promise<Array<Object>>} Árbol de bloques a crear ({ block, children })
+ */
+function getTemplateBody(templateId) {
+  if (!templateBodies.has(templateId)) {
+    const body = (async () => {
+      const skipped = [];
+      const tree = await readBlockTree(templateId, skipped);
+      
+      if (skipped.length > 0) {
+        logger.warn(`⚠ ${skipped.length} bloques de la plantilla no se pueden copiar: ${[...new Set(skipped)].join(', ')}`, {
+          templateId,
+        });
+      }
+      return tree;
+    })();
+    
+    // Un error no se guarda: la siguiente ocurrencia vuelve a intentarlo
+    body.catch(() => templateBodies.delete(templateId));
+    templateBodies.set(templateId, body);
   }
   
-  return {
-    success: results,
-    errors: errors,
-  };
+  return templateBodies.get(templateId);
+}
+
+/**
+ * Lee los bloques hijos de una página o bloque, con todos sus descendientes
+ * @param {string} blockId - ID de la página o bloque
+ * @param {string[]} skipped - Tipos de los bloques que no se pueden copiar (se completa)
+ * @returns {Promise<Array<Object>>} Árbol de bloques a crear ({ block, children })
+ */
+async function readBlockTree(blockId, skipped) {
+  const tree = [];
+  let cursor;
+  
+  do {
+    const response = await notionRequest('blocks.children.list', async () => {
+      return await getNotionClient().blocks.children.list({
+        block_id: blockId,
+        start_cursor: cursor,
+        page_size: BLOCKS_PER_REQUEST,
+      });
+    });
+    
+    for (const block of response.results) {
+      // Columnas y bloques sincronizados: se copia su contenido en su lugar
+      if (isFlattenedBlock(block)) {
+        tree.push(...await readBlockTree(block.id, skipped));
+        continue;
+      }
+      
+      const creatable = toCreatableBlock(block);
+      if (!creatable) {
+        skipped.push(block.type);
+        continue;
+      }
+      
+      tree.push({
+        block: creatable,
+        children: block.has_children ? await readBlockTree(block.id, skipped) : [],
+      });
+    }
+    
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+  
+  return tree;
+}
+
+/**
+ * Crea un árbol de bloques dentro de una página o bloque
+ * Los bloques se añaden de 100 en 100 y los hijos de cada uno en peticiones aparte;
+ * las filas de una tabla van con la tabla porque la API no admite tablas vacías
+ * @param {string} parentId - ID de la página o bloque donde se añaden
+ * @param {Array<Object>} tree - Árbol de bloques ({ block, children })
+ * @returns {Promise<void>}
+ */
+async function appendBlockTree(parentId, tree) {
+  for (let i = 0; i < tree.length; i += BLOCKS_PER_REQUEST) {
+    const chunk = tree.slice(i, i + BLOCKS_PER_REQUEST);
+    
+    const response = await notionRequest('blocks.children.append', async () => {
+      return await getNotionClient().blocks.children.append({
+        block_id: parentId,
+        children: chunk.map(({ block, children }) => block.type === 'table'
+          ? { ...block, table: { ...block.table, children: children.slice(0, BLOCKS_PER_REQUEST).map(row => row.block) } }
+          : block),
+      });
+    });
+    
+    for (const [index, { block, children }] of chunk.entries()) {
+      const pending = block.type === 'table' ? children.slice(BLOCKS_PER_REQUEST) : children;
+      if (pending.length > 0) {
+        await appendBlockTree(response.results[index].id, pending);
+      }
+    }
+  }
+}
+
+/**
+ * Obtiene una página de Notion
+ * @param {string} pageId - ID de la página
+ * @returns {Promise<Object>} Página de Notion
+ */
+export async function getPage(pageId) {
+  try {
+    return await notionRequest('pages.retrieve', async () => {
+      return await getNotionClient().pages.retrieve({ page_id: pageId });
+    });
+  } catch (error) {
+    const errorMessage = processNotionError(error);
+    logger.error(`Error al obtener la página ${pageId}: ${errorMessage}`, { pageId });
+    throw new NotionError(`No se pudo obtener la página: ${errorMessage}`, error);
+  }
 }
 
 /**
- * Verifica la conectividad con Notion y valida permisos
+ * Archiva (envía a la papelera) una página de Notion
+ * @param {string} pageId - ID de la página
+ * @returns {Promise<Object>} Página archivada
+ */
+export async function archivePage(pageId) {
+  try {
+    logger.debug(`Archivando página ${pageId}`, { pageId });
+    
+    return await notionRequest('pages.update', async () => {
+      return await getNotionClient().pages.update({
+        page_id: pageId,
+        archived: true,
+      });
+    });
+  } catch (error) {
+    const errorMessage = processNotionError(error);
+    logger.error(`Error al archivar la página ${pageId}: ${errorMessage}`, { pageId });
+    throw new NotionError(`No se pudo archivar la página: ${errorMessage}`, error);
+  }
+}
+
+/**
+ * Verifica la conectividad con Notion, valida permisos y el esquema de las bases de datos
  * @returns {Promise<boolean>} true si la conexión es exitosa
+ * @throws {ValidationError} Si falta una propiedad configurada o tiene un tipo incorrecto
  */
 export async function verifyConnection() {
   try {
     logger.info('Verificando conexión con Notion...');
     
-    // Intentar obtener información de la base de datos de plantillas
-    await notionClient.databases.retrieve({
-      database_id: databases.template,
-    });
+    let templateDb = null;
+    let calendarDb = null;
     
-    // Intentar obtener información de la base de datos de calendario
-    await notionClient.databases.retrieve({
-      database_id: databases.calendar,
-    });
+    // La base de plantillas solo se usa si la plantilla no viene de un archivo
+    if (config.templates.source === 'notion') {
+      templateDb = await notionRequest('databases.retrieve', () => getNotionClient().databases.retrieve({
+        database_id: databases.template,
+      }));
+      
+      // Validar que las propiedades configuradas existan con el tipo correcto
+      validateDatabaseSchema(templateDb, templateSchema, templateProps(), 'Template DB');
+    }
+    
+    // Calendar DB solo se usa si Notion es uno de los destinos de los eventos
+    if (config.sinks.targets.includes('notion')) {
+      calendarDb = await notionRequest('databases.retrieve', () => getNotionClient().databases.retrieve({
+        database_id: databases.calendar,
+      }));
+      
+      validateDatabaseSchema(calendarDb, calendarSchema, calendarProps(), 'Calendar DB');
+    }
+    
+    // Propiedades copiadas de la fila al evento: deben existir en ambas bases con el mismo tipo
+    const passThrough = parsePassThrough(config.notion.passThrough);
+    if (passThrough.length > 0) {
+      if (templateDb && calendarDb) {
+        validatePassThroughSchema(templateDb, calendarDb, passThrough, calendarProps());
+      } else {
+        logger.warn('⚠ PASS_THROUGH_PROPERTIES solo se aplica con Template DB como plantilla y Calendar DB como destino');
+      }
+    }
+    
+    // La base de excepciones es opcional
+    if (databases.exceptions) {
+      const exceptionsDb = await notionRequest('databases.retrieve', () => getNotionClient().databases.retrieve({
+        database_id: databases.exceptions,
+      }));
+      validateDatabaseSchema(exceptionsDb, exceptionsSchema, exceptionsProps(), 'Exceptions DB');
+    }
     
     logger.info('Conexión con Notion verificada exitosamente');
     return true;
     
   } catch (error) {
+    if (error instanceof ValidationError) {
+      logger.error(`Error al verificar esquema: ${error.message}`);
+      throw error;
+    }
+    
     const errorMessage = processNotionError(error);
     logger.error(`Error al verificar conexión: ${errorMessage}`);
     throw new NotionError(`Verificación de conexión fallida: ${errorMessage}`, error);
@@ -191,7 +634,7 @@ function extractTitle(property) {
   if (!property || !property.title || property.title.length === 0) {
     return '';
   }
-  return property.title[0].plain_text;
+  return property.title.map(text => text.plain_text).join('');
 }
 
 /**
@@ -206,16 +649,28 @@ function extractSelect(property) {
   return property.select.name;
 }
 
+/**
+ * Extrae los valores de una propiedad de tipo multi_select
+ * @param {Object} property - Propiedad de Notion
+ * @returns {string[]} Valores seleccionados
+ */
+function extractMultiSelect(property) {
+  if (!property || !property.multi_select) {
+    return [];
+  }
+  return property.multi_select.map(option => option.name);
+}
+
 /**
  * Extrae el contenido de una propiedad de tipo texto
  * @param {Object} property - Propiedad de Notion
- * @returns {string} Contenido del texto
+ * @returns {string} Contenido del texto (todos los fragmentos, sin formato)
  */
 function extractText(property) {
   if (!property || !property.rich_text || property.rich_text.length === 0) {
     return '';
   }
-  return property.rich_text[0].plain_text;
+  return property.rich_text.map(text => text.plain_text).join('');
 }
 
 /**
@@ -230,10 +685,80 @@ function extractNumber(property) {
   return property.number;
 }
 
+/**
+ * Convierte una propiedad leída de Notion en el valor para crearla en otra página
+ * Los tipos admitidos son los de PASS_THROUGH_TYPES (ver schemaValidator)
+ * @param {Object} property - Propiedad de Notion
+ * @returns {Object|null} Valor de la propiedad (ej: { select: { name } }); null si está vacía
+ */
+function toPropertyValue(property) {
+  const value = property[property.type];
+  
+  switch (property.type) {
+    case 'select':
+      return value ? { select: { name: value.name } } : null;
+    case 'multi_select':
+      return value.length > 0 ? { multi_select: value.map(option => ({ name: option.name })) } : null;
+    case 'people':
+    case 'relation':
+      return value.length > 0 ? { [property.type]: value.map(item => ({ id: item.id })) } : null;
+    case 'rich_text':
+      return value.length > 0 ? { rich_text: copyRichText(value) } : null;
+    case 'checkbox':
+      return { checkbox: Boolean(value) };
+    case 'number':
+    case 'url':
+      return value === null || value === undefined ? null : { [property.type]: value };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convierte cualquier propiedad de Notion en texto (para los marcadores {{prop:Nombre}})
+ * @param {Object} property - Propiedad de Notion
+ * @returns {string} Valor como texto (vacío si no tiene valor o el tipo no se admite)
+ */
+function extractPropertyText(property) {
+  if (!property) {
+    return '';
+  }
+
+  const value = property[property.type];
+  switch (property.type) {
+    case 'title':
+    case 'rich_text':
+      return value.map(text => text.plain_text).join('');
+    case 'select':
+    case 'status':
+      return value?.name || '';
+    case 'multi_select':
+      return value.map(option => option.name).join(', ');
+    case 'people':
+      return value.map(person => person.name || '').filter(Boolean).join(', ');
+    case 'date':
+      return value ? [value.start, value.end].filter(Boolean).join(' → ') : '';
+    case 'checkbox':
+      return value ? 'Sí' : 'No';
+    case 'formula':
+      return value ? String(value[value.type] ?? '') : '';
+    case 'number':
+    case 'url':
+    case 'email':
+    case 'phone_number':
+      return value === null || value === undefined ? '' : String(value);
+    default:
+      return '';
+  }
+}
+
 export default {
   getTemplateTasks,
   createCalendarEvent,
-  createCalendarEventsBatch,
+  getCalendarEventsInRange,
+  getExceptionEntries,
+  getPage,
+  archivePage,
   verifyConnection,
 };
 
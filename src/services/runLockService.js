@@ -0,0 +1,93 @@
+/**
+ * Servicio de bloqueo de ejecuciones
+ * Impide que dos generaciones escriban a la vez (daemon, CLI o cron externo):
+ * la ejecución activa deja un archivo de bloqueo con su PID mientras dura
+ */
+
+import { readFile, writeFile, unlink, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { createLogger } from '../utils/logger.js';
+import { ValidationError } from '../utils/errorHandler.js';
+import config from '../config/environment.js';
+
+const logger = createLogger('RunLock');
+
+/**
+ * Toma el bloqueo de generación
+ * Un bloqueo de un proceso que ya no existe (ej: tras un corte de luz) se descarta
+ * @param {string} runId - ID de la ejecución que toma el bloqueo
+ * @param {string} [filePath=config.runs.lockFile] - Ruta del archivo de bloqueo
+ * @returns {Promise<Function>} Función asíncrona que libera el bloqueo
+ * @throws {ValidationError} Si otra ejecución activa tiene el bloqueo
+ */
+export async function acquireRunLock(runId, filePath = config.runs.lockFile) {
+  await mkdir(dirname(filePath), { recursive: true });
+
+  const lock = { runId, pid: process.pid, startedAt: new Date().toISOString() };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await writeFile(filePath, JSON.stringify(lock), { encoding: 'utf8', flag: 'wx' });
+      logger.debug(`Bloqueo tomado por la ejecución ${runId}`);
+
+      return async () => {
+        await unlink(filePath).catch(() => {});
+        logger.debug(`Bloqueo liberado por la ejecución ${runId}`);
+      };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const current = await readLock(filePath);
+    if (current && isProcessAlive(current.pid)) {
+      throw new ValidationError(
+        `Ya hay una generación en curso (ejecución ${current.runId}, PID ${current.pid}, desde ${current.startedAt})`,
+        'lock'
+      );
+    }
+
+    logger.warn(`⚠ Se descarta un bloqueo abandonado${current ? ` de la ejecución ${current.runId}` : ''}`);
+    await unlink(filePath).catch(() => {});
+  }
+
+  throw new ValidationError(`No se pudo tomar el bloqueo de generación (${filePath})`, 'lock');
+}
+
+/**
+ * Lee el archivo de bloqueo
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Promise<Object|null>} Bloqueo ({ runId, pid, startedAt }) o null si no existe o está corrupto
+ */
+async function readLock(filePath) {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Indica si un proceso sigue en ejecución
+ * @param {number} pid - PID del proceso
+ * @returns {boolean} true si el proceso existe
+ */
+function isProcessAlive(pid) {
+  if (!Number.isInteger(pid)) {
+    return false;
+  }
+
+  try {
+    // La señal 0 no hace nada: solo comprueba que el proceso existe
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: existe pero pertenece a otro usuario
+    return error.code === 'EPERM';
+  }
+}
+
+export default {
+  acquireRunLock,
+};
@@ -0,0 +1,139 @@
+/**
+ * Servicio de manifiestos de ejecución
+ * Guarda, por cada ejecución de generateWeek, las páginas creadas en cada destino
+ * (Notion, CalDAV o archivo) para poder deshacerlas después con el comando rollback
+ */
+
+import { randomBytes } from 'crypto';
+import { readFile, writeFile, readdir, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { format } from 'date-fns';
+import { createLogger } from '../utils/logger.js';
+import { ValidationError } from '../utils/errorHandler.js';
+import config from '../config/environment.js';
+
+const logger = createLogger('RunManifest');
+
+/**
+ * Genera un ID de ejecución legible y ordenable por fecha (ej: "20261019T180300-a1b2c3")
+ * @param {Date} [date=new Date()] - Momento de inicio de la ejecución
+ * @returns {string} ID de ejecución
+ */
+export function createRunId(date = new Date()) {
+  return `${format(date, "yyyyMMdd'T'HHmmss")}-${randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Guarda (o sobrescribe) el manifiesto de una ejecución
+ * @param {Object} manifest - Manifiesto con runId, semanas y páginas creadas
+ * @returns {Promise<string>} Ruta del archivo escrito
+ */
+export async function saveRunManifest(manifest) {
+  await mkdir(config.runs.dir, { recursive: true });
+
+  const filePath = getManifestPath(manifest.runId);
+  await writeFile(filePath, JSON.stringify(manifest, null, 2), 'utf8');
+
+  logger.debug(`Manifiesto guardado en ${filePath}`);
+  return filePath;
+}
+
+/**
+ * Carga el manifiesto de una ejecución
+ * @param {string} runId - ID de la ejecución o "last" para la más reciente con páginas creadas
+ * @returns {Promise<Object>} Manifiesto de la ejecución
+ * @throws {ValidationError} Si no existe el manifiesto
+ */
+export async function loadRunManifest(runId) {
+  if (runId === 'last') {
+    const manifests = await listRunManifests();
+    const last = manifests.find(manifest => manifest.pages.length > 0 && !manifest.rollback);
+
+    if (!last) {
+      throw new ValidationError('No hay ejecuciones con páginas creadas pendientes de rollback', 'runId');
+    }
+    return last;
+  }
+
+  try {
+    return JSON.parse(await readFile(getManifestPath(runId), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new ValidationError(`No existe el manifiesto de la ejecución ${runId}`, 'runId');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Lista los manifiestos guardados, del más reciente al más antiguo
+ * @returns {Promise<Array<Object>>} Manifiestos de ejecución
+ */
+export async function listRunManifests() {
+  let files;
+
+  try {
+    files = await readdir(config.runs.dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const manifests = await Promise.all(
+    files
+      .filter(file => file.endsWith('.json'))
+      .map(async file => JSON.parse(await readFile(join(config.runs.dir, file), 'utf8')))
+  );
+
+  return manifests.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * Obtiene, por ejecución, las semanas de las que un rollback quitó eventos
+ * Las páginas omitidas por estar editadas o que no se pudieron archivar siguen en el calendario
+ * @returns {Promise<Map<string, Object>>} Por runId: { at, weeks } (weeks: semana ISO -> { removed, kept })
+ */
+export async function loadRolledBackWeeks() {
+  const rolledBack = new Map();
+
+  for (const manifest of await listRunManifests()) {
+    if (!manifest.rollback) {
+      continue;
+    }
+
+    const kept = new Set([...(manifest.rollback.skippedEdited || []), ...(manifest.rollback.failed || [])]);
+    const weeks = new Map();
+    for (const page of manifest.pages) {
+      const week = weeks.get(page.week) || { removed: 0, kept: 0 };
+      week[kept.has(page.id) ? 'kept' : 'removed']++;
+      weeks.set(page.week, week);
+    }
+
+    rolledBack.set(manifest.runId, { at: manifest.rollback.at, weeks });
+  }
+
+  return rolledBack;
+}
+
+/**
+ * Obtiene la ruta del manifiesto de una ejecución
+ * @param {string} runId - ID de la ejecución
+ * @returns {string} Ruta del archivo
+ */
+function getManifestPath(runId) {
+  if (!/^[\w-]+$/.test(runId)) {
+    throw new ValidationError(`ID de ejecución inválido: ${runId}`, 'runId');
+  }
+  return join(config.runs.dir, `${runId}.json`);
+}
+
+export default {
+  createRunId,
+  saveRunManifest,
+  loadRunManifest,
+  listRunManifests,
+  loadRolledBackWeeks,
+};
+
@@ -0,0 +1,334 @@
+/**
+ * Destino de eventos: calendario CalDAV (RFC 4791)
+ * Funciona con cualquier servidor CalDAV (Nextcloud, Radicale, Baïkal, iCloud...):
+ * cada evento se guarda como un recurso .ics dentro de la colección del calendario
+ */
+
+import { formatInTimeZone } from 'date-fns-tz';
+import { createLogger } from '../../utils/logger.js';
+import { SinkError } from '../../utils/errorHandler.js';
+import { createRequestScheduler } from '../../utils/requestScheduler.js';
+import { buildIcsCalendar, parseIcs, parseIcsDate, icsDateToDate, getIcsText } from '../../utils/ics.js';
+import { getNextMidnight } from '../../utils/dateHelper.js';
+import config from '../../config/environment.js';
+
+const logger = createLogger('CalDavSink');
+
+/**
+ * Peticiones simultáneas al servidor CalDAV (sin límite por segundo)
+ */
+const CONCURRENCY = 4;
+
+/**
+ * Consulta de los eventos de un rango (REPORT calendar-query)
+ * @param {string} start - Inicio en UTC (yyyyMMddTHHmmssZ)
+ * @param {string} end - Fin en UTC (yyyyMMddTHHmmssZ)
+ * @returns {string} Cuerpo XML de la consulta
+ */
+const calendarQuery = (start, end) => `<?xml version="1.0" encoding="utf-8"?>
+<C:calendar-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">
+  <D:prop>
+    <D:getetag/>
+    <C:calendar-data/>
+  </D:prop>
+  <C:filter>
+    <C:comp-filter name="VCALENDAR">
+      <C:comp-filter name="VEVENT">
+        <C:time-range start="${start}" end="${end}"/>
+      </C:comp-filter>
+    </C:comp-filter>
+  </C:filter>
+</C:calendar-query>`;
+
+/**
+ * Consulta del tipo de recurso de la colección (PROPFIND)
+ */
+const resourceTypeQuery = `<?xml version="1.0" encoding="utf-8"?>
+<D:propfind xmlns:D="DAV:">
+  <D:prop>
+    <D:resourcetype/>
+  </D:prop>
+</D:propfind>`;
+
+/**
+ * Crea el destino que escribe los eventos en una colección CalDAV
+ * @param {Object} options - Configuración del servidor
+ * @param {string} options.url - URL de la colección del calendario
+ * @param {string|null} [options.username] - Usuario (autenticación básica)
+ * @param {string|null} [options.password] - Contraseña o contraseña de aplicación
+ * @returns {Object} Destino de eventos (ver sinks/index.js)
+ */
+export function createCalDavSink(options) {
+  // Las URLs de los recursos se resuelven relativas a la colección, que debe terminar en "/"
+  const collectionUrl = options.url.endsWith('/') ? options.url : `${options.url}/`;
+  const client = {
+    collectionUrl,
+    authorization: buildAuthorization(options),
+    scheduler: createRequestScheduler({ name: 'CalDAV', requestsPerSecond: null, concurrency: CONCURRENCY }),
+  };
+
+  return {
+    name: 'caldav',
+    description: `CalDAV ${collectionUrl}`,
+    concurrency: CONCURRENCY,
+    verify: () => verifyCollection(client),
+    findEventsInRange: (rangeStart, rangeEnd) => findEventsInRange(client, rangeStart, rangeEnd),
+    createEvent: event => createEvent(client, event),
+    archiveEvent: id => deleteEvent(client, id),
+    getEventStatus: entry => getEventStatus(client, entry),
+  };
+}
+
+/**
+ * Comprueba que la URL configurada es una colección de calendario accesible
+ * @param {Object} client - Datos de conexión ({ collectionUrl, authorization, scheduler })
+ * @returns {Promise<void>}
+ * @throws {SinkError} Si el servidor no responde o la URL no es un calendario
+ */
+async function verifyCollection(client) {
+  logger.info(`Verificando calendario CalDAV ${client.collectionUrl}...`);
+
+  const response = await request(client, 'PROPFIND', client.collectionUrl, {
+    headers: { Depth: '0', 'Content-Type': 'application/xml; charset=utf-8' },
+    body: resourceTypeQuery,
+    expected: [207],
+  });
+
+  const body = await response.text();
+  if (!/<(?:[\w-]+:)?calendar\s*\/>/.test(body)) {
+    throw new SinkError(`${client.collectionUrl} no es una colección de calendario CalDAV`);
+  }
+
+  logger.info('Calendario CalDAV verificado exitosamente');
+}
+
+/**
+ * Obtiene los eventos de la colección que ocurren dentro de un rango
+ * @param {Object} client - Datos de conexión
+ * @param {Date} rangeStart - Inicio del rango (inclusive)
+ * @param {Date} rangeEnd - Fin del rango (exclusive)
+ * @returns {Promise<Array<Object>>} Eventos existentes ({ id, name, templateId, start, end, allDay })
+ */
+async function findEventsInRange(client, rangeStart, rangeEnd) {
+  logger.info('Buscando eventos existentes en el calendario CalDAV...');
+
+  const toUtc = date => formatInTimeZone(date, 'UTC', "yyyyMMdd'T'HHmmss'Z'");
+  const response = await request(client, 'REPORT', client.collectionUrl, {
+    headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+    body: calendarQuery(toUtc(rangeStart), toUtc(rangeEnd)),
+    expected: [207],
+  });
+
+  const events = [];
+  for (const resource of parseMultistatus(await response.text())) {
+    if (!resource.calendarData) {
+      continue;
+    }
+
+    try {
+      for (const vevent of parseIcs(resource.calendarData)) {
+        const dtstart = parseIcsDate(vevent.DTSTART);
+        const allDay = Boolean(dtstart && !dtstart.time);
+        events.push({
+          id: new URL(resource.href, client.collectionUrl).href,
+          name: getIcsText(vevent.SUMMARY),
+          templateId: getIcsText(vevent['X-TEMPLATE-ID']) || null,
+          start: icsDateToDate(dtstart, config.timezone),
+          // Un evento de día completo sin DTEND dura ese día (RFC 5545)
+          end: icsDateToDate(parseIcsDate(vevent.DTEND), config.timezone) ||
+            (allDay ? getNextMidnight(dtstart.date, config.timezone) : null),
+          allDay,
+        });
+      }
+    } catch (error) {
+      logger.warn(`⚠ Se omite ${resource.href}: ${error.message}`);
+    }
+  }
+
+  // El servidor ya filtra por rango, pero se comprueba el inicio igual que en Notion
+  const inRange = events.filter(event => event.start && event.start >= rangeStart && event.start < rangeEnd);
+
+  logger.info(`Se encontraron ${inRange.length} eventos existentes en el rango`);
+  return inRange;
+}
+
+/**
+ * Crea un evento como recurso .ics de la colección
+ * El nombre del recurso es estable (fila de plantilla + día) y se crea con
+ * If-None-Match, así que un evento repetido se rechaza en lugar de sobrescribirse
+ * @param {Object} client - Datos de conexión
+ * @param {Object} event - Evento preparado ({ templateId, name, date, notes })
+ * @returns {Promise<Object>} Evento creado ({ id: URL del recurso, revision: ETag })
+ * @throws {SinkError} Si el recurso ya existe o el servidor lo rechaza
+ */
+async function createEvent(client, event) {
+  const day = event.date.start.slice(0, 10).replace(/-/g, '');
+  const url = new URL(`${encodeURIComponent(event.templateId)}-${day}.ics`, client.collectionUrl).href;
+
+  logger.debug(`Creando evento: ${event.name} - ${event.date.start}`, {
+    templateId: event.templateId,
+    date: event.date.start,
+  });
+
+  const response = await request(client, 'PUT', url, {
+    headers: {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'If-None-Match': '*',
+    },
+    body: buildIcsCalendar([event], { timezone: config.timezone, method: null }),
+    expected: [201, 204],
+    messages: { 412: 'ya existe un evento de la misma fila de plantilla ese día' },
+  });
+
+  return { id: url, revision: response.headers.get('etag') };
+}
+
+/**
+ * Elimina un evento de la colección (CalDAV no tiene papelera)
+ * @param {Object} client - Datos de conexión
+ * @param {string} id - URL del recurso
+ * @returns {Promise<void>}
+ */
+async function deleteEvent(client, id) {
+  logger.debug(`Eliminando evento ${id}`);
+
+  await request(client, 'DELETE', id, {
+    // Un recurso que ya no existe no es un error al deshacer
+    expected: [200, 204, 404, 410],
+  });
+}
+
+/**
+ * Consulta si un evento creado sigue en la colección y si cambió después de crearse
+ * @param {Object} client - Datos de conexión
+ * @param {Object} entry - Evento registrado en el manifiesto ({ id, revision })
+ * @returns {Promise<Object>} Estado ({ archived, edited }); el cambio se detecta por ETag
+ */
+async function getEventStatus(client, entry) {
+  const response = await request(client, 'GET', entry.id, { expected: [200, 404, 410] });
+
+  if (response.status !== 200) {
+    return { archived: true, edited: false };
+  }
+
+  const etag = response.headers.get('etag');
+  return {
+    archived: false,
+    edited: Boolean(entry.revision && etag && etag !== entry.revision),
+  };
+}
+
+/**
+ * Ejecuta una petición HTTP contra el servidor CalDAV
+ * Los errores de red, 429 y 5xx se reintentan a través del planificador del cliente
+ * @param {Object} client - Datos de conexión
+ * @param {string} method - Método HTTP (PUT, REPORT, PROPFIND...)
+ * @param {string} url - URL del recurso
+ * @param {Object} [options={}] - Opciones de la petición
+ * @param {Object} [options.headers] - Cabeceras adicionales
+ * @param {string} [options.body] - Cuerpo de la petición
+ * @param {number[]} [options.expected] - Códigos de estado aceptados
+ * @param {Object} [options.messages] - Mensajes para códigos de estado concretos
+ * @returns {Promise<Response>} Respuesta del servidor
+ * @throws {SinkError} Si la petición falla o el estado no es el esperado
+ */
+async function request(client, method, url, options = {}) {
+  const { headers = {}, body, expected = [200], messages = {} } = options;
+
+  return client.scheduler.run(async () => {
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          ...(client.authorization && { Authorization: client.authorization }),
+          ...headers,
+        },
+        body,
+      });
+    } catch (error) {
+      throw new SinkError(`No se pudo conectar con el servidor CalDAV: ${error.message}`, error);
+    }
+
+    if (!expected.includes(response.status)) {
+      const reason = messages[response.status] || processCalDavStatus(response.status);
+      const error = new SinkError(`${method} ${url}: ${reason} (HTTP ${response.status})`, null, response.status);
+      // Para respetar Retry-After en los reintentos
+      error.headers = response.headers;
+      throw error;
+    }
+
+    return response;
+  });
+}
+
+/**
+ * Convierte un código de estado del servidor en un mensaje amigable
+ * @param {number} status - Código de estado HTTP
+ * @returns {string} Mensaje de error
+ */
+function processCalDavStatus(status) {
+  if (status === 401 || status === 403) {
+    return 'credenciales inválidas o sin permisos. Verifica CALDAV_USERNAME y CALDAV_PASSWORD';
+  }
+
+  if (status === 404) {
+    return 'el calendario no existe. Verifica CALDAV_URL';
+  }
+
+  return 'respuesta inesperada del servidor';
+}
+
+/**
+ * Construye la cabecera de autenticación básica
+ * @param {Object} options - Configuración del servidor ({ username, password })
+ * @returns {string|null} Valor de Authorization o null sin usuario
+ */
+function buildAuthorization({ username, password }) {
+  if (!username) {
+    return null;
+  }
+
+  return `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}`;
+}
+
+/**
+ * Extrae los recursos de una respuesta multistatus (207) de WebDAV
+ * Se lee con expresiones regulares: solo se necesitan href y calendar-data,
+ * con cualquier prefijo de espacio de nombres
+ * @param {string} xml - Cuerpo de la respuesta
+ * @returns {Array<Object>} Recursos ({ href, calendarData })
+ */
+function parseMultistatus(xml) {
+  const element = name => new RegExp(
+    `<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`
+  );
+
+  return xml
+    .split(/<(?:[\w-]+:)?response(?=[\s>])[^>]*>/)
+    .slice(1)
+    .map(part => ({
+      href: decodeXml(part.match(element('href'))?.[1]?.trim() || ''),
+      calendarData: decodeXml(part.match(element('calendar-data'))?.[1] || '') || null,
+    }))
+    .filter(resource => resource.href);
+}
+
+/**
+ * Decodifica las entidades y secciones CDATA de un texto XML
+ * @param {string} value - Texto del elemento
+ * @returns {string} Texto decodificado
+ */
+function decodeXml(value) {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+export default createCalDavSink;
@@ -0,0 +1,173 @@
+/**
+ * Destino de eventos: archivo JSON local
+ * Útil para probar la generación sin tocar un calendario real o para
+ * que otra herramienta consuma los eventos
+ */
+
+import { randomUUID } from 'crypto';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { createLogger } from '../../utils/logger.js';
+import { SinkError } from '../../utils/errorHandler.js';
+import { parseNotionDateRange } from '../../utils/dateHelper.js';
+import config from '../../config/environment.js';
+
+const logger = createLogger('FileSink');
+
+/**
+ * Crea el destino que guarda los eventos en un archivo JSON
+ * El archivo contiene { events: [...] } con un objeto por evento
+ * ({ id, templateId, name, date, notes, createdAt, updatedAt, archived });
+ * archivar un evento lo marca con archived: true sin borrarlo
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Object} Destino de eventos (ver sinks/index.js)
+ */
+export function createFileSink(filePath) {
+  return {
+    name: 'file',
+    description: `archivo ${filePath}`,
+    // Cada escritura reescribe el archivo completo: los eventos se crean de uno en uno
+    concurrency: 1,
+    findEventsInRange: (rangeStart, rangeEnd) => findEventsInRange(filePath, rangeStart, rangeEnd),
+    createEvent: event => createEvent(filePath, event),
+    archiveEvent: id => archiveEvent(filePath, id),
+    getEventStatus: entry => getEventStatus(filePath, entry),
+  };
+}
+
+/**
+ * Obtiene los eventos activos del archivo cuyo inicio cae dentro de un rango
+ * @param {string} filePath - Ruta del archivo
+ * @param {Date} rangeStart - Inicio del rango (inclusive)
+ * @param {Date} rangeEnd - Fin del rango (exclusive)
+ * @returns {Promise<Array<Object>>} Eventos existentes ({ id, name, templateId, start, end, allDay })
+ */
+async function findEventsInRange(filePath, rangeStart, rangeEnd) {
+  const stored = await readEvents(filePath);
+
+  const events = stored
+    .filter(event => !event.archived)
+    .map(event => ({
+      id: event.id,
+      name: event.name,
+      templateId: event.templateId || null,
+      ...parseNotionDateRange(event.date, config.timezone),
+    }))
+    .filter(event => event.start && event.start >= rangeStart && event.start < rangeEnd);
+
+  logger.info(`Se encontraron ${events.length} eventos existentes en ${filePath}`);
+  return events;
+}
+
+/**
+ * Agrega un evento al archivo
+ * @param {string} filePath - Ruta del archivo
+ * @param {Object} event - Evento preparado ({ templateId, name, date, notes })
+ * @returns {Promise<Object>} Evento creado ({ id, revision })
+ */
+async function createEvent(filePath, event) {
+  const stored = await readEvents(filePath);
+  const now = new Date().toISOString();
+  const id = randomUUID();
+
+  stored.push({
+    id,
+    templateId: event.templateId || null,
+    name: event.name,
+    date: {
+      start: event.date.start,
+      end: event.date.end,
+      time_zone: event.date.time_zone || config.timezone,
+    },
+    notes: event.notes || '',
+    createdAt: now,
+    updatedAt: now,
+    archived: false,
+  });
+
+  await writeEvents(filePath, stored);
+  logger.debug(`Evento guardado en ${filePath}: ${event.name} - ${event.date.start}`, {
+    templateId: event.templateId,
+    date: event.date.start,
+    eventId: id,
+  });
+
+  return { id, revision: now };
+}
+
+/**
+ * Marca un evento del archivo como archivado
+ * @param {string} filePath - Ruta del archivo
+ * @param {string} id - ID del evento
+ * @returns {Promise<void>}
+ * @throws {SinkError} Si el evento no existe
+ */
+async function archiveEvent(filePath, id) {
+  const stored = await readEvents(filePath);
+  const event = stored.find(item => item.id === id);
+
+  if (!event) {
+    throw new SinkError(`No existe el evento ${id} en ${filePath}`);
+  }
+
+  event.archived = true;
+  event.updatedAt = new Date().toISOString();
+  await writeEvents(filePath, stored);
+}
+
+/**
+ * Consulta si un evento creado sigue activo y si se editó después de crearse
+ * @param {string} filePath - Ruta del archivo
+ * @param {Object} entry - Evento registrado en el manifiesto ({ id, ... })
+ * @returns {Promise<Object>} Estado ({ archived, edited }); un evento borrado cuenta como archivado
+ */
+async function getEventStatus(filePath, entry) {
+  const event = (await readEvents(filePath)).find(item => item.id === entry.id);
+
+  if (!event) {
+    return { archived: true, edited: false };
+  }
+
+  return {
+    archived: Boolean(event.archived),
+    edited: event.updatedAt !== event.createdAt,
+  };
+}
+
+/**
+ * Lee los eventos guardados en el archivo
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Promise<Array<Object>>} Eventos guardados (vacío si el archivo no existe)
+ * @throws {SinkError} Si el archivo no es un JSON válido
+ */
+async function readEvents(filePath) {
+  let content;
+  try {
+    content = await readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  try {
+    const data = JSON.parse(content);
+    return Array.isArray(data?.events) ? data.events : [];
+  } catch (error) {
+    throw new SinkError(`No se pudo leer ${filePath}: ${error.message}`, error);
+  }
+}
+
+/**
+ * Escribe los eventos en el archivo
+ * @param {string} filePath - Ruta del archivo
+ * @param {Array<Object>} events - Eventos a guardar
+ * @returns {Promise<void>}
+ */
+async function writeEvents(filePath, events) {
+  await mkdir(dirname(filePath), { recursive: true });
+  await writeFile(filePath, JSON.stringify({ events }, null, 2), 'utf8');
+}
+
+export default createFileSink;
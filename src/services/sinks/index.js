@@ -0,0 +1,127 @@
+/**
+ * Destinos de eventos (sinks)
+ * Los eventos generados se escriben a través de uno o varios destinos:
+ * Calendar DB de Notion (por defecto), un calendario CalDAV o un archivo JSON.
+ *
+ * Cada destino expone la misma interfaz:
+ * - name: tipo de destino ("notion", "caldav" o "file"), se guarda en el manifiesto
+ * - description: texto para los logs
+ * - concurrency: cuántos eventos se pueden crear a la vez
+ * - verify(): comprobación opcional de la conexión antes de generar
+ * - findEventsInRange(rangeStart, rangeEnd): eventos existentes ({ id, name, templateId, start, end })
+ * - createEvent(event): crea un evento preparado y devuelve { id, revision }
+ * - archiveEvent(id): archiva o elimina un evento creado (para rollback)
+ * - getEventStatus(entry): estado de un evento del manifiesto ({ archived, edited })
+ */
+
+import { createLogger } from '../../utils/logger.js';
+import { ValidationError } from '../../utils/errorHandler.js';
+import { mapWithConcurrency } from '../../utils/requestScheduler.js';
+import { createNotionSink } from './notionSink.js';
+import { createCalDavSink } from './caldavSink.js';
+import { createFileSink } from './fileSink.js';
+import config from '../../config/environment.js';
+
+const logger = createLogger('Sinks');
+
+/**
+ * Tipos de destino disponibles (CALENDAR_SINKS)
+ */
+export const SINK_TYPES = ['notion', 'caldav', 'file'];
+
+/**
+ * Crea un destino de eventos por su tipo
+ * @param {string} type - Tipo de destino ("notion", "caldav" o "file")
+ * @param {Object} [options=config.sinks] - Configuración de los destinos
+ * @returns {Object} Destino de eventos
+ * @throws {ValidationError} Si el tipo no existe o le falta configuración
+ */
+export function createSink(type, options = config.sinks) {
+  switch (type) {
+    case 'notion':
+      return createNotionSink();
+
+    case 'caldav':
+      if (!options.caldav.url) {
+        throw new ValidationError('El destino caldav requiere CALDAV_URL', 'caldavUrl');
+      }
+      return createCalDavSink(options.caldav);
+
+    case 'file':
+      return createFileSink(options.file.path);
+
+    default:
+      throw new ValidationError(
+        `Destino de eventos inválido: ${type} (usa ${SINK_TYPES.join(', ')})`,
+        'sinks'
+      );
+  }
+}
+
+/**
+ * Crea los destinos configurados, en orden
+ * El primero es el principal: sus eventos existentes se usan para detectar conflictos
+ * @param {Object} [options=config.sinks] - Configuración de los destinos
+ * @returns {Array<Object>} Destinos de eventos
+ * @throws {ValidationError} Si no hay destinos, alguno se repite o no es válido
+ */
+export function createSinks(options = config.sinks) {
+  if (options.targets.length === 0) {
+    throw new ValidationError('CALENDAR_SINKS no puede estar vacío', 'sinks');
+  }
+
+  const repeated = options.targets.find((type, index) => options.targets.indexOf(type) !== index);
+  if (repeated) {
+    throw new ValidationError(`Destino de eventos repetido en CALENDAR_SINKS: ${repeated}`, 'sinks');
+  }
+
+  return options.targets.map(type => createSink(type, options));
+}
+
+/**
+ * Crea múltiples eventos en un destino, varios a la vez según su concurrencia
+ * Un evento que falla no detiene el resto; los resultados conservan el orden
+ * @param {Object} sink - Destino de eventos
+ * @param {Array<Object>} events - Lista de eventos a crear
+ * @returns {Promise<Object>} Eventos creados ({ event, created }) y errores ({ event, error })
+ */
+export async function createEventsBatch(sink, events) {
+  logger.info(`Creando ${events.length} eventos en ${sink.description}...`);
+
+  const outcomes = await mapWithConcurrency(events, sink.concurrency || 1, async event => {
+    const meta = { templateId: event.templateId, date: event.date.start, sink: sink.name };
+    try {
+      const created = await sink.createEvent(event);
+      logger.debug(`Evento creado en ${sink.name}: ${event.name}`, {
+        ...meta,
+        // En Notion el ID del evento es el de la página
+        [sink.name === 'notion' ? 'pageId' : 'eventId']: created.id,
+      });
+      return { event, created };
+    } catch (error) {
+      logger.error(`Error al crear evento "${event.name}" en ${sink.name}: ${error.message}`, meta);
+      return { event, error };
+    }
+  });
+
+  const results = outcomes.filter(outcome => !outcome.error);
+  const errors = outcomes.filter(outcome => outcome.error);
+
+  if (errors.length > 0) {
+    logger.warn(`Se crearon ${results.length} eventos, ${errors.length} fallaron`);
+  } else {
+    logger.info(`Se crearon exitosamente ${results.length} eventos`);
+  }
+
+  return {
+    success: results,
+    errors: errors,
+  };
+}
+
+export default {
+  SINK_TYPES,
+  createSink,
+  createSinks,
+  createEventsBatch,
+};
@@ -0,0 +1,57 @@
+/**
+ * Destino de eventos: base de datos de calendario de Notion (Calendar DB)
+ */
+
+import {
+  createCalendarEvent,
+  getCalendarEventsInRange,
+  getPage,
+  archivePage,
+} from '../notionService.js';
+import config from '../../config/environment.js';
+
+/**
+ * Crea el destino que escribe los eventos como páginas de Calendar DB
+ * La conexión y el esquema se comprueban en verifyConnection junto con
+ * el resto de bases de Notion
+ * @returns {Object} Destino de eventos (ver sinks/index.js)
+ */
+export function createNotionSink() {
+  return {
+    name: 'notion',
+    description: 'Calendar DB de Notion',
+    // El límite de peticiones lo aplica el planificador de notionService
+    concurrency: config.notion.rateLimit.concurrency,
+    findEventsInRange: getCalendarEventsInRange,
+    createEvent: async event => {
+      const page = await createCalendarEvent(event);
+      // Con contenido copiado, la página se considera editada solo después de la copia
+      return { id: page.id, revision: page.bodyCopiedAt || null };
+    },
+    archiveEvent: async id => {
+      await archivePage(id);
+    },
+    getEventStatus,
+  };
+}
+
+/**
+ * Consulta si una página creada sigue activa y si se editó después de crearse
+ * (o después de copiar el contenido de la plantilla, registrado como revision)
+ * @param {Object} entry - Página registrada en el manifiesto ({ id, revision, ... })
+ * @returns {Promise<Object>} Estado ({ archived, edited })
+ */
+async function getEventStatus(entry) {
+  const page = await getPage(entry.id);
+  // Notion redondea last_edited_time al minuto
+  const since = entry.revision
+    ? Math.floor(new Date(entry.revision).getTime() / 60000) * 60000
+    : new Date(page.created_time).getTime();
+
+  return {
+    archived: Boolean(page.archived || page.in_trash),
+    edited: new Date(page.last_edited_time).getTime() > since,
+  };
+}
+
+export default createNotionSink;
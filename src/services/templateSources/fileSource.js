@@ -0,0 +1,101 @@
+/**
+ * Fuente de plantilla: archivo local YAML o JSON
+ * Permite versionar la rutina en git y compartirla como archivo
+ */
+
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { parse as parseYaml } from 'yaml';
+import { createLogger } from '../../utils/logger.js';
+import { ValidationError } from '../../utils/errorHandler.js';
+import { createTemplateTask, slugify } from './templateTask.js';
+
+const logger = createLogger('FileTemplateSource');
+
+/**
+ * Crea la fuente de plantilla que lee las tareas de un archivo YAML o JSON
+ * El archivo contiene una lista de tareas (o { tasks: [...] }) con los mismos
+ * campos que Template DB: id, name, day, time, duration, notes, timezone,
+ * recurrence, tags y routine
+ * @param {string} filePath - Ruta del archivo (.yaml, .yml o .json)
+ * @returns {Object} Fuente de plantilla ({ name, getTemplateTasks })
+ */
+export function createFileSource(filePath) {
+  return {
+    name: `archivo ${filePath}`,
+    getTemplateTasks: () => readTemplateFile(filePath),
+  };
+}
+
+/**
+ * Lee y valida las tareas de un archivo de plantilla
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Promise<Array<Object>>} Tareas de plantilla
+ * @throws {ValidationError} Si el archivo no existe o su contenido no es válido
+ */
+async function readTemplateFile(filePath) {
+  logger.info(`Leyendo tareas de plantilla de ${filePath}...`);
+
+  let content;
+  try {
+    content = await readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new ValidationError(`No existe el archivo de plantilla ${filePath}`, 'templateFile');
+    }
+    throw error;
+  }
+
+  let data;
+  try {
+    data = extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : parseYaml(content);
+  } catch (error) {
+    throw new ValidationError(`No se pudo leer ${filePath}: ${error.message}`, 'templateFile');
+  }
+
+  const entries = Array.isArray(data) ? data : data?.tasks;
+  if (!Array.isArray(entries)) {
+    throw new ValidationError(`${filePath} debe contener una lista de tareas (o "tasks: [...]")`, 'templateFile');
+  }
+
+  const usedIds = new Set();
+  const tasks = entries.map((entry, index) => {
+    const label = `${filePath}, tarea ${index + 1}`;
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new ValidationError(`${label}: se esperaba un objeto con name, day y time`, 'templateFile');
+    }
+
+    const task = createTemplateTask({ ...entry, id: entry.id ?? buildTaskId(entry.name, usedIds) }, label);
+
+    if (usedIds.has(task.id)) {
+      throw new ValidationError(`${label} ("${task.name}"): id repetido: ${task.id}`, 'id');
+    }
+    usedIds.add(task.id);
+
+    return task;
+  });
+
+  logger.info(`Se obtuvieron ${tasks.length} tareas de plantilla`);
+  return tasks;
+}
+
+/**
+ * Genera un ID para una tarea sin "id" a partir de su nombre
+ * Las tareas con el mismo nombre se numeran en orden de aparición ("work", "work-2")
+ * @param {string} name - Nombre de la tarea
+ * @param {Set<string>} usedIds - IDs ya asignados en el archivo
+ * @returns {string} ID de la tarea
+ */
+function buildTaskId(name, usedIds) {
+  const base = slugify(name ?? '');
+  let id = base;
+
+  for (let n = 2; usedIds.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+
+  return id;
+}
+
+export default createFileSource;
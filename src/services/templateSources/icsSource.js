@@ -0,0 +1,340 @@
+/**
+ * Fuente de plantilla: archivo iCalendar (.ics) con eventos recurrentes
+ * Convierte cada evento con RRULE en una tarea de plantilla; los eventos
+ * sueltos, de día completo, las modificaciones de una sola fecha (RECURRENCE-ID)
+ * o con reglas no soportadas se omiten con un aviso
+ */
+
+import { readFile } from 'fs/promises';
+import { differenceInCalendarDays, differenceInMinutes, format, getDay, parseISO } from 'date-fns';
+import { formatInTimeZone } from 'date-fns-tz';
+import { createLogger } from '../../utils/logger.js';
+import { ValidationError } from '../../utils/errorHandler.js';
+import { isValidTimezone } from '../../utils/dateHelper.js';
+import { parseIcs, parseIcsDate, getIcsText } from '../../utils/ics.js';
+import { parseRecurrence } from '../../utils/recurrence.js';
+import { createTemplateTask, slugify } from './templateTask.js';
+import config from '../../config/environment.js';
+
+const logger = createLogger('IcsTemplateSource');
+
+/**
+ * Códigos de día de RRULE y su nombre en la propiedad Day
+ */
+const rruleDayNames = {
+  MO: 'Monday', TU: 'Tuesday', WE: 'Wednesday', TH: 'Thursday',
+  FR: 'Friday', SA: 'Saturday', SU: 'Sunday',
+};
+
+const rruleDayCodes = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Crea la fuente de plantilla que importa los eventos recurrentes de un .ics
+ * @param {string} filePath - Ruta del archivo .ics
+ * @returns {Object} Fuente de plantilla ({ name, getTemplateTasks })
+ */
+export function createIcsSource(filePath) {
+  return {
+    name: `calendario ${filePath}`,
+    getTemplateTasks: () => readIcsTemplate(filePath),
+  };
+}
+
+/**
+ * Lee un archivo .ics y convierte sus eventos recurrentes en tareas
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Promise<Array<Object>>} Tareas de plantilla
+ * @throws {ValidationError} Si el archivo no existe o no es un calendario válido
+ */
+async function readIcsTemplate(filePath) {
+  logger.info(`Importando eventos recurrentes de ${filePath}...`);
+
+  let content;
+  try {
+    content = await readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new ValidationError(`No existe el archivo de plantilla ${filePath}`, 'templateFile');
+    }
+    throw error;
+  }
+
+  const tasks = [];
+  const events = parseIcs(content);
+
+  events.forEach((event, index) => {
+    const name = getIcsText(event.SUMMARY) || `Evento ${index + 1}`;
+
+    try {
+      const task = convertEvent(event, name, `${filePath}, evento ${index + 1}`);
+      if (task) {
+        tasks.push(task);
+      }
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      logger.warn(`⚠ Se omite "${name}": ${error.message}`);
+    }
+  });
+
+  logger.info(`Se importaron ${tasks.length} de ${events.length} eventos como tareas de plantilla`);
+  return tasks;
+}
+
+/**
+ * Convierte un VEVENT en una tarea de plantilla
+ * @param {Object} event - Evento parseado (ver parseIcs)
+ * @param {string} name - Nombre del evento
+ * @param {string} label - Descripción del evento para los mensajes de error
+ * @returns {Object|null} Tarea de plantilla o null si el evento se omite
+ * @throws {ValidationError} Si el evento no se puede convertir
+ */
+function convertEvent(event, name, label) {
+  if (event['RECURRENCE-ID']) {
+    throw new ValidationError(
+      'cambia una sola fecha de un evento recurrente (RECURRENCE-ID); agrega ese cambio como excepción del calendario',
+      'RECURRENCE-ID'
+    );
+  }
+
+  if (!event.RRULE) {
+    logger.debug(`Se omite "${name}": no es un evento recurrente`);
+    return null;
+  }
+
+  const start = parseIcsDate(event.DTSTART);
+  if (!start || !start.time) {
+    throw new ValidationError('los eventos de día completo no tienen hora de inicio', 'DTSTART');
+  }
+
+  const local = toLocalStart(start);
+  const rule = convertRRule(event.RRULE.value, start, local);
+  // La regla traducida se valida aquí para omitir el evento con un aviso y no en cada semana
+  parseRecurrence(rule.recurrence);
+
+  const ignored = ['EXDATE', 'RDATE'].filter(key => event[key]);
+  if (ignored.length > 0) {
+    logger.warn(
+      `⚠ "${name}" tiene fechas ${ignored.join(' y ')} que no se importan: se genera en todas las fechas de su RRULE ` +
+      '(agrega las fechas excluidas como excepciones del calendario)'
+    );
+  }
+
+  return createTemplateTask({
+    id: event.UID?.value || slugify(name),
+    name,
+    day: rule.day,
+    time: format(local.date, 'HH:mm'),
+    duration: getDurationMinutes(event, start),
+    notes: getIcsText(event.DESCRIPTION),
+    timezone: local.timezone,
+    recurrence: rule.recurrence,
+    tags: getIcsText(event.CATEGORIES),
+  }, label);
+}
+
+/**
+ * Obtiene la fecha y hora de reloj de inicio y su zona horaria
+ * Las horas UTC se pasan a la zona global; las de una zona TZID desconocida
+ * (ej: nombres de Windows) se interpretan en la zona global con un aviso
+ * @param {Object} start - Inicio parseado (ver parseIcsDate)
+ * @returns {Object} Inicio local ({ date, timezone }); timezone null = zona global
+ */
+function toLocalStart(start) {
+  if (start.utc) {
+    const instant = new Date(`${start.date}T${start.time}Z`);
+    return {
+      date: parseISO(formatInTimeZone(instant, config.timezone, "yyyy-MM-dd'T'HH:mm:ss")),
+      timezone: null,
+    };
+  }
+
+  let timezone = null;
+  if (start.tzid) {
+    if (isValidTimezone(start.tzid)) {
+      timezone = start.tzid === config.timezone ? null : start.tzid;
+    } else {
+      logger.warn(`⚠ Zona horaria desconocida "${start.tzid}", se usa ${config.timezone}`);
+    }
+  }
+
+  return { date: parseISO(`${start.date}T${start.time}`), timezone };
+}
+
+/**
+ * Calcula la duración del evento en minutos a partir de DTEND o DURATION
+ * @param {Object} event - Evento parseado
+ * @param {Object} start - Inicio parseado
+ * @returns {number} Duración en minutos (60 si no se indica)
+ */
+function getDurationMinutes(event, start) {
+  const end = parseIcsDate(event.DTEND);
+
+  if (end && end.time) {
+    const startDate = parseISO(`${start.date}T${start.time}${start.utc ? 'Z' : ''}`);
+    const endDate = parseISO(`${end.date}T${end.time}${end.utc ? 'Z' : ''}`);
+    return differenceInMinutes(endDate, startDate);
+  }
+
+  const match = event.DURATION?.value.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/);
+  if (match) {
+    const [weeks, days, hours, minutes] = match.slice(1).map(value => Number(value || 0));
+    return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+  }
+
+  return 60;
+}
+
+/**
+ * Traduce una RRULE de calendario al Day y la recurrencia de la plantilla
+ * La recurrencia lleva siempre DTSTART (día de inicio local) y, si la regla
+ * termina, UNTIL: ambos se evalúan en cada semana objetivo, no al importar
+ * @param {string} text - Valor de la RRULE
+ * @param {Object} start - Inicio parseado (ver parseIcsDate)
+ * @param {Object} local - Inicio local del evento (ver toLocalStart)
+ * @returns {Object} Día y recurrencia ({ day, recurrence })
+ * @throws {ValidationError} Si la regla no está soportada
+ */
+function convertRRule(text, start, local) {
+  const params = {};
+  for (const part of text.split(';').filter(Boolean)) {
+    const [key, value = ''] = part.split('=');
+    params[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  }
+
+  if (params.COUNT) {
+    throw new ValidationError('RRULE con COUNT no soportada', 'RRULE');
+  }
+
+  const interval = Number(params.INTERVAL || 1);
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new ValidationError(`INTERVAL inválido: ${params.INTERVAL}`, 'RRULE');
+  }
+
+  const byDay = params.BYDAY
+    ? shiftByDay(parseByDay(params.BYDAY), differenceInCalendarDays(local.date, parseISO(start.date)))
+    : null;
+  const bounds = [`DTSTART=${format(local.date, 'yyyy-MM-dd')}`];
+  if (params.UNTIL) {
+    bounds.push(`UNTIL=${toLocalUntil(params.UNTIL, local)}`);
+  }
+
+  switch (params.FREQ) {
+    case 'DAILY':
+      if (interval !== 1) {
+        throw new ValidationError(`FREQ=DAILY con INTERVAL=${interval} no soportada`, 'RRULE');
+      }
+      return buildRule(byDay ? toDayNames(byDay) : 'Daily', 'WEEKLY', 1, byDay, bounds);
+
+    case 'WEEKLY': {
+      const days = byDay || [{ position: '', code: rruleDayCodes[getDay(local.date)] }];
+      if (days.some(({ position }) => position)) {
+        throw new ValidationError('las posiciones en BYDAY solo aplican a reglas mensuales', 'RRULE');
+      }
+      return buildRule(toDayNames(days), 'WEEKLY', interval, days, bounds);
+    }
+
+    case 'MONTHLY':
+      if (!byDay || interval !== 1) {
+        throw new ValidationError('solo se soportan reglas mensuales por día de la semana (ej: BYDAY=1MO)', 'RRULE');
+      }
+      return buildRule(toDayNames(byDay), 'MONTHLY', 1, byDay, bounds);
+
+    default:
+      throw new ValidationError(`FREQ=${params.FREQ} no soportada`, 'RRULE');
+  }
+}
+
+/**
+ * Arma el Day y la regla de recurrencia de la plantilla
+ * @param {string} day - Días de la fila
+ * @param {string} freq - Frecuencia (WEEKLY o MONTHLY)
+ * @param {number} interval - Intervalo en semanas
+ * @param {Array<Object>|null} byDay - Días de BYDAY ({ position, code }); null usa el Day de la fila
+ * @param {string[]} bounds - Límites de la regla (DTSTART y UNTIL)
+ * @returns {Object} Día y recurrencia ({ day, recurrence })
+ */
+function buildRule(day, freq, interval, byDay, bounds) {
+  const parts = [`FREQ=${freq}`];
+  if (interval > 1) {
+    parts.push(`INTERVAL=${interval}`);
+  }
+  if (byDay) {
+    parts.push(`BYDAY=${byDay.map(({ position, code }) => `${position}${code}`).join(',')}`);
+  }
+
+  return { day, recurrence: [...parts, ...bounds].join(';') };
+}
+
+/**
+ * Separa la lista BYDAY ("1MO,-1SU", "MO,WE") en posición y código de día
+ * @param {string} value - Valor de BYDAY
+ * @returns {Array<Object>} Días ({ position, code }); position es '' si no tiene
+ * @throws {ValidationError} Si algún día no es válido
+ */
+function parseByDay(value) {
+  return value.split(',').map(token => {
+    const match = token.match(/^([+-]?\d{1,2})?([A-Z]{2})$/);
+    if (!match || !rruleDayNames[match[2]]) {
+      throw new ValidationError(`BYDAY no soportado: ${token}`, 'RRULE');
+    }
+    return { position: match[1] || '', code: match[2] };
+  });
+}
+
+/**
+ * Mueve los días de BYDAY cuando pasar el inicio de UTC a la zona global cambia de día
+ * (ej: martes 02:00Z es lunes 21:00 en America/Bogota, así que TU pasa a MO)
+ * @param {Array<Object>} byDay - Días de BYDAY ({ position, code })
+ * @param {number} shift - Días de diferencia entre el inicio local y el UTC (-1, 0 o 1)
+ * @returns {Array<Object>} Días en la zona local
+ * @throws {ValidationError} Si los días tienen posición en el mes (el cambio de día la alteraría)
+ */
+function shiftByDay(byDay, shift) {
+  if (shift === 0) {
+    return byDay;
+  }
+
+  if (byDay.some(({ position }) => position)) {
+    throw new ValidationError(
+      `el inicio en UTC cae otro día en ${config.timezone} y BYDAY tiene posiciones en el mes; exporta el evento con su zona horaria (TZID)`,
+      'RRULE'
+    );
+  }
+
+  return byDay.map(({ code }) => ({
+    position: '',
+    code: rruleDayCodes[(rruleDayCodes.indexOf(code) + shift + 7) % 7],
+  }));
+}
+
+/**
+ * Convierte el UNTIL de una RRULE en el último día local de la regla
+ * Un UNTIL en UTC se pasa a la zona del evento; uno sin hora o local se usa tal cual
+ * @param {string} value - Valor de UNTIL (ej: "20261231T045959Z", "20261231")
+ * @param {Object} local - Inicio local del evento (ver toLocalStart)
+ * @returns {string} Día en formato yyyy-MM-dd
+ * @throws {ValidationError} Si el valor no es una fecha válida
+ */
+function toLocalUntil(value, local) {
+  const until = parseIcsDate({ value, params: {} });
+
+  if (until.utc) {
+    return formatInTimeZone(new Date(`${until.date}T${until.time}Z`), local.timezone || config.timezone, 'yyyy-MM-dd');
+  }
+
+  return until.date;
+}
+
+/**
+ * Convierte los días de BYDAY en nombres de día ("Monday, Wednesday, Friday")
+ * Las posiciones en el mes se quitan: van en la regla de recurrencia
+ * @param {Array<Object>} byDay - Días de BYDAY ({ position, code })
+ * @returns {string} Días separados por comas, sin repetir
+ */
+function toDayNames(byDay) {
+  return [...new Set(byDay.map(({ code }) => rruleDayNames[code]))].join(', ');
+}
+
+export default createIcsSource;
@@ -0,0 +1,63 @@
+/**
+ * Fuentes de plantilla
+ * Elige de dónde se leen las tareas de la rutina semanal según la configuración:
+ * la base de datos de Notion (por defecto) o un archivo local YAML, JSON o ICS
+ */
+
+import { extname } from 'path';
+import { ValidationError } from '../../utils/errorHandler.js';
+import { createNotionSource } from './notionSource.js';
+import { createFileSource } from './fileSource.js';
+import { createIcsSource } from './icsSource.js';
+import config from '../../config/environment.js';
+
+/**
+ * Tipos de fuente disponibles (TEMPLATE_SOURCE)
+ */
+export const TEMPLATE_SOURCES = ['notion', 'file'];
+
+/**
+ * Crea la fuente de plantilla configurada
+ * Cada fuente expone getTemplateTasks(), que devuelve tareas con el formato
+ * de createTemplateTask ({ id, name, day, time, duration, notes, ... })
+ * @param {Object} [options=config.templates] - Configuración de la fuente
+ * @param {string} options.source - Tipo de fuente ("notion" o "file")
+ * @param {string|null} options.file - Ruta del archivo para la fuente "file"
+ * @returns {Object} Fuente de plantilla ({ name, getTemplateTasks })
+ * @throws {ValidationError} Si la fuente o el formato del archivo no son válidos
+ */
+export function createTemplateSource(options = config.templates) {
+  if (options.source === 'notion') {
+    return createNotionSource();
+  }
+
+  if (options.source !== 'file') {
+    throw new ValidationError(
+      `Fuente de plantilla inválida: ${options.source} (usa ${TEMPLATE_SOURCES.join(', ')})`,
+      'templateSource'
+    );
+  }
+
+  if (!options.file) {
+    throw new ValidationError('TEMPLATE_SOURCE=file requiere TEMPLATE_FILE', 'templateFile');
+  }
+
+  switch (extname(options.file).toLowerCase()) {
+    case '.yaml':
+    case '.yml':
+    case '.json':
+      return createFileSource(options.file);
+    case '.ics':
+      return createIcsSource(options.file);
+    default:
+      throw new ValidationError(
+        `Formato de plantilla no soportado: ${options.file} (usa .yaml, .yml, .json o .ics)`,
+        'templateFile'
+      );
+  }
+}
+
+export default {
+  TEMPLATE_SOURCES,
+  createTemplateSource,
+};
@@ -0,0 +1,18 @@
+/**
+ * Fuente de plantilla: base de datos de Notion (Template DB)
+ */
+
+import { getTemplateTasks } from '../notionService.js';
+
+/**
+ * Crea la fuente de plantilla que lee las filas de Template DB
+ * @returns {Object} Fuente de plantilla ({ name, getTemplateTasks })
+ */
+export function createNotionSource() {
+  return {
+    name: 'Template DB de Notion',
+    getTemplateTasks,
+  };
+}
+
+export default createNotionSource;
@@ -0,0 +1,96 @@
+/**
+ * Formato común de las tareas de plantilla
+ * Todas las fuentes (Notion, YAML/JSON, ICS) producen tareas con esta forma,
+ * que es la que consume transformTaskToEvent
+ */
+
+/**
+ * Campos propios de una tarea; el resto de claves de los datos van a properties
+ */
+const TASK_FIELDS = ['id', 'name', 'day', 'time', 'duration', 'notes', 'timezone', 'recurrence', 'tags', 'routine', 'properties'];
+
+/**
+ * Construye una tarea de plantilla a partir de los datos de una fuente
+ * @param {Object} raw - Datos de la tarea
+ * @param {string} raw.id - Identificador estable de la fila (se usa para la idempotencia)
+ * @param {string} raw.name - Nombre del evento
+ * @param {string|string[]} raw.day - Día(s) de la semana o atajo ("Weekdays")
+ * @param {string} raw.time - Hora de inicio (HH:mm)
+ * @param {number} [raw.duration=60] - Duración en minutos
+ * @param {string} [raw.notes] - Notas del evento
+ * @param {string} [raw.timezone] - Zona horaria propia de la fila
+ * @param {string} [raw.recurrence] - Regla de recurrencia
+ * @param {string[]} [raw.tags] - Etiquetas de la fila
+ * @param {string} [raw.routine] - Rutina alternativa a la que pertenece
+ * @param {Object} [raw.properties] - Otras propiedades de la fila (nombre -> valor), para {{prop:Nombre}}
+ *   (las claves de raw que no son campos de la tarea también se guardan aquí)
+ * @param {string} label - Ubicación de la fila (ej: "rutina.yaml, tarea 3"), para los mensajes de lint
+ * @returns {Object} Tarea de plantilla; el nombre vacío o la duración inválida no se
+ *   rechazan aquí, los reporta lint (ver templateLinter) y transformTaskToEvent
+ */
+export function createTemplateTask(raw, label) {
+  const durationMissing = raw.duration === undefined || raw.duration === null || raw.duration === '';
+  // Un valor que no es número se conserva tal cual para mostrarlo en el mensaje de lint
+  const duration = durationMissing ? 60 : Number(raw.duration); // Default 60 minutos
+
+  return {
+    id: String(raw.id),
+    location: label,
+    name: String(raw.name ?? '').trim(),
+    day: Array.isArray(raw.day) ? raw.day.join(', ') : String(raw.day ?? ''),
+    time: raw.time === undefined || raw.time === null ? '' : String(raw.time),
+    duration: Number.isFinite(duration) ? duration : raw.duration,
+    // Sin duración se usan 60 minutos; lint lo reporta
+    durationMissing,
+    notes: raw.notes || '',
+    timezone: raw.timezone || null,
+    recurrence: raw.recurrence || null,
+    tags: toList(raw.tags),
+    routine: raw.routine || null,
+    properties: buildProperties(raw),
+  };
+}
+
+/**
+ * Reúne las demás propiedades de la fila como texto
+ * @param {Object} raw - Datos de la tarea
+ * @returns {Object} Propiedades (nombre -> texto)
+ */
+function buildProperties(raw) {
+  const extra = Object.entries(raw).filter(([key]) => !TASK_FIELDS.includes(key));
+  const entries = [...extra, ...Object.entries(raw.properties || {})];
+
+  return Object.fromEntries(entries.map(([key, value]) => [
+    key,
+    Array.isArray(value) ? value.join(', ') : String(value ?? ''),
+  ]));
+}
+
+/**
+ * Genera un identificador legible a partir del nombre de una tarea
+ * @param {string} name - Nombre de la tarea
+ * @returns {string} Identificador (ej: "morning-routine")
+ */
+export function slugify(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'tarea';
+}
+
+/**
+ * Convierte un valor (lista o texto separado por comas) en una lista de textos
+ * @param {string|string[]} [value] - Valor original
+ * @returns {string[]} Valores sin vacíos
+ */
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+export default {
+  createTemplateTask,
+  slugify,
+};
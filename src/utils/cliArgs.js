@@ -0,0 +1,147 @@
+/**
+ * Lectura de argumentos de línea de comandos
+ * Traduce los flags de los scripts npm a opciones de los jobs
+ */
+
+import { parseArgs } from 'util';
+import { ValidationError } from './errorHandler.js';
+
+/**
+ * Obtiene las opciones de generación a partir de los argumentos de la CLI
+ * @param {string[]} [argv=process.argv.slice(2)] - Argumentos a interpretar
+ * @returns {Object} Opciones para generateWeek
+ */
+export function parseGenerateOptions(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      'plan-json': { type: 'string' },
+      'conflict-policy': { type: 'string' },
+      ics: { type: 'string' },
+      'ics-only': { type: 'boolean', default: false },
+      week: { type: 'string' },
+      start: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      daemon: { type: 'boolean', default: false },
+      server: { type: 'boolean', default: false },
+      cron: { type: 'string' },
+      profile: { type: 'string', multiple: true },
+    },
+    allowPositionals: true,
+  });
+
+  return {
+    dryRun: values['dry-run'] || process.env.DRY_RUN === 'true',
+    planFile: values['plan-json'] || null,
+    conflictPolicy: values['conflict-policy'] || null,
+    icsFile: values.ics || null,
+    icsOnly: values['ics-only'],
+    // Semana(s) objetivo; sin valores se genera la próxima semana
+    target: {
+      week: values.week || undefined,
+      start: values.start || undefined,
+      from: values.from || undefined,
+      to: values.to || undefined,
+    },
+    // Perfiles a generar (--profile ana --profile luis o --profile ana,luis); sin valores, todos
+    profiles: (values.profile || []).flatMap(value => value.split(',')).map(name => name.trim()).filter(Boolean),
+    // Modo daemon (ver jobs/daemon.js); sin --cron se usa SCHEDULE_CRON
+    daemon: values.daemon,
+    cron: values.cron || null,
+    // API HTTP de control (ver jobs/server.js); se puede combinar con --daemon
+    server: values.server,
+  };
+}
+
+/**
+ * Obtiene las opciones del rollback a partir de los argumentos de la CLI
+ * @param {string[]} [argv=process.argv.slice(2)] - Argumentos a interpretar
+ * @returns {Object} ID de la ejecución (o "last") y si se fuerza el archivado
+ * @throws {ValidationError} Si no se indica la ejecución
+ */
+export function parseRollbackOptions(argv = process.argv.slice(2)) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: {
+      force: { type: 'boolean', default: false },
+    },
+    allowPositionals: true,
+  });
+
+  if (positionals.length === 0) {
+    throw new ValidationError('Indica el ID de la ejecución o "last" (ej: npm run rollback -- last)', 'runId');
+  }
+
+  return {
+    runId: positionals[0],
+    force: values.force,
+  };
+}
+
+/**
+ * Obtiene las opciones del comando de historial a partir de los argumentos de la CLI
+ * @param {string[]} [argv=process.argv.slice(2)] - Argumentos a interpretar
+ * @returns {Object} Comando (list, show, gaps) y sus opciones (limit, weeks, profile)
+ */
+export function parseHistoryOptions(argv = process.argv.slice(2)) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: {
+      limit: { type: 'string', default: '10' },
+      weeks: { type: 'string', default: '8' },
+      profile: { type: 'string' },
+    },
+    allowPositionals: true,
+  });
+
+  return {
+    command: positionals[0] || 'list',
+    runId: positionals[1] || 'last',
+    limit: parsePositiveNumber(values.limit, 'limit'),
+    weeks: parsePositiveNumber(values.weeks, 'weeks'),
+    profile: values.profile || null,
+  };
+}
+
+/**
+ * Obtiene las opciones del lint de la plantilla a partir de los argumentos de la CLI
+ * @param {string[]} [argv=process.argv.slice(2)] - Argumentos a interpretar
+ * @returns {Object} Perfiles a revisar (vacío para todos)
+ */
+export function parseLintOptions(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      profile: { type: 'string', multiple: true },
+    },
+  });
+
+  return {
+    profiles: (values.profile || []).flatMap(value => value.split(',')).map(name => name.trim()).filter(Boolean),
+  };
+}
+
+/**
+ * Convierte un argumento en entero positivo
+ * @param {string} value - Valor recibido
+ * @param {string} name - Nombre de la opción (para el mensaje de error)
+ * @returns {number} Entero positivo
+ * @throws {ValidationError} Si el valor no es un entero positivo
+ */
+function parsePositiveNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ValidationError(`--${name} debe ser un entero positivo (recibido: ${value})`, name);
+  }
+  return number;
+}
+
+export default {
+  parseGenerateOptions,
+  parseRollbackOptions,
+  parseHistoryOptions,
+  parseLintOptions,
+};
+
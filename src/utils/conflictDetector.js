@@ -0,0 +1,227 @@
+/**
+ * Detección de conflictos de horario
+ * Encuentra solapamientos entre eventos de plantilla y contra eventos ya
+ * existentes en el calendario, y aplica la política configurada
+ */
+
+import { formatInTimeZone } from 'date-fns-tz';
+import { createLogger } from './logger.js';
+import { ValidationError } from './errorHandler.js';
+import { calculateEndDate, createNotionDateObject, getNextMidnight, parseNotionDate } from './dateHelper.js';
+
+const logger = createLogger('ConflictDetector');
+
+/**
+ * Duración supuesta (en minutos) de un evento existente con hora de inicio y sin fin,
+ * la misma que la de una fila de plantilla sin Duration
+ */
+const DEFAULT_EXISTING_DURATION = 60;
+
+/**
+ * Políticas disponibles ante un conflicto
+ * - warn: se reporta y el evento se crea igual
+ * - skip: se reporta y el evento no se crea
+ * - shift: se mueve al siguiente hueco libre de la misma duración ese mismo día
+ *   (si no hay hueco, no se crea)
+ */
+export const CONFLICT_POLICIES = ['warn', 'skip', 'shift'];
+
+/**
+ * Qué hacer con los eventos existentes de día completo (fecha sin hora)
+ * - ignore: no ocupan horario (festivos, cumpleaños, vacaciones marcadas en el calendario)
+ * - block: ocupan el día entero y chocan con cualquier fila de ese día
+ */
+export const ALL_DAY_EVENT_MODES = ['ignore', 'block'];
+
+/**
+ * Analiza los eventos a crear y resuelve los conflictos según la política
+ * Los eventos se procesan por hora de inicio: ante dos filas de plantilla que
+ * se solapan, la que empieza antes se conserva
+ * @param {Array<Object>} events - Eventos de plantilla pendientes de crear
+ * @param {Array<Object>} existingEvents - Eventos ya presentes en el calendario ({ name, start, end, allDay })
+ * @param {string} policy - Política a aplicar (warn, skip o shift)
+ * @param {string} timezone - Zona horaria global (para eventos sin zona propia)
+ * @param {Object} [options={}] - Opciones de la detección
+ * @param {string} [options.allDayEvents='ignore'] - Eventos existentes de día completo: ignore o block
+ * @returns {Object} Eventos a crear (posiblemente movidos) y conflictos encontrados
+ * @throws {ValidationError} Si la política o el modo de los eventos de día completo no son válidos
+ */
+export function resolveConflicts(events, existingEvents, policy, timezone, options = {}) {
+  const { allDayEvents = 'ignore' } = options;
+
+  if (!CONFLICT_POLICIES.includes(policy)) {
+    throw new ValidationError(
+      `Política de conflictos inválida: ${policy} (usa ${CONFLICT_POLICIES.join(', ')})`,
+      'conflictPolicy'
+    );
+  }
+
+  if (!ALL_DAY_EVENT_MODES.includes(allDayEvents)) {
+    throw new ValidationError(
+      `Modo inválido para los eventos de día completo: ${allDayEvents} (usa ${ALL_DAY_EVENT_MODES.join(', ')})`,
+      'allDayEvents'
+    );
+  }
+
+  // Intervalos ocupados: eventos existentes y eventos de plantilla ya aceptados
+  const occupied = existingEvents
+    .filter(event => event.start && (allDayEvents === 'block' || !isIgnoredAllDay(event)))
+    .map(event => ({
+      start: event.start,
+      end: getExistingEventEnd(event, timezone),
+      name: event.name,
+      type: event.templateId ? 'template' : 'existing',
+    }));
+
+  const candidates = events
+    .map((event, index) => ({ event, index, ...getEventInterval(event, timezone) }))
+    .sort((a, b) => a.start - b.start || a.index - b.index);
+
+  const accepted = [];
+  const conflicts = [];
+
+  for (const candidate of candidates) {
+    const overlaps = findOverlaps(candidate, occupied);
+    let event = candidate.event;
+    let interval = candidate;
+
+    if (overlaps.length > 0) {
+      const conflict = {
+        event: event.name,
+        templateId: event.templateId,
+        start: event.date.start,
+        with: overlaps.map(other => ({ name: other.name, type: other.type })),
+        action: 'warned',
+      };
+      conflicts.push(conflict);
+
+      if (policy === 'skip') {
+        conflict.action = 'skipped';
+        continue;
+      }
+
+      if (policy === 'shift') {
+        interval = findNextFreeSlot(candidate, occupied);
+
+        if (!interval) {
+          conflict.action = 'skipped';
+          conflict.reason = 'sin hueco libre ese día';
+          continue;
+        }
+
+        event = {
+          ...event,
+          date: createNotionDateObject(interval.start, interval.end, event.date.time_zone || timezone),
+        };
+        conflict.action = 'shifted';
+        conflict.shiftedTo = event.date.start;
+      }
+    }
+
+    accepted.push({ event, index: candidate.index });
+    occupied.push({ start: interval.start, end: interval.end, name: event.name, type: 'template' });
+  }
+
+  // Se conserva el orden original de los eventos
+  accepted.sort((a, b) => a.index - b.index);
+
+  return {
+    events: accepted.map(item => item.event),
+    conflicts,
+  };
+}
+
+/**
+ * Obtiene el intervalo de inicio y fin de un evento preparado
+ * @param {Object} event - Evento con su objeto de fecha de Notion
+ * @param {string} timezone - Zona horaria global
+ * @returns {Object} Intervalo ({ start, end })
+ */
+function getEventInterval(event, timezone) {
+  return {
+    start: parseNotionDate(event.date.start, event.date.time_zone, timezone),
+    end: parseNotionDate(event.date.end, event.date.time_zone, timezone),
+  };
+}
+
+/**
+ * Indica si un evento existente es de día completo y por tanto no ocupa horario
+ * (con CONFLICT_ALL_DAY_EVENTS=ignore, el valor por defecto)
+ * @param {Object} event - Evento existente ({ name, start, end, allDay })
+ * @returns {boolean} true si el evento se ignora
+ */
+function isIgnoredAllDay(event) {
+  if (event.allDay) {
+    logger.debug(`Evento de día completo "${event.name}" ignorado al buscar conflictos`, { start: event.start.toISOString() });
+  }
+  return Boolean(event.allDay);
+}
+
+/**
+ * Obtiene el fin de un evento existente para buscar conflictos
+ * Los de día completo (si bloquean) ocupan hasta la medianoche y los que solo tienen
+ * hora de inicio se suponen de DEFAULT_EXISTING_DURATION minutos (sin fin no se solaparían con nada)
+ * @param {Object} event - Evento existente ({ name, start, end, allDay })
+ * @param {string} timezone - Zona horaria global (para el día de los eventos de día completo)
+ * @returns {Date} Fin del evento
+ */
+function getExistingEventEnd(event, timezone) {
+  if (event.end > event.start) {
+    return event.end;
+  }
+
+  if (event.allDay) {
+    return getNextMidnight(formatInTimeZone(event.start, timezone, 'yyyy-MM-dd'), timezone);
+  }
+
+  logger.debug(
+    `Evento "${event.name}" sin hora de fin: se consideran ${DEFAULT_EXISTING_DURATION} minutos para buscar conflictos`,
+    { start: event.start.toISOString() }
+  );
+  return calculateEndDate(event.start, DEFAULT_EXISTING_DURATION);
+}
+
+/**
+ * Busca los intervalos ocupados que se solapan con otro
+ * @param {Object} interval - Intervalo a comprobar
+ * @param {Array<Object>} occupied - Intervalos ocupados
+ * @returns {Array<Object>} Intervalos que se solapan
+ */
+function findOverlaps(interval, occupied) {
+  return occupied.filter(other => interval.start < other.end && other.start < interval.end);
+}
+
+/**
+ * Busca el siguiente hueco libre de la misma duración dentro del mismo día
+ * @param {Object} candidate - Evento en conflicto con su intervalo
+ * @param {Array<Object>} occupied - Intervalos ocupados
+ * @returns {Object|null} Nuevo intervalo o null si no hay hueco antes de medianoche
+ */
+function findNextFreeSlot(candidate, occupied) {
+  const timezone = candidate.event.date.time_zone || 'UTC';
+  const duration = Math.round((candidate.end - candidate.start) / 60000);
+  const dayEnd = getNextMidnight(formatInTimeZone(candidate.start, timezone, 'yyyy-MM-dd'), timezone);
+
+  let slot = { start: candidate.start, end: candidate.end };
+  let overlaps = findOverlaps(slot, occupied);
+
+  while (overlaps.length > 0) {
+    const start = new Date(Math.max(...overlaps.map(other => other.end.getTime())));
+    slot = { start, end: calculateEndDate(start, duration) };
+
+    if (slot.end > dayEnd) {
+      return null;
+    }
+
+    overlaps = findOverlaps(slot, occupied);
+  }
+
+  return slot;
+}
+
+export default {
+  CONFLICT_POLICIES,
+  ALL_DAY_EVENT_MODES,
+  resolveConflicts,
+};
+
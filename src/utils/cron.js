@@ -0,0 +1,342 @@
+/**
+ * Expresiones cron para el modo daemon
+ * Formato estándar de 5 campos (minuto hora día-del-mes mes día-de-la-semana)
+ * con listas, rangos, pasos, nombres (MON, JAN) y atajos (@daily, @weekly...).
+ * Las horas se evalúan en la zona horaria indicada, no en la del servidor.
+ */
+
+import { addDays, getDate, getDay, getMonth, set, startOfDay } from 'date-fns';
+import { fromZonedTime, toZonedTime } from 'date-fns-tz';
+import { ValidationError } from './errorHandler.js';
+
+/**
+ * Atajos de expresiones habituales
+ */
+const aliases = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+/**
+ * Campos de la expresión, con sus límites y nombres admitidos
+ */
+const fields = [
+  { key: 'minutes', label: 'minuto', min: 0, max: 59 },
+  { key: 'hours', label: 'hora', min: 0, max: 23 },
+  { key: 'daysOfMonth', label: 'día del mes', min: 1, max: 31 },
+  {
+    key: 'months', label: 'mes', min: 1, max: 12,
+    names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'],
+    offset: 1,
+  },
+  {
+    // 0 y 7 son domingo
+    key: 'daysOfWeek', label: 'día de la semana', min: 0, max: 7,
+    names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'],
+    offset: 0,
+  },
+];
+
+/**
+ * Límite de días que se recorren buscando la siguiente ejecución
+ * (una expresión como "0 0 30 2 *" nunca ocurre)
+ */
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Duración de un día sin cambio de horario, en milisegundos
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parsea una expresión cron
+ * @param {string} expression - Expresión de 5 campos o atajo (ej: "0 18 * * SUN", "@daily")
+ * @returns {Object} Expresión parseada con los valores permitidos de cada campo
+ * @throws {ValidationError} Si la expresión no es válida
+ */
+export function parseCron(expression) {
+  const source = String(expression ?? '').trim();
+  const normalized = aliases[source.toLowerCase()] || source;
+  const parts = normalized.split(/\s+/).filter(Boolean);
+
+  if (parts.length !== fields.length) {
+    throw new ValidationError(
+      `Expresión cron inválida: "${source}" (se esperan 5 campos: minuto hora día mes día-semana)`,
+      'cron'
+    );
+  }
+
+  const cron = { expression: source };
+  fields.forEach((field, index) => {
+    cron[field.key] = parseField(parts[index], field, source);
+  });
+
+  // 7 es otra forma de escribir domingo
+  if (cron.daysOfWeek.has(7)) {
+    cron.daysOfWeek.delete(7);
+    cron.daysOfWeek.add(0);
+  }
+
+  // Como en cron clásico: si se restringen día del mes y día de la semana, basta con uno
+  cron.restrictsDayOfMonth = parts[2] !== '*';
+  cron.restrictsDayOfWeek = parts[4] !== '*';
+  cron.sortedHours = [...cron.hours].sort((a, b) => a - b);
+  cron.sortedMinutes = [...cron.minutes].sort((a, b) => a - b);
+
+  return cron;
+}
+
+/**
+ * Calcula la siguiente ejecución estrictamente posterior a un instante
+ * @param {Object} cron - Expresión parseada (ver parseCron)
+ * @param {Date} after - Instante de referencia
+ * @param {string} timezone - Zona horaria en la que se evalúa la expresión
+ * @returns {Date|null} Instante de la siguiente ejecución o null si no ocurre en 5 años
+ */
+export function getNextRun(cron, after, timezone) {
+  // Se recorre el calendario de la zona horaria día a día y, en los días que
+  // coinciden, cada hora y minuto permitidos; el primer día empieza en la hora
+  // y el minuto de "after", así que cada llamada revisa pocas horas
+  const zonedAfter = toZonedTime(after, timezone);
+  const afterMinute = zonedAfter.getHours() * 60 + zonedAfter.getMinutes();
+  let day = startOfDay(zonedAfter);
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++, day = addDays(day, 1)) {
+    if (!matchesDay(cron, day)) {
+      continue;
+    }
+
+    for (const hours of cron.sortedHours) {
+      if (i === 0 && hours < zonedAfter.getHours()) {
+        continue;
+      }
+      for (const minutes of cron.sortedMinutes) {
+        if (i === 0 && hours * 60 + minutes < afterMinute) {
+          continue;
+        }
+        const instant = fromZonedTime(set(day, { hours, minutes, seconds: 0, milliseconds: 0 }), timezone);
+        if (instant > after) {
+          return instant;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Calcula la última ejecución estrictamente anterior a un instante
+ * @param {Object} cron - Expresión parseada (ver parseCron)
+ * @param {Date} before - Instante de referencia
+ * @param {string} timezone - Zona horaria en la que se evalúa la expresión
+ * @returns {Date|null} Instante de la ejecución anterior o null si no hubo en 5 años
+ */
+export function getPreviousRun(cron, before, timezone) {
+  // Igual que getNextRun, pero hacia atrás desde la hora y el minuto de "before"
+  const zonedBefore = toZonedTime(before, timezone);
+  const beforeMinute = zonedBefore.getHours() * 60 + zonedBefore.getMinutes();
+  let day = startOfDay(zonedBefore);
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++, day = addDays(day, -1)) {
+    if (!matchesDay(cron, day)) {
+      continue;
+    }
+
+    for (const hours of [...cron.sortedHours].reverse()) {
+      if (i === 0 && hours > zonedBefore.getHours()) {
+        continue;
+      }
+      for (const minutes of [...cron.sortedMinutes].reverse()) {
+        if (i === 0 && hours * 60 + minutes > beforeMinute) {
+          continue;
+        }
+        const instant = fromZonedTime(set(day, { hours, minutes, seconds: 0, milliseconds: 0 }), timezone);
+        if (instant < before) {
+          return instant;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Lista las ejecuciones programadas más recientes de un intervalo (desde, hasta]
+ * Se recorre hacia atrás desde el final, así que el coste depende del límite y no
+ * del largo del intervalo (para el total, ver countRunsBetween)
+ * @param {Object} cron - Expresión parseada
+ * @param {Date} from - Inicio del intervalo (exclusive)
+ * @param {Date} to - Fin del intervalo (inclusive)
+ * @param {string} timezone - Zona horaria en la que se evalúa la expresión
+ * @param {number} [limit=100] - Máximo de ejecuciones a devolver (las más recientes)
+ * @returns {Date[]} Ejecuciones en orden cronológico
+ */
+export function getRunsBetween(cron, from, to, timezone, limit = 100) {
+  const runs = [];
+
+  for (
+    let run = getPreviousRun(cron, new Date(to.getTime() + 1), timezone);
+    run && run > from && runs.length < limit;
+    run = getPreviousRun(cron, run, timezone)
+  ) {
+    runs.unshift(run);
+  }
+
+  return runs;
+}
+
+/**
+ * Cuenta las ejecuciones programadas en un intervalo (desde, hasta] sin listarlas
+ * Los días completos sin cambio de horario suman horas × minutos de la expresión;
+ * solo los días de los extremos y los de cambio de horario se recorren uno a uno
+ * @param {Object} cron - Expresión parseada
+ * @param {Date} from - Inicio del intervalo (exclusive)
+ * @param {Date} to - Fin del intervalo (inclusive)
+ * @param {string} timezone - Zona horaria en la que se evalúa la expresión
+ * @returns {number} Número de ejecuciones
+ */
+export function countRunsBetween(cron, from, to, timezone) {
+  const runsPerDay = cron.hours.size * cron.minutes.size;
+  const lastDay = startOfDay(toZonedTime(to, timezone));
+  let count = 0;
+
+  for (let day = startOfDay(toZonedTime(from, timezone)); day <= lastDay; day = addDays(day, 1)) {
+    if (!matchesDay(cron, day)) {
+      continue;
+    }
+
+    const dayStart = fromZonedTime(day, timezone);
+    const dayEnd = fromZonedTime(addDays(day, 1), timezone);
+
+    if (dayStart > from && dayEnd <= to && dayEnd - dayStart === DAY_MS) {
+      count += runsPerDay;
+    } else {
+      count += getDayRuns(cron, day, timezone).filter(run => run > from && run <= to).length;
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Lista las ejecuciones de un día que coincide con la expresión
+ * En los días de cambio de horario, las horas que no existen o se repiten dan un solo instante
+ * @param {Object} cron - Expresión parseada
+ * @param {Date} day - Día con los componentes de la zona horaria
+ * @param {string} timezone - Zona horaria en la que se evalúa la expresión
+ * @returns {Date[]} Ejecuciones del día, sin repetir
+ */
+function getDayRuns(cron, day, timezone) {
+  const runs = new Map();
+
+  for (const hours of cron.sortedHours) {
+    for (const minutes of cron.sortedMinutes) {
+      const instant = fromZonedTime(set(day, { hours, minutes, seconds: 0, milliseconds: 0 }), timezone);
+      runs.set(instant.getTime(), instant);
+    }
+  }
+
+  return [...runs.values()];
+}
+
+/**
+ * Indica si un día (en la zona horaria de la expresión) coincide con la expresión
+ * @param {Object} cron - Expresión parseada
+ * @param {Date} day - Día con los componentes de la zona horaria
+ * @returns {boolean} true si en ese día hay ejecuciones
+ */
+function matchesDay(cron, day) {
+  if (!cron.months.has(getMonth(day) + 1)) {
+    return false;
+  }
+
+  const dayOfMonth = cron.daysOfMonth.has(getDate(day));
+  const dayOfWeek = cron.daysOfWeek.has(getDay(day));
+
+  if (cron.restrictsDayOfMonth && cron.restrictsDayOfWeek) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Parsea un campo de la expresión ("*", "1-5", "MON,WED", "8-18/2")
+ * @param {string} text - Texto del campo
+ * @param {Object} field - Definición del campo
+ * @param {string} expression - Expresión completa (para el mensaje de error)
+ * @returns {Set<number>} Valores permitidos
+ * @throws {ValidationError} Si el campo no es válido
+ */
+function parseField(text, field, expression) {
+  const values = new Set();
+  const invalid = () => new ValidationError(
+    `Expresión cron inválida: "${expression}" (${field.label}: ${text})`,
+    'cron'
+  );
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw invalid();
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else {
+      const [first, last] = range.split('-');
+      start = parseValue(first, field);
+      // "5/15" equivale a "5-max/15"
+      end = last !== undefined ? parseValue(last, field) : stepText !== undefined ? field.max : start;
+    }
+
+    if (start === null || end === null || start > end) {
+      throw invalid();
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Convierte un valor de un campo (número o nombre) en número
+ * @param {string} text - Valor (ej: "5", "MON", "jan")
+ * @param {Object} field - Definición del campo
+ * @returns {number|null} Valor numérico o null si no es válido
+ */
+function parseValue(text, field) {
+  const nameIndex = field.names ? field.names.indexOf(String(text).toUpperCase()) : -1;
+  if (nameIndex !== -1) {
+    return nameIndex + field.offset;
+  }
+
+  if (!/^\d+$/.test(text ?? '')) {
+    return null;
+  }
+
+  const value = Number(text);
+  return value >= field.min && value <= field.max ? value : null;
+}
+
+export default {
+  parseCron,
+  getNextRun,
+  getPreviousRun,
+  getRunsBetween,
+  countRunsBetween,
+};
@@ -7,14 +7,13 @@ import {
   startOfWeek,
   endOfWeek,
   addWeeks,
+  addDays,
   addMinutes,
   addHours,
   format,
   parse,
-  setHours,
-  setMinutes,
-  setSeconds,
-  setMilliseconds,
+  parseISO,
+  isValid,
   nextMonday,
   nextTuesday,
   nextWednesday,
@@ -24,6 +23,12 @@ import {
   nextSunday,
 } from 'date-fns';
 import { fromZonedTime, toZonedTime, formatInTimeZone } from 'date-fns-tz';
+import { ValidationError } from './errorHandler.js';
+
+/**
+ * Máximo de semanas que se pueden generar en una sola ejecución
+ */
+const MAX_TARGET_WEEKS = 53;
 
 /**
  * Mapa de días de la semana en español a funciones de date-fns
@@ -45,6 +50,40 @@ const dayFunctions = {
   'Domingo': nextSunday,
 };
 
+/**
+ * Atajos que representan varios días en la propiedad Day
+ */
+const dayGroups = {
+  'Weekdays': ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+  'Weekend': ['Saturday', 'Sunday'],
+  'Daily': ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+  'Entre semana': ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+  'Fin de semana': ['Saturday', 'Sunday'],
+  'Diario': ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+  'Todos los días': ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+};
+
+/**
+ * Expande el valor de la propiedad Day a la lista de días que representa
+ * Acepta un día ("Monday"), varios separados por comas ("Monday, Friday")
+ * y atajos como "Weekdays", "Weekend" o "Daily"
+ * @param {string} dayValue - Valor de la propiedad Day
+ * @returns {string[]} Nombres de días sin repetir (los no reconocidos se conservan tal cual)
+ */
+export function expandDayNames(dayValue) {
+  const days = [];
+  
+  for (const part of (dayValue || '').split(',').map(value => value.trim()).filter(Boolean)) {
+    for (const day of dayGroups[part] || [part]) {
+      if (!days.includes(day)) {
+        days.push(day);
+      }
+    }
+  }
+  
+  return days;
+}
+
 /**
  * Obtiene el inicio de la próxima semana (lunes)
  * @param {Date} [referenceDate=new Date()] - Fecha de referencia
@@ -63,27 +102,78 @@ export function getNextWeekEnd(referenceDate = new Date()) {
   return endOfWeek(addWeeks(referenceDate, 1), { weekStartsOn: 1 });
 }
 
+/**
+ * Obtiene la fecha y hora actual expresada en una zona horaria
+ * El resultado conserva en sus componentes locales el reloj de pared de esa zona,
+ * que es la convención que usan las funciones de semana de este módulo
+ * @param {string} timezone - Zona horaria de referencia
+ * @param {Date} [now=new Date()] - Instante a convertir
+ * @returns {Date} Fecha con el reloj de pared de la zona horaria
+ */
+export function getZonedNow(timezone = 'America/Bogota', now = new Date()) {
+  return toZonedTime(now, timezone);
+}
+
+/**
+ * Verifica si una zona horaria IANA es válida (ej: "Europe/Madrid")
+ * @param {string} timezone - Zona horaria a validar
+ * @returns {boolean} true si la zona horaria es reconocida
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone) {
+    return false;
+  }
+  
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Indica si un nombre de día es válido (en inglés o español, sin atajos)
+ * @param {string} dayName - Nombre del día (ej: "Monday", "Lunes")
+ * @returns {boolean} true si el día existe
+ */
+export function isValidDayName(dayName) {
+  return Object.hasOwn(dayFunctions, dayName);
+}
+
+/**
+ * Interpreta una hora en formato 24 horas (HH:mm o H:mm)
+ * @param {string} timeString - Hora (ej: "05:00", "14:30")
+ * @returns {Object} Horas y minutos ({ hours, minutes })
+ * @throws {ValidationError} Si la hora no tiene el formato HH:mm o está fuera de rango (ej: "8.30", "25:00")
+ */
+export function parseTimeOfDay(timeString) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(timeString ?? '').trim());
+  
+  if (!match) {
+    throw new ValidationError(`Hora no válida: "${timeString ?? ''}" (usa HH:mm en formato 24 horas)`, 'time');
+  }
+  
+  return { hours: Number(match[1]), minutes: Number(match[2]) };
+}
+
 /**
  * Convierte un string de hora (HH:mm) a un objeto Date en un día específico
- * @param {Date} baseDate - Fecha base para el día
+ * La hora se interpreta como reloj de pared en la zona horaria indicada, por lo
+ * que el instante resultante es correcto aunque la semana tenga cambio de horario
+ * @param {Date} baseDate - Fecha base para el día (se usan sus componentes de año, mes y día)
  * @param {string} timeString - Hora en formato "HH:mm" (ej: "05:00", "14:30")
  * @param {string} timezone - Zona horaria (opcional, por defecto America/Bogota)
- * @returns {Date} Fecha con la hora especificada en la zona horaria correcta
+ * @returns {Date} Instante que corresponde a esa hora en la zona horaria
+ * @throws {ValidationError} Si la hora no es válida (ver parseTimeOfDay)
  */
 export function parseTimeToDate(baseDate, timeString, timezone = 'America/Bogota') {
-  const [hours, minutes] = timeString.split(':').map(Number);
-  
-  // Crear una nueva fecha basada en la fecha base
-  let date = new Date(baseDate);
+  const { hours, minutes } = parseTimeOfDay(timeString);
   
-  // Establecer la hora directamente (sin conversiones de zona horaria)
-  date = setHours(date, hours);
-  date = setMinutes(date, minutes);
-  date = setSeconds(date, 0);
-  date = setMilliseconds(date, 0);
+  const day = format(baseDate, 'yyyy-MM-dd');
+  const time = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00`;
   
-  // Retornar la fecha con la hora especificada
-  return date;
+  return fromZonedTime(`${day}T${time}`, timezone);
 }
 
 /**
@@ -136,10 +226,20 @@ export function dayNameToIndex(dayName) {
 /**
  * Obtiene el día específico de la próxima semana basado en el nombre del día
  * @param {string} dayName - Nombre del día (Monday, Tuesday, etc.)
+ * @param {Date} [referenceDate=new Date()] - Fecha de referencia (ver getZonedNow)
  * @returns {Date} Fecha del día en la próxima semana
  */
-export function getNextWeekDayDate(dayName) {
-  const nextWeekStart = getNextWeekStart();
+export function getNextWeekDayDate(dayName, referenceDate = new Date()) {
+  return getWeekDayDate(getNextWeekStart(referenceDate), dayName);
+}
+
+/**
+ * Obtiene la fecha de un día dentro de una semana concreta
+ * @param {Date} weekStart - Lunes de la semana
+ * @param {string} dayName - Nombre del día (Monday, Tuesday, etc. o en español)
+ * @returns {Date} Fecha del día en esa semana (a medianoche)
+ */
+export function getWeekDayDate(weekStart, dayName) {
   const dayIndex = dayNameToIndex(dayName);
   
   if (dayIndex === -1) {
@@ -148,10 +248,10 @@ export function getNextWeekDayDate(dayName) {
   
   // El inicio de semana es lunes (índice 1)
   // Calculamos la diferencia de días
-  let daysToAdd = dayIndex - 1; // -1 porque nextWeekStart ya es lunes
+  let daysToAdd = dayIndex - 1; // -1 porque weekStart ya es lunes
   if (daysToAdd < 0) daysToAdd += 7; // Si es domingo, sumamos 6 días desde el lunes
   
-  const targetDate = new Date(nextWeekStart);
+  const targetDate = new Date(weekStart);
   targetDate.setDate(targetDate.getDate() + daysToAdd);
   
   // Establecer la hora a medianoche (00:00) para evitar problemas de zona horaria
@@ -160,6 +260,98 @@ export function getNextWeekDayDate(dayName) {
   return targetDate;
 }
 
+/**
+ * Formatea la semana ISO de una fecha (ej: "2026-W44")
+ * @param {Date} date - Cualquier fecha de la semana
+ * @returns {string} Semana en formato ISO
+ */
+export function formatIsoWeek(date) {
+  return format(date, "RRRR-'W'II");
+}
+
+/**
+ * Convierte un texto de fecha ("2026-10-26") o semana ISO ("2026-W44") en el lunes de su semana
+ * @param {string} value - Fecha o semana a interpretar
+ * @param {string} field - Nombre de la opción (para el mensaje de error)
+ * @returns {Date} Lunes de la semana (a medianoche)
+ * @throws {ValidationError} Si el valor no es una fecha o semana válida
+ */
+function parseWeekValue(value, field) {
+  const trimmed = String(value).trim();
+  const isWeek = /^\d{4}-W\d{2}$/.test(trimmed);
+  const isDate = /^\d{4}-\d{2}-\d{2}$/.test(trimmed);
+  const date = isWeek || isDate ? parseISO(trimmed) : null;
+  
+  // parseISO acepta valores fuera de rango (ej: "2026-W60"), se validan con el formato inverso
+  const roundTrip = date && isValid(date) && (isWeek ? formatIsoWeek(date) : format(date, 'yyyy-MM-dd'));
+  if (roundTrip !== trimmed) {
+    throw new ValidationError(
+      `Valor inválido para ${field}: "${value}" (usa una fecha yyyy-MM-dd o una semana ISO como 2026-W44)`,
+      field
+    );
+  }
+  
+  return startOfWeek(date, { weekStartsOn: 1 });
+}
+
+/**
+ * Calcula los lunes de las semanas a generar según el objetivo indicado
+ * Sin objetivo se genera la próxima semana respecto a la fecha de referencia
+ * @param {Object} [target={}] - Objetivo de la generación
+ * @param {string} [target.week] - Semana ISO (ej: "2026-W44")
+ * @param {string} [target.start] - Cualquier fecha de la semana (ej: "2026-10-28")
+ * @param {string} [target.from] - Inicio de un rango de semanas (fecha o semana ISO)
+ * @param {string} [target.to] - Fin del rango, inclusive (fecha o semana ISO)
+ * @param {Date} [referenceDate=new Date()] - Fecha de referencia (ver getZonedNow)
+ * @returns {Date[]} Lunes de cada semana objetivo, en orden
+ * @throws {ValidationError} Si el objetivo es inválido o ambiguo
+ */
+export function resolveTargetWeeks(target = {}, referenceDate = new Date()) {
+  const { week, start, from, to } = target;
+  const given = [week && 'week', start && 'start', (from || to) && 'from/to'].filter(Boolean);
+  
+  if (given.length > 1) {
+    throw new ValidationError(`Indica solo un objetivo de semana (recibido: ${given.join(', ')})`, 'target');
+  }
+  
+  if (week) {
+    return [parseWeekValue(week, 'week')];
+  }
+  
+  if (start) {
+    return [parseWeekValue(start, 'start')];
+  }
+  
+  if (from || to) {
+    if (!from || !to) {
+      throw new ValidationError('Un rango de semanas requiere --from y --to', from ? 'to' : 'from');
+    }
+    
+    const firstWeek = parseWeekValue(from, 'from');
+    const lastWeek = parseWeekValue(to, 'to');
+    
+    if (lastWeek < firstWeek) {
+      throw new ValidationError(`El rango es inválido: ${from} es posterior a ${to}`, 'to');
+    }
+    
+    const weeks = [];
+    for (let weekStart = firstWeek; weekStart <= lastWeek; weekStart = addWeeks(weekStart, 1)) {
+      weeks.push(weekStart);
+    }
+    
+    if (weeks.length > MAX_TARGET_WEEKS) {
+      throw new ValidationError(
+        `El rango abarca ${weeks.length} semanas; el máximo por ejecución es ${MAX_TARGET_WEEKS}`,
+        'to'
+      );
+    }
+    
+    return weeks;
+  }
+  
+  return [getNextWeekStart(referenceDate)];
+}
+
 /**
  * Formatea una fecha para Notion (ISO 8601)
  * @param {Date} date - Fecha a formatear
@@ -171,28 +363,88 @@ export function formatForNotion(date) {
 
 /**
  * Crea un objeto de fecha compatible con Notion API
- * @param {Date} startDate - Fecha de inicio (en hora local)
- * @param {Date} endDate - Fecha de fin (en hora local)
+ * Las fechas se envían como reloj de pared sin offset junto con time_zone,
+ * así Notion las muestra a la hora correcta en esa zona (incluyendo horario de verano)
+ * @param {Date} startDate - Instante de inicio
+ * @param {Date} endDate - Instante de fin
  * @param {string} timezone - Zona horaria para Notion
  * @returns {Object} Objeto de fecha para Notion
  */
 export function createNotionDateObject(startDate, endDate, timezone = 'America/Bogota') {
-  // Notion interpreta las fechas ISO como UTC, así que necesitamos ajustar
-  // Si queremos 05:00 en Colombia (UTC-5), necesitamos enviar 05:00 UTC
-  // Pero como Notion lo interpreta como UTC, necesitamos restar 5 horas
-  const offsetHours = -1; // Colombia está 5 horas detrás de UTC
+  return {
+    start: formatInTimeZone(startDate, timezone, "yyyy-MM-dd'T'HH:mm:ss"),
+    end: formatInTimeZone(endDate, timezone, "yyyy-MM-dd'T'HH:mm:ss"),
+    time_zone: timezone,
+  };
+}
+
+/**
+ * Obtiene la clave de día (yyyy-MM-dd) de una fecha en una zona horaria
+ * Se usa para comparar eventos por día sin depender de la hora exacta
+ * @param {Date} date - Fecha a convertir
+ * @param {string} timezone - Zona horaria de referencia
+ * @returns {string} Día en formato "yyyy-MM-dd"
+ */
+export function getDateKey(date, timezone = 'America/Bogota') {
+  return formatInTimeZone(date, timezone, 'yyyy-MM-dd');
+}
+
+/**
+ * Convierte el valor de inicio de una propiedad Date de Notion en un objeto Date
+ * Notion puede devolver fechas con offset ("...-05:00"), en UTC ("...Z"),
+ * sin offset cuando la propiedad tiene time_zone, o solo el día ("2024-10-21")
+ * @param {string} value - Valor de la fecha devuelto por Notion
+ * @param {string|null} timeZone - Zona horaria de la propiedad (si existe)
+ * @param {string} fallbackTimezone - Zona horaria a usar si no hay otra información
+ * @returns {Date|null} Fecha interpretada o null si no hay valor
+ */
+export function parseNotionDate(value, timeZone = null, fallbackTimezone = 'America/Bogota') {
+  if (!value) {
+    return null;
+  }
   
-  // Crear fechas ajustadas para compensar la diferencia de zona horaria
-  const adjustedStart = new Date(startDate.getTime() + (offsetHours * 60 * 60 * 1000));
-  const adjustedEnd = new Date(endDate.getTime() + (offsetHours * 60 * 60 * 1000));
+  if (/(Z|[+-]\d{2}:\d{2})$/.test(value)) {
+    return new Date(value);
+  }
   
+  return fromZonedTime(value, timeZone || fallbackTimezone);
+}
+
+/**
+ * Convierte una propiedad Date de Notion en el intervalo que ocupa
+ * Una fecha de solo día ("2024-10-21") ocupa días completos en su zona horaria:
+ * termina en la medianoche siguiente a su último día (en Notion el fin es inclusive)
+ * @param {Object|null} date - Propiedad Date de Notion ({ start, end, time_zone })
+ * @param {string} fallbackTimezone - Zona horaria a usar si la fecha no tiene
+ * @returns {Object} Intervalo ({ start, end, allDay }); end es null si una fecha con hora no tiene fin
+ */
+export function parseNotionDateRange(date, fallbackTimezone = 'America/Bogota') {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(date?.start || '')) {
+    const timezone = date.time_zone || fallbackTimezone;
+    return {
+      start: fromZonedTime(date.start, timezone),
+      end: getNextMidnight(date.end?.slice(0, 10) || date.start, timezone),
+      allDay: true,
+    };
+  }
+
   return {
-    start: formatForNotion(adjustedStart),
-    end: formatForNotion(adjustedEnd),
-    time_zone: timezone, // Especificar la zona horaria para Notion
+    start: parseNotionDate(date?.start, date?.time_zone, fallbackTimezone),
+    end: parseNotionDate(date?.end, date?.time_zone, fallbackTimezone),
+    allDay: false,
   };
 }
 
+/**
+ * Obtiene la medianoche que termina un día en una zona horaria
+ * @param {string} day - Día en formato "yyyy-MM-dd"
+ * @param {string} timezone - Zona horaria
+ * @returns {Date} Inicio del día siguiente
+ */
+export function getNextMidnight(day, timezone = 'America/Bogota') {
+  return fromZonedTime(`${format(addDays(parseISO(day), 1), 'yyyy-MM-dd')}T00:00:00`, timezone);
+}
+
 /**
  * Obtiene todas las fechas de la próxima semana (lunes a domingo)
  * @returns {Object} Objeto con los días de la semana y sus fechas
@@ -212,14 +464,26 @@ export function getNextWeekDates() {
 }
 
 export default {
+  getZonedNow,
+  isValidTimezone,
   getNextWeekStart,
   getNextWeekEnd,
+  expandDayNames,
+  isValidDayName,
+  parseTimeOfDay,
   parseTimeToDate,
   calculateEndDate,
   getNextWeekDay,
   getNextWeekDayDate,
+  getWeekDayDate,
+  formatIsoWeek,
+  resolveTargetWeeks,
   formatForNotion,
   createNotionDateObject,
+  getDateKey,
+  parseNotionDate,
+  parseNotionDateRange,
+  getNextMidnight,
   getNextWeekDates,
 };
 
@@ -4,6 +4,7 @@
  */
 
 import { logger } from './logger.js';
+import { metrics } from './metrics.js';
 
 /**
  * Clase personalizada para errores de Notion
@@ -27,6 +28,30 @@ export class ValidationError extends Error {
   }
 }
 
+/**
+ * Clase personalizada para errores de los destinos del calendario (CalDAV, archivo...)
+ */
+export class SinkError extends Error {
+  constructor(message, originalError = null, status = null) {
+    super(message);
+    this.name = 'SinkError';
+    this.originalError = originalError;
+    this.status = status;
+  }
+}
+
+/**
+ * Clase personalizada para errores al enviar notificaciones (webhook, email...)
+ */
+export class NotificationError extends Error {
+  constructor(message, originalError = null, status = null) {
+    super(message);
+    this.name = 'NotificationError';
+    this.originalError = originalError;
+    this.status = status;
+  }
+}
+
 /**
  * Maneja errores de manera centralizada
  * @param {Error} error - Error a manejar
@@ -39,9 +64,10 @@ export function handleError(error, context = 'Unknown') {
   logger.error(`[${context}] Error: ${errorMessage}`, error);
   
   // Aquí podrías agregar lógica adicional como:
-  // - Enviar notificaciones
   // - Almacenar en base de datos
   // - Integrar con servicios de monitoreo (Sentry, etc.)
+  // Las notificaciones del resultado de cada ejecución se envían desde
+  // generateWeek (ver services/notifiers)
   
   throw error;
 }
@@ -105,39 +131,155 @@ export function processNotionError(error) {
   return error.message || 'Error desconocido de Notion';
 }
 
+/**
+ * Códigos de error de Notion que pueden resolverse reintentando
+ */
+const retryableCodes = [
+  'rate_limited',
+  'conflict_error',
+  'internal_server_error',
+  'service_unavailable',
+  'database_connection_unavailable',
+  'gateway_timeout',
+  'notionhq_client_request_timeout',
+];
+
+/**
+ * Códigos de errores de red transitorios (Node y undici)
+ */
+const networkErrorCodes = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+];
+
+/**
+ * Espera máxima entre reintentos con backoff exponencial (ms)
+ */
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * Indica si un error es transitorio y vale la pena reintentar la operación
+ * Se reintentan los límites de peticiones (429), los errores del servidor (5xx),
+ * los timeouts y los errores de red; los demás (validation_error, unauthorized,
+ * object_not_found...) son permanentes y fallan de inmediato
+ * @param {Error} error - Error a clasificar
+ * @returns {boolean} true si el error es transitorio
+ */
+export function isRetryableError(error) {
+  if (!error) {
+    return false;
+  }
+
+  if (retryableCodes.includes(error.code)) {
+    return true;
+  }
+
+  if (typeof error.status === 'number') {
+    return error.status === 429 || error.status >= 500;
+  }
+
+  if (networkErrorCodes.includes(error.code) || networkErrorCodes.includes(error.cause?.code)) {
+    return true;
+  }
+
+  // node-fetch (cliente de Notion) y fetch nativo
+  if ((error.name === 'FetchError' && error.type === 'system') ||
+    (error instanceof TypeError && error.message === 'fetch failed')) {
+    return true;
+  }
+
+  // NotionError y SinkError envuelven el error original
+  return isRetryableError(error.originalError);
+}
+
+/**
+ * Obtiene la espera indicada por el servidor en la cabecera Retry-After
+ * @param {Error} error - Error de la petición (con headers como Headers u objeto)
+ * @returns {number|null} Espera en ms o null si el error no la indica
+ */
+export function getRetryAfterMs(error) {
+  const headers = error?.headers || error?.originalError?.headers;
+  const value = typeof headers?.get === 'function'
+    ? headers.get('retry-after')
+    : headers?.['retry-after'];
+
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  // Puede ser un número de segundos o una fecha HTTP
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Calcula la espera antes de un reintento: backoff exponencial con jitter
+ * La mitad de la espera es fija y la otra mitad aleatoria, para que las
+ * peticiones concurrentes que fallan juntas no se reintenten a la vez
+ * @param {number} attempt - Intento que falló (1, 2, ...)
+ * @param {number} delay - Espera base en ms
+ * @returns {number} Espera en ms
+ */
+export function getBackoffDelay(attempt, delay) {
+  const exponential = Math.min(MAX_RETRY_DELAY, delay * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
 /**
  * Retry logic para operaciones que pueden fallar temporalmente
+ * Solo se reintentan los errores transitorios (ver isRetryableError); ante un 429
+ * se espera lo que indique Retry-After y, si no, se usa backoff exponencial con jitter
  * @param {Function} fn - Función a reintentar
- * @param {number} maxRetries - Número máximo de reintentos
- * @param {number} delay - Delay entre reintentos en ms
+ * @param {number} maxRetries - Número máximo de intentos
+ * @param {number} delay - Espera base entre reintentos en ms
+ * @param {Object} [options={}] - Opciones adicionales
+ * @param {Function} [options.onRetry] - Se llama antes de cada espera con (error, waitMs, attempt)
+ * @param {string} [options.name='other'] - API de la operación, para la métrica de reintentos (ej: "Notion")
  * @returns {Promise} Resultado de la función
  */
-export async function retryOperation(fn, maxRetries = 3, delay = 1000) {
-  let lastError;
-  
-  for (let i = 0; i < maxRetries; i++) {
+export async function retryOperation(fn, maxRetries = 3, delay = 1000, options = {}) {
+  for (let attempt = 1; ; attempt++) {
     try {
       return await fn();
     } catch (error) {
-      lastError = error;
-      logger.warn(`Intento ${i + 1}/${maxRetries} falló: ${error.message}`);
-      
-      if (i < maxRetries - 1) {
-        await new Promise(resolve => setTimeout(resolve, delay * (i + 1)));
+      if (!isRetryableError(error) || attempt >= maxRetries) {
+        throw error;
       }
+
+      const wait = getRetryAfterMs(error) ?? getBackoffDelay(attempt, delay);
+      logger.warn(`Intento ${attempt}/${maxRetries} falló: ${error.message} (reintento en ${wait}ms)`);
+      metrics.retries.inc({ api: (options.name || 'other').toLowerCase() });
+      options.onRetry?.(error, wait, attempt);
+
+      await new Promise(resolve => setTimeout(resolve, wait));
     }
   }
-  
-  throw lastError;
 }
 
 export default {
   NotionError,
   ValidationError,
+  SinkError,
+  NotificationError,
   handleError,
   asyncErrorHandler,
   validateRequiredFields,
   processNotionError,
+  isRetryableError,
+  getRetryAfterMs,
+  getBackoffDelay,
   retryOperation,
 };
 
@@ -0,0 +1,182 @@
+/**
+ * Calendario de excepciones (festivos, vacaciones, días especiales)
+ * Normaliza las excepciones de cualquier fuente y las aplica día a día
+ * a las ocurrencias de la plantilla antes de crear los eventos
+ */
+
+import { addDays, format, isValid, parseISO } from 'date-fns';
+import { ValidationError } from './errorHandler.js';
+
+/**
+ * Acciones disponibles para una excepción
+ * - skip: no se crea ningún evento ese día
+ * - skip-tags: solo se omiten las filas con alguna de las etiquetas indicadas
+ * - routine: las filas normales se sustituyen por las de una rutina alternativa
+ */
+export const EXCEPTION_ACTIONS = ['skip', 'skip-tags', 'routine'];
+
+/**
+ * Nombres aceptados para cada acción (en minúsculas y sin acentos)
+ */
+const actionAliases = {
+  'skip': 'skip',
+  'skip day': 'skip',
+  'omitir': 'skip',
+  'omitir dia': 'skip',
+  'skip-tags': 'skip-tags',
+  'skip tags': 'skip-tags',
+  'omitir etiquetas': 'skip-tags',
+  'routine': 'routine',
+  'swap': 'routine',
+  'rutina': 'routine',
+};
+
+/**
+ * Convierte una excepción leída de cualquier fuente al formato común
+ * Sin acción explícita se deduce: con rutina se sustituye, con etiquetas se
+ * omiten esas filas y, si no, se omite el día completo
+ * @param {Object} raw - Excepción original ({ date, end?, name?, action?, tags?, routine? })
+ * @param {string} source - Origen de la excepción (para los mensajes de error)
+ * @returns {Object} Excepción ({ name, start, end, action, tags, routine, source })
+ * @throws {ValidationError} Si las fechas o la acción no son válidas
+ */
+export function normalizeException(raw, source) {
+  const name = raw.name || raw.date || 'Excepción';
+  const start = raw.date || raw.start;
+  const end = raw.end || start;
+
+  for (const value of [start, end]) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '') || !isValid(parseISO(value))) {
+      throw new ValidationError(`Fecha inválida en la excepción "${name}" (${source}): ${value}`, 'exceptions');
+    }
+  }
+
+  if (end < start) {
+    throw new ValidationError(`La excepción "${name}" (${source}) termina antes de empezar`, 'exceptions');
+  }
+
+  const tags = (raw.tags || []).map(tag => tag.trim()).filter(Boolean);
+  const routine = raw.routine || null;
+  let action;
+
+  if (raw.action) {
+    action = actionAliases[normalizeWord(raw.action)];
+    if (!action) {
+      throw new ValidationError(
+        `Acción desconocida en la excepción "${name}" (${source}): ${raw.action} (usa ${EXCEPTION_ACTIONS.join(', ')})`,
+        'exceptions'
+      );
+    }
+  } else {
+    action = routine ? 'routine' : tags.length > 0 ? 'skip-tags' : 'skip';
+  }
+
+  if (action === 'skip-tags' && tags.length === 0) {
+    throw new ValidationError(`La excepción "${name}" (${source}) omite etiquetas pero no indica ninguna`, 'exceptions');
+  }
+  if (action === 'routine' && !routine) {
+    throw new ValidationError(`La excepción "${name}" (${source}) cambia de rutina pero no indica cuál`, 'exceptions');
+  }
+
+  return { name, start, end, action, tags, routine, source };
+}
+
+/**
+ * Busca las excepciones que cubren un día
+ * @param {Array<Object>} exceptions - Excepciones normalizadas
+ * @param {string} dayKey - Día en formato yyyy-MM-dd
+ * @returns {Array<Object>} Excepciones de ese día
+ */
+export function findExceptionsForDay(exceptions, dayKey) {
+  return exceptions.filter(exception => exception.start <= dayKey && dayKey <= exception.end);
+}
+
+/**
+ * Aplica las excepciones a las ocurrencias de una semana
+ * En un mismo día "skip" tiene prioridad sobre "routine", y "skip-tags" se
+ * aplica después, también a las filas de la rutina alternativa
+ * @param {Array<Object>} occurrences - Ocurrencias de la plantilla ({ task, dayDate })
+ * @param {Array<Object>} routineTasks - Filas que pertenecen a una rutina alternativa
+ * @param {Array<Object>} exceptions - Excepciones normalizadas
+ * @param {Date} weekStart - Lunes de la semana objetivo
+ * @returns {Object} Ocurrencias resultantes, filas omitidas y cambios de rutina
+ */
+export function applyExceptions(occurrences, routineTasks, exceptions, weekStart) {
+  const result = [];
+  const skipped = [];
+  const swaps = [];
+
+  const skip = (occurrence, dayKey, exception) => skipped.push({
+    name: occurrence.task.name,
+    templateId: occurrence.task.id,
+    date: dayKey,
+    exception: exception.name,
+    action: exception.action,
+  });
+
+  for (let i = 0; i < 7; i++) {
+    const dayDate = addDays(weekStart, i);
+    const dayKey = format(dayDate, 'yyyy-MM-dd');
+    const dayOccurrences = occurrences.filter(o => format(o.dayDate, 'yyyy-MM-dd') === dayKey);
+    const dayExceptions = findExceptionsForDay(exceptions, dayKey);
+
+    if (dayExceptions.length === 0) {
+      result.push(...dayOccurrences);
+      continue;
+    }
+
+    const skipDay = dayExceptions.find(exception => exception.action === 'skip');
+    if (skipDay) {
+      dayOccurrences.forEach(occurrence => skip(occurrence, dayKey, skipDay));
+      continue;
+    }
+
+    let candidates = dayOccurrences;
+    const swap = dayExceptions.find(exception => exception.action === 'routine');
+
+    if (swap) {
+      dayOccurrences.forEach(occurrence => skip(occurrence, dayKey, swap));
+      candidates = routineTasks
+        .filter(task => normalizeWord(task.routine) === normalizeWord(swap.routine))
+        .map(task => ({ task, dayDate }));
+      swaps.push({ date: dayKey, exception: swap.name, routine: swap.routine, tasks: candidates.length });
+    }
+
+    for (const exception of dayExceptions.filter(e => e.action === 'skip-tags')) {
+      const tags = exception.tags.map(normalizeWord);
+
+      candidates = candidates.filter(occurrence => {
+        const matches = (occurrence.task.tags || []).some(tag => tags.includes(normalizeWord(tag)));
+        if (matches) {
+          skip(occurrence, dayKey, exception);
+        }
+        return !matches;
+      });
+    }
+
+    result.push(...candidates);
+  }
+
+  return { occurrences: result, skipped, swaps };
+}
+
+/**
+ * Normaliza una palabra para compararla (minúsculas, sin acentos ni guiones bajos)
+ * @param {string} value - Texto original
+ * @returns {string} Texto normalizado
+ */
+function normalizeWord(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/_/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+export default {
+  EXCEPTION_ACTIONS,
+  normalizeException,
+  findExceptionsForDay,
+  applyExceptions,
+};
@@ -0,0 +1,181 @@
+/**
+ * Tablas de festivos nacionales por código de país (ISO 3166-1 alfa-2)
+ * Calcula los festivos fijos, móviles (según Pascua) y trasladados a lunes de un año
+ */
+
+import { addDays, format, getDay, lastDayOfMonth } from 'date-fns';
+import { ValidationError } from './errorHandler.js';
+
+/**
+ * Calcula el domingo de Pascua (calendario gregoriano, algoritmo anónimo)
+ * @param {number} year - Año
+ * @returns {Date} Domingo de Pascua
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Traslada una fecha al lunes siguiente si no cae en lunes (ej: Ley Emiliani en Colombia)
+ * @param {Date} date - Fecha original del festivo
+ * @returns {Date} Lunes en que se celebra
+ */
+function moveToMonday(date) {
+  const weekday = getDay(date);
+  return weekday === 1 ? date : addDays(date, (8 - weekday) % 7);
+}
+
+/**
+ * Traslada un festivo que cae en fin de semana al día laborable más cercano
+ * (sábado al viernes anterior, domingo al lunes siguiente)
+ * @param {Date} date - Fecha original del festivo
+ * @returns {Date} Fecha en que se observa
+ */
+function observeOnWeekday(date) {
+  const weekday = getDay(date);
+  if (weekday === 6) {
+    return addDays(date, -1);
+  }
+  if (weekday === 0) {
+    return addDays(date, 1);
+  }
+  return date;
+}
+
+/**
+ * Obtiene el n-ésimo día de la semana de un mes (n = -1 para el último)
+ * @param {number} year - Año
+ * @param {number} month - Mes (1-12)
+ * @param {number} weekday - Día de la semana (0 = Domingo)
+ * @param {number} n - Posición (1-5 o -1)
+ * @returns {Date} Fecha encontrada
+ */
+function nthWeekdayOfMonth(year, month, weekday, n) {
+  if (n === -1) {
+    const last = lastDayOfMonth(new Date(year, month - 1, 1));
+    return addDays(last, -((getDay(last) - weekday + 7) % 7));
+  }
+
+  const first = new Date(year, month - 1, 1);
+  return addDays(first, ((weekday - getDay(first) + 7) % 7) + (n - 1) * 7);
+}
+
+/**
+ * Festivos por país: cada función devuelve los pares [fecha, nombre] de un año
+ */
+const holidayTables = {
+  // Colombia (Ley 51 de 1983): varios festivos se trasladan al lunes siguiente
+  CO: year => {
+    const easter = getEasterSunday(year);
+    return [
+      [new Date(year, 0, 1), 'Año Nuevo'],
+      [moveToMonday(new Date(year, 0, 6)), 'Día de los Reyes Magos'],
+      [moveToMonday(new Date(year, 2, 19)), 'Día de San José'],
+      [addDays(easter, -3), 'Jueves Santo'],
+      [addDays(easter, -2), 'Viernes Santo'],
+      [new Date(year, 4, 1), 'Día del Trabajo'],
+      [addDays(easter, 43), 'Ascensión del Señor'],
+      [addDays(easter, 64), 'Corpus Christi'],
+      [addDays(easter, 71), 'Sagrado Corazón'],
+      [moveToMonday(new Date(year, 5, 29)), 'San Pedro y San Pablo'],
+      [new Date(year, 6, 20), 'Día de la Independencia'],
+      [new Date(year, 7, 7), 'Batalla de Boyacá'],
+      [moveToMonday(new Date(year, 7, 15)), 'La Asunción de la Virgen'],
+      [moveToMonday(new Date(year, 9, 12)), 'Día de la Raza'],
+      [moveToMonday(new Date(year, 10, 1)), 'Todos los Santos'],
+      [moveToMonday(new Date(year, 10, 11)), 'Independencia de Cartagena'],
+      [new Date(year, 11, 8), 'Inmaculada Concepción'],
+      [new Date(year, 11, 25), 'Navidad'],
+    ];
+  },
+
+  // España: festivos nacionales comunes (sin festivos autonómicos ni locales)
+  ES: year => {
+    const easter = getEasterSunday(year);
+    return [
+      [new Date(year, 0, 1), 'Año Nuevo'],
+      [new Date(year, 0, 6), 'Epifanía del Señor'],
+      [addDays(easter, -2), 'Viernes Santo'],
+      [new Date(year, 4, 1), 'Fiesta del Trabajo'],
+      [new Date(year, 7, 15), 'Asunción de la Virgen'],
+      [new Date(year, 9, 12), 'Fiesta Nacional de España'],
+      [new Date(year, 10, 1), 'Todos los Santos'],
+      [new Date(year, 11, 6), 'Día de la Constitución'],
+      [new Date(year, 11, 8), 'Inmaculada Concepción'],
+      [new Date(year, 11, 25), 'Navidad'],
+    ];
+  },
+
+  // México: días de descanso obligatorio (Ley Federal del Trabajo, art. 74)
+  MX: year => [
+    [new Date(year, 0, 1), 'Año Nuevo'],
+    [nthWeekdayOfMonth(year, 2, 1, 1), 'Día de la Constitución'],
+    [nthWeekdayOfMonth(year, 3, 1, 3), 'Natalicio de Benito Juárez'],
+    [new Date(year, 4, 1), 'Día del Trabajo'],
+    [new Date(year, 8, 16), 'Día de la Independencia'],
+    [nthWeekdayOfMonth(year, 11, 1, 3), 'Día de la Revolución'],
+    [new Date(year, 11, 25), 'Navidad'],
+  ],
+
+  // Estados Unidos: festivos federales, con los fijos trasladados al día observado
+  US: year => [
+    [observeOnWeekday(new Date(year, 0, 1)), "New Year's Day"],
+    [nthWeekdayOfMonth(year, 1, 1, 3), 'Martin Luther King Jr. Day'],
+    [nthWeekdayOfMonth(year, 2, 1, 3), "Washington's Birthday"],
+    [nthWeekdayOfMonth(year, 5, 1, -1), 'Memorial Day'],
+    [observeOnWeekday(new Date(year, 5, 19)), 'Juneteenth'],
+    [observeOnWeekday(new Date(year, 6, 4)), 'Independence Day'],
+    [nthWeekdayOfMonth(year, 9, 1, 1), 'Labor Day'],
+    [nthWeekdayOfMonth(year, 10, 1, 2), 'Columbus Day'],
+    [observeOnWeekday(new Date(year, 10, 11)), 'Veterans Day'],
+    [nthWeekdayOfMonth(year, 11, 4, 4), 'Thanksgiving Day'],
+    [observeOnWeekday(new Date(year, 11, 25)), 'Christmas Day'],
+  ],
+};
+
+/**
+ * Códigos de país con tabla de festivos incorporada
+ */
+export const SUPPORTED_COUNTRIES = Object.keys(holidayTables);
+
+/**
+ * Obtiene los festivos de un país para un año
+ * @param {string} countryCode - Código de país (ej: "CO")
+ * @param {number} year - Año
+ * @returns {Array<Object>} Festivos ({ date: 'yyyy-MM-dd', name }) ordenados por fecha
+ * @throws {ValidationError} Si el país no tiene tabla de festivos
+ */
+export function getHolidays(countryCode, year) {
+  const table = holidayTables[String(countryCode).toUpperCase()];
+
+  if (!table) {
+    throw new ValidationError(
+      `No hay festivos incorporados para el país "${countryCode}" (disponibles: ${SUPPORTED_COUNTRIES.join(', ')})`,
+      'holidayCountries'
+    );
+  }
+
+  return table(year)
+    .map(([date, name]) => ({ date: format(date, 'yyyy-MM-dd'), name }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export default {
+  SUPPORTED_COUNTRIES,
+  getHolidays,
+};
@@ -0,0 +1,485 @@
+/**
+ * Utilidades para archivos iCalendar (RFC 5545)
+ * Lectura de los componentes VEVENT de un archivo .ics y exportación
+ * de los eventos generados con sus zonas horarias (VTIMEZONE)
+ */
+
+import { writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { addDays } from 'date-fns';
+import { formatInTimeZone } from 'date-fns-tz';
+import { ValidationError } from './errorHandler.js';
+import { parseNotionDate, isValidTimezone } from './dateHelper.js';
+
+/**
+ * Identificador del producto que genera los calendarios exportados
+ */
+const PRODUCT_ID = '-//auto-notion-scheduler//Weekly Routine//ES';
+
+/**
+ * Dominio usado en los UID de los eventos exportados
+ */
+const UID_DOMAIN = 'auto-notion-scheduler';
+
+/**
+ * Longitud máxima de una línea en bytes, sin contar el salto de línea
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Propiedades que pueden repetirse y cuyos valores se acumulan
+ */
+const multiValueProperties = ['CATEGORIES', 'EXDATE', 'RDATE'];
+
+/**
+ * Parsea el contenido de un archivo .ics y devuelve sus eventos
+ * Cada evento es un objeto con una entrada por propiedad (ej: DTSTART) que
+ * contiene su valor y sus parámetros ({ value, params })
+ * @param {string} content - Contenido del archivo
+ * @returns {Array<Object>} Eventos (VEVENT) del calendario
+ * @throws {ValidationError} Si el contenido no es un calendario válido
+ */
+export function parseIcs(content) {
+  const lines = unfoldLines(content);
+
+  if (!lines.some(line => line.toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new ValidationError('El archivo no es un calendario iCalendar (falta BEGIN:VCALENDAR)', 'ics');
+  }
+
+  const events = [];
+  // Pila de componentes abiertos: solo se leen las propiedades de VEVENT,
+  // no las de componentes anidados como VALARM
+  const stack = [];
+  let current = null;
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) {
+      continue;
+    }
+
+    if (property.name === 'BEGIN') {
+      stack.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT') {
+        current = {};
+      }
+      continue;
+    }
+
+    if (property.name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && current) {
+        events.push(current);
+        current = null;
+      }
+      continue;
+    }
+
+    if (current && stack[stack.length - 1] === 'VEVENT') {
+      addProperty(current, property);
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Convierte una fecha de iCalendar (DATE o DATE-TIME) a sus componentes
+ * @param {Object} property - Propiedad del evento ({ value, params })
+ * @returns {Object|null} Fecha ({ date: 'yyyy-MM-dd', time: 'HH:mm:ss'|null, utc, tzid }) o null
+ * @throws {ValidationError} Si el valor no es una fecha válida
+ */
+export function parseIcsDate(property) {
+  if (!property || !property.value) {
+    return null;
+  }
+
+  const match = property.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    throw new ValidationError(`Fecha iCalendar inválida: ${property.value}`, 'ics');
+  }
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+
+  return {
+    date: `${year}-${month}-${day}`,
+    time: hours ? `${hours}:${minutes}:${seconds}` : null,
+    utc: Boolean(utc),
+    tzid: property.params.TZID || null,
+  };
+}
+
+/**
+ * Convierte una fecha de iCalendar ya parseada en un instante
+ * Las horas UTC se usan tal cual; las locales se interpretan en su TZID o,
+ * si no tiene o es desconocida, en la zona indicada
+ * @param {Object|null} parsed - Fecha parseada (ver parseIcsDate)
+ * @param {string} fallbackTimezone - Zona horaria para horas sin TZID válido
+ * @returns {Date|null} Instante de la fecha (medianoche para fechas de día completo)
+ */
+export function icsDateToDate(parsed, fallbackTimezone) {
+  if (!parsed) {
+    return null;
+  }
+
+  const local = `${parsed.date}T${parsed.time || '00:00:00'}`;
+  if (parsed.utc) {
+    return new Date(`${local}Z`);
+  }
+
+  const timezone = parsed.tzid && isValidTimezone(parsed.tzid) ? parsed.tzid : fallbackTimezone;
+  return parseNotionDate(local, timezone);
+}
+
+/**
+ * Obtiene el texto de una propiedad quitando los escapes de iCalendar
+ * @param {Object} property - Propiedad del evento ({ value, params })
+ * @returns {string} Texto sin escapes (vacío si no existe)
+ */
+export function getIcsText(property) {
+  if (!property || !property.value) {
+    return '';
+  }
+
+  return property.value
+    .replace(/\\[nN]/g, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+}
+
+/**
+ * Genera un calendario iCalendar con los eventos preparados
+ * Cada evento conserva su hora de reloj y su zona horaria (DTSTART;TZID=...),
+ * y se incluye un VTIMEZONE por cada zona usada
+ * @param {Array<Object>} events - Eventos preparados ({ templateId, name, date, notes })
+ * @param {Object} [options={}] - Opciones del calendario
+ * @param {string} [options.name] - Nombre visible del calendario (X-WR-CALNAME)
+ * @param {string} [options.timezone='UTC'] - Zona horaria por defecto del calendario
+ * @param {Date} [options.now=new Date()] - Momento de la exportación (DTSTAMP)
+ * @param {string|null} [options.method='PUBLISH'] - Valor de METHOD; null lo omite
+ *   (los recursos de un servidor CalDAV no pueden llevarlo)
+ * @returns {string} Contenido del archivo .ics (líneas terminadas en CRLF)
+ */
+export function buildIcsCalendar(events, options = {}) {
+  const { name, timezone = 'UTC', now = new Date(), method = 'PUBLISH' } = options;
+  const dtstamp = formatInTimeZone(now, 'UTC', "yyyyMMdd'T'HHmmss'Z'");
+
+  const entries = events.map(event => {
+    const eventTimezone = event.date.time_zone || timezone;
+    return {
+      event,
+      timezone: eventTimezone,
+      start: parseNotionDate(event.date.start, eventTimezone),
+      end: parseNotionDate(event.date.end, eventTimezone),
+    };
+  });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    ...(method ? [`METHOD:${method}`] : []),
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    `X-WR-TIMEZONE:${timezone}`,
+  ];
+
+  // Un VTIMEZONE por zona, con las transiciones que cubren los eventos
+  const timezones = [...new Set([timezone, ...entries.map(entry => entry.timezone)])];
+  for (const zone of timezones) {
+    const instants = entries
+      .filter(entry => entry.timezone === zone)
+      .flatMap(entry => [entry.start, entry.end].filter(Boolean));
+    const from = instants.length > 0 ? new Date(Math.min(...instants)) : now;
+    const to = instants.length > 0 ? new Date(Math.max(...instants)) : now;
+
+    lines.push(...buildVTimezone(zone, from, to));
+  }
+
+  for (const { event, timezone: eventTimezone, start } of entries) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${buildEventUid(event.templateId, start, eventTimezone)}`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART;TZID=${eventTimezone}:${toIcsLocalDateTime(event.date.start)}`,
+      ...(event.date.end ? [`DTEND;TZID=${eventTimezone}:${toIcsLocalDateTime(event.date.end)}`] : []),
+      `SUMMARY:${escapeText(event.name)}`,
+      ...(event.notes ? [`DESCRIPTION:${escapeText(event.notes)}`] : []),
+      // Fila de plantilla de origen, para reconocer el evento al leerlo de vuelta
+      ...(event.templateId ? [`X-TEMPLATE-ID:${escapeText(event.templateId)}`] : []),
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Escribe los eventos preparados en un archivo .ics
+ * @param {string} filePath - Ruta del archivo
+ * @param {Array<Object>} events - Eventos preparados
+ * @param {Object} [options={}] - Opciones del calendario (ver buildIcsCalendar)
+ * @returns {Promise<void>}
+ */
+export async function writeIcsFile(filePath, events, options = {}) {
+  await mkdir(dirname(filePath), { recursive: true });
+  await writeFile(filePath, buildIcsCalendar(events, options), 'utf8');
+}
+
+/**
+ * Construye un UID estable para un evento: fila de plantilla + día
+ * Así, al volver a importar el archivo, el calendario actualiza el evento en lugar de duplicarlo
+ * @param {string} templateId - ID de la fila de plantilla
+ * @param {Date} start - Inicio del evento
+ * @param {string} timezone - Zona horaria del evento
+ * @returns {string} UID del evento
+ */
+function buildEventUid(templateId, start, timezone) {
+  return `${templateId}-${formatInTimeZone(start, timezone, 'yyyyMMdd')}@${UID_DOMAIN}`;
+}
+
+/**
+ * Convierte una fecha de reloj de Notion ("2026-10-26T08:00:00") al formato de iCalendar
+ * @param {string} value - Fecha y hora sin desfase
+ * @returns {string} Fecha y hora local de iCalendar ("20261026T080000")
+ */
+function toIcsLocalDateTime(value) {
+  return value.slice(0, 19).replace(/[-:]/g, '');
+}
+
+/**
+ * Genera el componente VTIMEZONE de una zona horaria
+ * Se incluye la última transición anterior al rango y todas las que ocurren
+ * dentro de él, cada una como un STANDARD o DAYLIGHT sin regla de repetición
+ * @param {string} timezone - Zona horaria IANA
+ * @param {Date} from - Primer instante que debe cubrir
+ * @param {Date} to - Último instante que debe cubrir
+ * @returns {string[]} Líneas del componente
+ */
+function buildVTimezone(timezone, from, to) {
+  const transitions = findOffsetTransitions(timezone, addDays(from, -366), addDays(to, 1));
+  const previous = transitions.filter(transition => transition.at <= from);
+  const observances = [
+    ...previous.slice(-1),
+    ...transitions.filter(transition => transition.at > from),
+  ];
+
+  // Sin transiciones cercanas (zonas sin horario de verano) se usa un desfase fijo
+  if (observances.length === 0) {
+    const offset = getOffsetMinutes(timezone, from);
+    observances.push({ at: null, offsetFrom: offset, offsetTo: offset });
+  }
+
+  // El desfase estándar es el menor de los observados; los mayores son horario de verano
+  const standardOffset = Math.min(...observances.flatMap(o => [o.offsetFrom, o.offsetTo]));
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+
+  for (const observance of observances) {
+    const type = observance.offsetTo > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+    // DTSTART se expresa en la hora local vigente antes de la transición
+    const dtstart = observance.at
+      ? formatInTimeZone(new Date(observance.at.getTime() + observance.offsetFrom * 60000), 'UTC', "yyyyMMdd'T'HHmmss")
+      : '19700101T000000';
+
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${dtstart}`,
+      `TZOFFSETFROM:${formatOffset(observance.offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(observance.offsetTo)}`,
+      `TZNAME:${formatInTimeZone(observance.at || from, timezone, 'zzz')}`,
+      `END:${type}`
+    );
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Busca los cambios de desfase de una zona horaria en un rango
+ * Recorre el rango día a día y localiza cada cambio con precisión de un minuto
+ * @param {string} timezone - Zona horaria IANA
+ * @param {Date} from - Inicio del rango
+ * @param {Date} to - Fin del rango
+ * @returns {Array<Object>} Transiciones ({ at, offsetFrom, offsetTo }) con desfases en minutos
+ */
+function findOffsetTransitions(timezone, from, to) {
+  const transitions = [];
+  let cursor = from;
+  let offset = getOffsetMinutes(timezone, cursor);
+
+  while (cursor < to) {
+    const next = addDays(cursor, 1);
+    const nextOffset = getOffsetMinutes(timezone, next);
+
+    if (nextOffset !== offset) {
+      // Búsqueda binaria del primer minuto con el nuevo desfase
+      let low = cursor.getTime();
+      let high = next.getTime();
+      while (high - low > 60000) {
+        const middle = low + Math.floor((high - low) / 120000) * 60000;
+        if (getOffsetMinutes(timezone, new Date(middle)) === offset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({ at: new Date(high), offsetFrom: offset, offsetTo: nextOffset });
+    }
+
+    cursor = next;
+    offset = nextOffset;
+  }
+
+  return transitions;
+}
+
+/**
+ * Obtiene el desfase de una zona horaria respecto a UTC en un instante
+ * @param {string} timezone - Zona horaria IANA
+ * @param {Date} date - Instante
+ * @returns {number} Desfase en minutos (ej: -300 para UTC-5)
+ */
+function getOffsetMinutes(timezone, date) {
+  const [, sign, hours, minutes] = formatInTimeZone(date, timezone, 'xxx').match(/^([+-])(\d{2}):(\d{2})$/) ||
+    [null, '+', '00', '00'];
+  const offset = Number(hours) * 60 + Number(minutes);
+  return sign === '-' ? -offset : offset;
+}
+
+/**
+ * Formatea un desfase en minutos como ±HHMM
+ * @param {number} offset - Desfase respecto a UTC en minutos
+ * @returns {string} Desfase de iCalendar (ej: "-0500")
+ */
+function formatOffset(offset) {
+  const sign = offset < 0 ? '-' : '+';
+  const minutes = Math.abs(offset);
+  return `${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Escapa un texto para un valor de iCalendar
+ * @param {string} value - Texto original
+ * @returns {string} Texto escapado
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Pliega una línea en segmentos de 75 bytes como máximo sin partir caracteres UTF-8
+ * @param {string} line - Línea completa
+ * @returns {string} Línea plegada (continuaciones con CRLF + espacio)
+ */
+function foldLine(line) {
+  const segments = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, 'utf8');
+    // Las continuaciones empiezan con un espacio que también cuenta
+    const limit = segments.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (currentOctets + octets > limit) {
+      segments.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  segments.push(current);
+
+  return segments.join('\r\n ');
+}
+
+/**
+ * Une las líneas plegadas (las que empiezan con espacio o tabulador continúan la anterior)
+ * @param {string} content - Contenido del archivo
+ * @returns {string[]} Líneas lógicas
+ */
+function unfoldLines(content) {
+  const lines = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    if ((rawLine.startsWith(' ') || rawLine.startsWith('\t')) && lines.length > 0) {
+      lines[lines.length - 1] += rawLine.slice(1);
+    } else if (rawLine.trim()) {
+      lines.push(rawLine);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Parsea una línea de contenido ("NOMBRE;PARAM=valor:valor")
+ * @param {string} line - Línea lógica
+ * @returns {Object|null} Propiedad ({ name, params, value }) o null si la línea no es válida
+ */
+function parseContentLine(line) {
+  // El valor empieza en el primer ":" que no esté dentro de un parámetro entre comillas
+  let inQuotes = false;
+  let separator = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      separator = i;
+      break;
+    }
+  }
+
+  if (separator === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.slice(0, separator).split(';');
+  const params = {};
+
+  for (const rawParam of rawParams) {
+    const [key, ...value] = rawParam.split('=');
+    params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+  }
+
+  return {
+    name: name.toUpperCase(),
+    params,
+    value: line.slice(separator + 1),
+  };
+}
+
+/**
+ * Agrega una propiedad a un evento, acumulando las que pueden repetirse
+ * @param {Object} event - Evento en construcción
+ * @param {Object} property - Propiedad parseada
+ */
+function addProperty(event, property) {
+  const existing = event[property.name];
+
+  if (existing && multiValueProperties.includes(property.name)) {
+    existing.value = `${existing.value},${property.value}`;
+    return;
+  }
+
+  if (!existing) {
+    event[property.name] = { value: property.value, params: property.params };
+  }
+}
+
+export default {
+  parseIcs,
+  parseIcsDate,
+  icsDateToDate,
+  getIcsText,
+  buildIcsCalendar,
+  writeIcsFile,
+};
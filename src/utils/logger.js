@@ -1,21 +1,87 @@
 /**
  * Sistema de logging centralizado usando Winston
  * Proporciona logging estructurado con diferentes niveles
+ *
+ * Cada línea puede llevar metadatos (ej: { templateId, date, pageId }); las líneas
+ * escritas dentro de runWithLogContext llevan además los del contexto (ej: runId).
+ * En consola solo se muestra el mensaje; en los archivos también los metadatos,
+ * como texto (clave=valor) o como JSON según LOG_FORMAT.
  */
 
+import { AsyncLocalStorage } from 'async_hooks';
+import { join } from 'path';
 import winston from 'winston';
+import { RotatingFileTransport } from './rotatingFileTransport.js';
 import config from '../config/environment.js';
 
-const { combine, timestamp, printf, colorize, errors } = winston.format;
+const { combine, timestamp, printf, colorize, errors, json } = winston.format;
 
 /**
- * Formato personalizado para los logs
+ * Contexto de la ejecución en curso (se propaga a todas las llamadas asíncronas)
  */
-const customFormat = printf(({ level, message, timestamp, stack }) => {
-  if (stack) {
-    return `${timestamp} [${level}]: ${message}\n${stack}`;
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Campos propios de Winston que no se escriben como metadatos
+ */
+const reservedFields = ['level', 'message', 'timestamp', 'stack', 'context'];
+
+/**
+ * Agrega a cada línea los metadatos del contexto de la ejecución
+ * Los metadatos de la propia línea tienen prioridad
+ */
+const addLogContext = winston.format(info => {
+  const store = logContext.getStore();
+  if (store) {
+    for (const [key, value] of Object.entries(store)) {
+      if (info[key] === undefined) {
+        info[key] = value;
+      }
+    }
   }
-  return `${timestamp} [${level}]: ${message}`;
+  return info;
+});
+
+/**
+ * Formato de texto para los logs
+ * @param {boolean} withMeta - Si se agregan los metadatos al final de la línea
+ * @returns {Object} Formato de Winston
+ */
+const textFormat = withMeta => printf(info => {
+  const { level, message, timestamp, stack, context } = info;
+  let line = `${timestamp} [${level}]: ${context ? `[${context}] ` : ''}${message}`;
+
+  if (withMeta) {
+    const meta = Object.entries(info)
+      .filter(([key, value]) => !reservedFields.includes(key) && value !== undefined)
+      .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    if (meta.length > 0) {
+      line += ` ${meta.join(' ')}`;
+    }
+  }
+
+  return stack ? `${line}\n${stack}` : line;
+});
+
+/**
+ * Formato de los archivos de log (LOG_FORMAT)
+ */
+const fileFormat = config.logging.format === 'json'
+  ? combine(timestamp(), json())
+  : combine(timestamp(), textFormat(true));
+
+/**
+ * Crea el transporte de un archivo de log con rotación
+ * @param {string} name - Nombre del archivo (ej: "combined.log")
+ * @param {Object} [options={}] - Opciones adicionales del transporte (ej: level)
+ * @returns {RotatingFileTransport} Transporte de archivo
+ */
+const fileTransport = (name, options = {}) => new RotatingFileTransport({
+  filename: join(config.logging.dir, name),
+  maxSize: config.logging.maxSizeMb * 1024 * 1024,
+  maxFiles: config.logging.maxFiles,
+  format: fileFormat,
+  ...options,
 });
 
 /**
@@ -25,54 +91,59 @@ export const logger = winston.createLogger({
   level: config.logging.level,
   format: combine(
     errors({ stack: true }),
-    timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-    customFormat
+    addLogContext(),
+    timestamp({ format: 'YYYY-MM-DD HH:mm:ss' })
   ),
   transports: [
     // Consola con colores
     new winston.transports.Console({
       format: combine(
         colorize(),
-        customFormat
+        textFormat(false)
       ),
     }),
     // Archivo para todos los logs
-    new winston.transports.File({
-      filename: 'logs/combined.log',
-      format: combine(
-        timestamp(),
-        customFormat
-      ),
-    }),
+    fileTransport('combined.log'),
     // Archivo solo para errores
-    new winston.transports.File({
-      filename: 'logs/error.log',
-      level: 'error',
-      format: combine(
-        timestamp(),
-        customFormat
-      ),
-    }),
+    fileTransport('error.log', { level: 'error' }),
   ],
 });
 
+/**
+ * Ejecuta una función con metadatos que se agregan a todas sus líneas de log
+ * (incluidas las de las funciones asíncronas que llame)
+ * @param {Object} context - Metadatos del contexto (ej: { runId })
+ * @param {Function} fn - Función a ejecutar
+ * @returns {*} Resultado de la función
+ */
+export function runWithLogContext(context, fn) {
+  return logContext.run({ ...logContext.getStore(), ...context }, fn);
+}
+
 /**
  * Crea un logger con un contexto específico
+ * Todos los métodos aceptan metadatos opcionales: logger.info('Evento creado', { pageId })
  * @param {string} context - Contexto del logger (ej: 'NotionService', 'GenerateWeek')
  * @returns {Object} Logger con contexto
  */
 export function createLogger(context) {
+  const write = (level, message, meta = {}) => logger.log({ level, message, context, ...meta });
+
   return {
-    info: (message) => logger.info(`[${context}] ${message}`),
-    error: (message, error) => {
-      const errorMessage = error instanceof Error ? error.message : error;
-      logger.error(`[${context}] ${message}`, error instanceof Error ? error : undefined);
+    info: (message, meta) => write('info', message, meta),
+    /**
+     * El segundo argumento puede ser el error (se registra su stack) o los metadatos
+     */
+    error: (message, error, meta) => {
+      if (error instanceof Error) {
+        write('error', message, { ...meta, error: error.message, stack: error.stack });
+      } else {
+        write('error', message, error);
+      }
     },
-    warn: (message) => logger.warn(`[${context}] ${message}`),
-    debug: (message) => logger.debug(`[${context}] ${message}`),
+    warn: (message, meta) => write('warn', message, meta),
+    debug: (message, meta) => write('debug', message, meta),
   };
 }
 
 export default logger;
-
-
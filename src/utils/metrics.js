@@ -0,0 +1,298 @@
+/**
+ * Métricas de la aplicación en formato de texto de Prometheus
+ * Registro mínimo de contadores, gauges e histogramas con etiquetas, sin dependencias.
+ * Las métricas se exponen en /metrics (API HTTP) o se escriben en METRICS_FILE tras
+ * cada ejecución, por ejemplo para el textfile collector de node_exporter.
+ * Al escribir en un archivo, los valores anteriores se cargan antes (ver loadMetricsFile),
+ * así los contadores siguen creciendo entre ejecuciones puntuales.
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+/**
+ * Prefijo de todas las métricas
+ */
+const PREFIX = 'notion_scheduler_';
+
+/**
+ * Métricas registradas, en orden de creación
+ */
+const registry = [];
+
+/**
+ * Convierte las etiquetas en la clave de una serie ({a="1",b="2"})
+ * @param {Object} labels - Etiquetas de la serie
+ * @returns {string} Etiquetas formateadas (vacío si no hay)
+ */
+function formatLabels(labels = {}) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) {
+    return '';
+  }
+
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * Crea un contador (solo aumenta)
+ * @param {string} name - Nombre sin prefijo (ej: "runs_total")
+ * @param {string} help - Descripción
+ * @returns {Object} Contador ({ inc(labels, value) })
+ */
+export function createCounter(name, help) {
+  const series = new Map();
+  registry.push({ name: PREFIX + name, help, type: 'counter', series });
+
+  return {
+    inc: (labels = {}, value = 1) => {
+      const key = formatLabels(labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+  };
+}
+
+/**
+ * Crea un gauge (valor que sube y baja)
+ * @param {string} name - Nombre sin prefijo
+ * @param {string} help - Descripción
+ * @returns {Object} Gauge ({ set(labels, value), get(labels) })
+ */
+export function createGauge(name, help) {
+  const series = new Map();
+  registry.push({ name: PREFIX + name, help, type: 'gauge', series });
+
+  return {
+    set: (labels = {}, value) => {
+      series.set(formatLabels(labels), value);
+    },
+    get: (labels = {}) => series.get(formatLabels(labels)),
+  };
+}
+
+/**
+ * Crea un histograma
+ * @param {string} name - Nombre sin prefijo (ej: "run_duration_seconds")
+ * @param {string} help - Descripción
+ * @param {number[]} buckets - Límites superiores de los buckets, en orden
+ * @returns {Object} Histograma ({ observe(labels, value) })
+ */
+export function createHistogram(name, help, buckets) {
+  const series = new Map();
+  registry.push({ name: PREFIX + name, help, type: 'histogram', series, buckets });
+
+  return {
+    observe: (labels = {}, value) => {
+      const key = JSON.stringify(labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+
+      buckets.forEach((bucket, index) => {
+        if (value <= bucket) {
+          entry.counts[index]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+  };
+}
+
+/**
+ * Genera el texto de todas las métricas (formato de exposición de Prometheus 0.0.4)
+ * @returns {string} Métricas en texto
+ */
+export function renderMetrics() {
+  const lines = [];
+
+  for (const metric of registry) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    if (metric.type !== 'histogram') {
+      for (const [labels, value] of metric.series) {
+        lines.push(`${metric.name}${labels} ${value}`);
+      }
+      continue;
+    }
+
+    for (const { labels, counts, sum, count } of metric.series.values()) {
+      metric.buckets.forEach((bucket, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${metric.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Suma a las métricas registradas los valores de un archivo escrito por writeMetricsFile
+ * Los contadores e histogramas se suman a lo contado en este proceso; los gauges solo se
+ * cargan si este proceso aún no les dio valor. Las métricas que ya no existen y los buckets
+ * que cambiaron se ignoran.
+ * @param {string} filePath - Ruta del archivo (ej: "data/metrics.prom")
+ * @returns {Promise<number>} Series cargadas (0 si el archivo no existe)
+ */
+export async function loadMetricsFile(filePath) {
+  let content;
+  try {
+    content = await readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+
+  const metricsByName = new Map(registry.map(metric => [metric.name, metric]));
+  const histograms = new Map();
+  let loaded = 0;
+
+  for (const sample of content.split('\n').map(parseSample).filter(Boolean)) {
+    const metric = metricsByName.get(sample.name);
+
+    if (metric?.type === 'counter') {
+      const key = formatLabels(sample.labels);
+      metric.series.set(key, (metric.series.get(key) || 0) + sample.value);
+      loaded++;
+      continue;
+    }
+
+    if (metric?.type === 'gauge') {
+      const key = formatLabels(sample.labels);
+      if (!metric.series.has(key)) {
+        metric.series.set(key, sample.value);
+        loaded++;
+      }
+      continue;
+    }
+
+    // Las series de un histograma llegan en varias líneas (_bucket, _sum y _count)
+    const [, baseName, suffix] = sample.name.match(/^(.+)_(bucket|sum|count)$/) || [];
+    const histogram = metricsByName.get(baseName);
+    if (histogram?.type !== 'histogram') {
+      continue;
+    }
+
+    const { le, ...labels } = sample.labels;
+    const key = JSON.stringify(labels);
+    const entryKey = `${histogram.name}${key}`;
+    if (!histograms.has(entryKey)) {
+      const entry = { labels, counts: histogram.buckets.map(() => 0), sum: 0, count: 0 };
+      histograms.set(entryKey, { histogram, key, entry });
+    }
+
+    const { entry } = histograms.get(entryKey);
+    if (suffix === 'sum') {
+      entry.sum = sample.value;
+    } else if (suffix === 'count') {
+      entry.count = sample.value;
+    } else {
+      const index = histogram.buckets.findIndex(bucket => String(bucket) === le);
+      if (index !== -1) {
+        entry.counts[index] = sample.value;
+      }
+    }
+  }
+
+  for (const { histogram, key, entry } of histograms.values()) {
+    const current = histogram.series.get(key);
+    if (current) {
+      current.counts = current.counts.map((count, index) => count + entry.counts[index]);
+      current.sum += entry.sum;
+      current.count += entry.count;
+    } else {
+      histogram.series.set(key, entry);
+    }
+    loaded++;
+  }
+
+  return loaded;
+}
+
+/**
+ * Lee una línea de muestra del formato de texto de Prometheus
+ * @param {string} line - Línea del archivo (ej: 'notion_scheduler_runs_total{mode="generate"} 3')
+ * @returns {Object|null} Muestra ({ name, labels, value }); null en comentarios, líneas vacías o valores no numéricos
+ */
+function parseSample(line) {
+  const match = line.trim().match(/^([a-zA-Z_:][\w:]*)(?:\{(.*)\})?\s+(\S+)(?:\s+\d+)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const value = Number(match[3]);
+  if (!Number.isFinite(value)) {
+    return null;
+  }
+
+  const labels = {};
+  for (const [, key, raw] of (match[2] || '').matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g)) {
+    labels[key] = raw.replace(/\\(.)/g, (escaped, char) => (char === 'n' ? '\n' : char));
+  }
+
+  return { name: match[1], labels, value };
+}
+
+/**
+ * Escribe las métricas en un archivo
+ * Se escribe en un temporal y se renombra, para que un lector nunca vea el archivo a medias
+ * @param {string} filePath - Ruta del archivo (ej: "data/metrics.prom")
+ * @returns {Promise<void>}
+ */
+export async function writeMetricsFile(filePath) {
+  await mkdir(dirname(filePath), { recursive: true });
+  await writeFile(`${filePath}.tmp`, renderMetrics(), 'utf8');
+  await rename(`${filePath}.tmp`, filePath);
+}
+
+/**
+ * Métricas de la aplicación
+ */
+export const metrics = {
+  runs: createCounter(
+    'runs_total',
+    'Ejecuciones de generateWeek por modo (generate, dry_run, ics_only) y estado (success, partial, failed)'
+  ),
+  runDuration: createHistogram(
+    'run_duration_seconds',
+    'Duración de las ejecuciones de generateWeek',
+    [1, 5, 10, 30, 60, 120, 300, 600]
+  ),
+  eventsCreated: createCounter('events_created_total', 'Eventos creados por destino'),
+  eventsFailed: createCounter('events_failed_total', 'Eventos que no se pudieron crear, por destino'),
+  eventsAlreadyPresent: createCounter('events_already_present_total', 'Eventos que ya existían, por destino'),
+  lastRunEvents: createGauge(
+    'last_run_events',
+    'Eventos de la última ejecución por resultado (created, failed, already_present)'
+  ),
+  lastSuccess: createGauge(
+    'last_success_timestamp_seconds',
+    'Momento (epoch) de la última generación sin eventos fallidos'
+  ),
+  apiRequests: createCounter(
+    'notion_requests_total',
+    'Peticiones a la API de Notion por endpoint y código de estado (cada intento cuenta)'
+  ),
+  apiRequestDuration: createHistogram(
+    'notion_request_duration_seconds',
+    'Duración de las peticiones a la API de Notion por endpoint',
+    [0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+  ),
+  retries: createCounter('retries_total', 'Reintentos de operaciones fallidas por API (ver retryOperation)'),
+};
+
+export default {
+  metrics,
+  createCounter,
+  createGauge,
+  createHistogram,
+  renderMetrics,
+  loadMetricsFile,
+  writeMetricsFile,
+};
@@ -0,0 +1,140 @@
+/**
+ * Copia de bloques de Notion
+ * Convierte los bloques leídos de una página (blocks.children.list) en bloques que se
+ * pueden crear en otra (blocks.children.append): quita los campos de solo lectura,
+ * conserva el formato del texto y desmarca las casillas de las listas de tareas.
+ */
+
+/**
+ * Tipos de bloque que se copian tal cual (con su texto y formato)
+ */
+const COPYABLE_TYPES = [
+  'paragraph',
+  'heading_1',
+  'heading_2',
+  'heading_3',
+  'bulleted_list_item',
+  'numbered_list_item',
+  'to_do',
+  'toggle',
+  'quote',
+  'callout',
+  'code',
+  'equation',
+  'divider',
+  'bookmark',
+  'embed',
+  'link_to_page',
+  'table_of_contents',
+  'breadcrumb',
+  'table',
+  'table_row',
+];
+
+/**
+ * Tipos de bloque con un archivo; solo se copian los enlaces externos
+ * (los archivos subidos a Notion tienen URLs temporales)
+ */
+const FILE_TYPES = ['image', 'video', 'audio', 'file', 'pdf'];
+
+/**
+ * Tipos de bloque cuyo contenido se copia en su lugar, sin el bloque en sí
+ * (las columnas quedan una debajo de otra y los bloques sincronizados como bloques normales)
+ */
+const FLATTENED_TYPES = ['column_list', 'column', 'synced_block'];
+
+/**
+ * Menciones que se pueden crear por la API; el resto se copian como texto
+ */
+const MENTION_TYPES = ['page', 'database', 'user', 'date'];
+
+/**
+ * Indica si el contenido de un bloque se copia en lugar del bloque
+ * @param {Object} block - Bloque leído de Notion
+ * @returns {boolean} true para columnas y bloques sincronizados
+ */
+export function isFlattenedBlock(block) {
+  return FLATTENED_TYPES.includes(block.type);
+}
+
+/**
+ * Convierte un bloque leído de Notion en el bloque a crear (sin sus hijos)
+ * @param {Object} block - Bloque leído de Notion
+ * @returns {Object|null} Bloque a crear; null si el tipo no se puede copiar
+ *   (subpáginas, bases de datos, archivos subidos a Notion...)
+ */
+export function toCreatableBlock(block) {
+  const { type } = block;
+  const data = block[type] || {};
+
+  if (FILE_TYPES.includes(type)) {
+    if (data.type !== 'external') {
+      return null;
+    }
+    return {
+      type,
+      [type]: { type: 'external', external: { url: data.external.url }, caption: copyRichText(data.caption) },
+    };
+  }
+
+  if (!COPYABLE_TYPES.includes(type)) {
+    return null;
+  }
+
+  const copy = { ...data };
+  delete copy.children;
+
+  for (const key of ['rich_text', 'caption']) {
+    if (copy[key]) {
+      copy[key] = copyRichText(copy[key]);
+    }
+  }
+  if (type === 'table_row') {
+    copy.cells = data.cells.map(copyRichText);
+  }
+  if (type === 'to_do') {
+    // Cada evento empieza con la lista sin completar
+    copy.checked = false;
+  }
+  if (type === 'callout' && copy.icon && !['emoji', 'external'].includes(copy.icon.type)) {
+    delete copy.icon;
+  }
+
+  return { type, [type]: copy };
+}
+
+/**
+ * Copia un texto enriquecido conservando el formato (negrita, color, enlaces...)
+ * @param {Array<Object>} [richText=[]] - Fragmentos de texto leídos de Notion
+ * @returns {Array<Object>} Fragmentos que se pueden crear
+ */
+export function copyRichText(richText = []) {
+  return richText.map(item => {
+    const { type, annotations } = item;
+
+    if (type === 'text') {
+      return { type, text: { content: item.text.content, link: item.text.link }, annotations };
+    }
+    if (type === 'equation') {
+      return { type, equation: { expression: item.equation.expression }, annotations };
+    }
+    if (type === 'mention' && MENTION_TYPES.includes(item.mention.type)) {
+      const mentionType = item.mention.type;
+      const value = mentionType === 'user' ? { id: item.mention.user.id } : item.mention[mentionType];
+      return { type, mention: { [mentionType]: value }, annotations };
+    }
+
+    // Menciones que no se pueden crear (vistas previas de enlaces, plantillas...)
+    return {
+      type: 'text',
+      text: { content: item.plain_text || '', link: item.href ? { url: item.href } : null },
+      annotations,
+    };
+  });
+}
+
+export default {
+  isFlattenedBlock,
+  toCreatableBlock,
+  copyRichText,
+};
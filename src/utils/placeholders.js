@@ -0,0 +1,108 @@
+/**
+ * Marcadores en el nombre y las notas de las filas de plantilla
+ * Se reemplazan al transformar cada ocurrencia en evento (ver transformTaskToEvent):
+ *
+ * - {{date}} / {{date:dd MMM}}: fecha del evento (formato de date-fns, por defecto yyyy-MM-dd)
+ * - {{weekday}}: día de la semana (ej: "Monday")
+ * - {{isoWeek}}: semana ISO (ej: "2026-W44")
+ * - {{start}} / {{end}}: hora de inicio y de fin (HH:mm)
+ * - {{n}}: número de la ocurrencia de la fila en la semana (1, 2, 3...)
+ * - {{duration}}, {{timezone}}, {{tags}}, {{routine}}: campos de la fila
+ * - {{prop:Nombre}}: valor de cualquier otra propiedad de la fila (ej: {{prop:Lugar}})
+ */
+
+import { formatInTimeZone } from 'date-fns-tz';
+import { formatIsoWeek } from './dateHelper.js';
+import { ValidationError } from './errorHandler.js';
+
+/**
+ * Marcador: {{nombre}} o {{nombre:argumento}}
+ */
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w-]+)(?::([^}]*))?\s*\}\}/g;
+
+/**
+ * Valor de cada marcador a partir de la ocurrencia
+ * Cada función recibe el contexto y el argumento (lo que va después de ":")
+ */
+const resolvers = {
+  date: (context, pattern) => formatInTimeZone(context.start, context.timezone, pattern || 'yyyy-MM-dd'),
+  weekday: context => formatInTimeZone(context.start, context.timezone, 'EEEE'),
+  isoWeek: context => formatIsoWeek(context.dayDate),
+  start: context => formatInTimeZone(context.start, context.timezone, 'HH:mm'),
+  end: context => formatInTimeZone(context.end, context.timezone, 'HH:mm'),
+  n: context => String(context.n),
+  duration: context => String(context.task.duration),
+  timezone: context => context.timezone,
+  tags: context => context.task.tags.join(', '),
+  routine: context => context.task.routine || '',
+  prop: (context, name) => {
+    const properties = context.task.properties || {};
+    if (!name || !Object.hasOwn(properties, name)) {
+      throw new Error(`la fila no tiene la propiedad "${name || ''}"`);
+    }
+    return properties[name];
+  },
+};
+
+/**
+ * Indica si un texto contiene marcadores
+ * @param {string} text - Texto a revisar
+ * @returns {boolean} true si hay al menos un {{...}}
+ */
+export function hasPlaceholders(text) {
+  return /\{\{[^}]*\}\}/.test(text || '');
+}
+
+/**
+ * Reemplaza los marcadores de un texto
+ * @param {string} text - Nombre o notas de la fila
+ * @param {Object} context - Datos de la ocurrencia
+ * @param {Object} context.task - Tarea de plantilla
+ * @param {Date} context.dayDate - Día de la ocurrencia
+ * @param {Date} context.start - Instante de inicio
+ * @param {Date} context.end - Instante de fin
+ * @param {string} context.timezone - Zona horaria del evento
+ * @param {number} context.n - Número de la ocurrencia de la fila en la semana
+ * @param {string} field - Campo que se rellena (para el mensaje de error, ej: "Name")
+ * @returns {string} Texto con los marcadores reemplazados
+ * @throws {ValidationError} Si un marcador es desconocido o su valor no se puede calcular
+ */
+export function fillPlaceholders(text, context, field) {
+  if (!hasPlaceholders(text)) {
+    return text;
+  }
+
+  // Lo que queda entre llaves dobles no tiene la forma de un marcador (ej: "{{}}" o "{{a b}}")
+  const malformed = /\{\{[^}]*\}\}/.exec(text.replace(PLACEHOLDER_PATTERN, ''));
+  if (malformed) {
+    throw new ValidationError(
+      `Fila "${context.task.name}" (${context.task.id}): marcador desconocido ${malformed[0]} en ${field}`,
+      'placeholder'
+    );
+  }
+
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, name, argument) => {
+    const resolver = Object.hasOwn(resolvers, name) ? resolvers[name] : null;
+    if (!resolver) {
+      throw new ValidationError(
+        `Fila "${context.task.name}" (${context.task.id}): marcador desconocido ${placeholder} en ${field} ` +
+        `(usa ${Object.keys(resolvers).join(', ')})`,
+        'placeholder'
+      );
+    }
+
+    try {
+      return resolver(context, argument?.trim());
+    } catch (error) {
+      throw new ValidationError(
+        `Fila "${context.task.name}" (${context.task.id}): no se pudo rellenar ${placeholder} en ${field}: ${error.message}`,
+        'placeholder'
+      );
+    }
+  });
+}
+
+export default {
+  hasPlaceholders,
+  fillPlaceholders,
+};
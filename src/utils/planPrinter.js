@@ -0,0 +1,99 @@
+/**
+ * Utilidades para presentar el plan de la semana (modo dry-run / preview)
+ * Convierte los eventos preparados en una tabla legible o en JSON
+ */
+
+import { writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { es } from 'date-fns/locale';
+import { formatInTimeZone } from 'date-fns-tz';
+import { parseNotionDate } from './dateHelper.js';
+
+/**
+ * Convierte un evento preparado en una entrada del plan
+ * @param {Object} event - Evento listo para crear en Calendar DB
+ * @param {string} status - Estado del evento ('new' o 'existing')
+ * @param {string} timezone - Zona horaria en la que se muestran las horas
+ * @returns {Object} Entrada del plan
+ */
+export function buildPlanEntry(event, status, timezone) {
+  const start = parseNotionDate(event.date.start, event.date.time_zone, timezone);
+  const end = parseNotionDate(event.date.end, event.date.time_zone, timezone);
+
+  return {
+    templateId: event.templateId,
+    name: event.name,
+    date: formatInTimeZone(start, timezone, 'yyyy-MM-dd'),
+    weekday: formatInTimeZone(start, timezone, 'EEEE', { locale: es }),
+    start: formatInTimeZone(start, timezone, 'HH:mm'),
+    end: formatInTimeZone(end, timezone, 'HH:mm'),
+    duration: Math.round((end.getTime() - start.getTime()) / 60000),
+    // Zona horaria en la que se definió el evento (puede diferir de la global)
+    timezone: event.date.time_zone || timezone,
+    notes: event.notes || '',
+    status,
+  };
+}
+
+/**
+ * Genera las líneas de una tabla día por día con el plan de la semana
+ * @param {Array<Object>} planned - Entradas del plan (ver buildPlanEntry)
+ * @returns {string[]} Líneas de texto listas para imprimir
+ */
+export function formatPlanTable(planned) {
+  if (planned.length === 0) {
+    return ['(sin eventos planificados)'];
+  }
+
+  const sorted = [...planned].sort((a, b) =>
+    `${a.date} ${a.start}`.localeCompare(`${b.date} ${b.start}`)
+  );
+
+  const nameWidth = Math.max(6, ...sorted.map(entry => entry.name.length));
+  const lines = [];
+  let currentDate = null;
+
+  for (const entry of sorted) {
+    if (entry.date !== currentDate) {
+      currentDate = entry.date;
+      lines.push('');
+      lines.push(`${capitalize(entry.weekday)} ${entry.date}`);
+      lines.push(`  ${'Inicio'.padEnd(6)}  ${'Fin'.padEnd(6)}  ${'Min'.padStart(4)}  ${'Evento'.padEnd(nameWidth)}  Notas`);
+    }
+
+    const status = entry.status === 'existing' ? ' (ya existe)' : '';
+    lines.push(
+      `  ${entry.start.padEnd(6)}  ${entry.end.padEnd(6)}  ${String(entry.duration).padStart(4)}  ` +
+      `${entry.name.padEnd(nameWidth)}  ${entry.notes}${status}`
+    );
+  }
+
+  return lines;
+}
+
+/**
+ * Escribe el plan de la semana como JSON
+ * @param {string} filePath - Ruta del archivo de salida
+ * @param {Object} plan - Plan a escribir
+ * @returns {Promise<void>}
+ */
+export async function writePlanFile(filePath, plan) {
+  await mkdir(dirname(filePath), { recursive: true });
+  await writeFile(filePath, JSON.stringify(plan, null, 2), 'utf8');
+}
+
+/**
+ * Convierte la primera letra de un texto a mayúscula
+ * @param {string} text - Texto a transformar
+ * @returns {string} Texto con la primera letra en mayúscula
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+export default {
+  buildPlanEntry,
+  formatPlanTable,
+  writePlanFile,
+};
+
@@ -0,0 +1,449 @@
+/**
+ * Reglas de recurrencia para filas de plantilla
+ * Interpreta una sintaxis estilo RRULE o en palabras y calcula en qué días
+ * de una semana objetivo ocurre cada fila
+ */
+
+import {
+  addDays,
+  differenceInCalendarWeeks,
+  getDaysInMonth,
+  getISOWeek,
+  startOfDay,
+  startOfWeek,
+  parseISO,
+  isValid,
+} from 'date-fns';
+import { ValidationError } from './errorHandler.js';
+import { dayNameToIndex, expandDayNames } from './dateHelper.js';
+
+/**
+ * Semana de referencia para contar intervalos cuando la regla no indica fecha de inicio
+ */
+const DEFAULT_ANCHOR = new Date(1970, 0, 5); // Lunes 5 de enero de 1970
+
+/**
+ * Códigos de día de RRULE a índice (0 = Domingo)
+ */
+const rruleDays = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+/**
+ * Palabras reconocidas en reglas escritas en inglés o español (sin acentos)
+ */
+const dayWords = {
+  sunday: 0, sun: 0, domingo: 0, domingos: 0, dom: 0,
+  monday: 1, mon: 1, lunes: 1, lun: 1,
+  tuesday: 2, tue: 2, martes: 2, mar: 2,
+  wednesday: 3, wed: 3, miercoles: 3, mie: 3,
+  thursday: 4, thu: 4, jueves: 4, jue: 4,
+  friday: 5, fri: 5, viernes: 5, vie: 5,
+  saturday: 6, sat: 6, sabado: 6, sabados: 6, sab: 6,
+};
+
+const dayGroupWords = {
+  weekdays: [1, 2, 3, 4, 5],
+  laborables: [1, 2, 3, 4, 5],
+  weekend: [0, 6],
+  weekends: [0, 6],
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  diario: [0, 1, 2, 3, 4, 5, 6],
+  diariamente: [0, 1, 2, 3, 4, 5, 6],
+};
+
+const ordinalWords = {
+  first: 1, '1st': 1, primer: 1, primero: 1, primera: 1,
+  second: 2, '2nd': 2, segundo: 2, segunda: 2,
+  third: 3, '3rd': 3, tercer: 3, tercero: 3, tercera: 3,
+  fourth: 4, '4th': 4, cuarto: 4, cuarta: 4,
+  last: -1, ultimo: -1, ultima: -1,
+};
+
+const parityWords = {
+  even: 'even', par: 'even', pares: 'even',
+  odd: 'odd', impar: 'odd', impares: 'odd',
+};
+
+const intervalWords = { other: 2, biweekly: 2, quincenal: 2, alternas: 2 };
+
+const numberWords = { two: 2, three: 3, four: 4, dos: 2, tres: 3, cuatro: 4 };
+
+/**
+ * Palabras que hacen mensual la regla: requieren una posición ("first monday of the month")
+ */
+const monthWords = new Set(['month', 'monthly', 'mes', 'mensual', 'mensualmente']);
+
+const weekWords = new Set(['week', 'weeks', 'semana', 'semanas']);
+
+const fillerWords = new Set([
+  'every', 'each', 'on', 'of', 'the', 'week', 'weeks', 'weekly',
+  'iso', 'only', 'in', 'and', 'from', 'starting', 'day', 'days',
+  'cada', 'el', 'la', 'los', 'las', 'del', 'semana', 'semanas', 'semanal',
+  'de', 'en', 'solo', 'y', 'desde', 'dia', 'dias', 'todos', 'todas',
+]);
+
+/**
+ * Interpreta una regla de recurrencia
+ *
+ * Formatos aceptados:
+ * - RRULE: "FREQ=WEEKLY;INTERVAL=2;BYDAY=FR;DTSTART=2026-01-02",
+ *   "FREQ=WEEKLY;BYDAY=TU;DTSTART=2026-01-06;UNTIL=2026-06-30",
+ *   "FREQ=MONTHLY;BYDAY=1MO", "FREQ=MONTHLY;BYDAY=-1SU", "FREQ=MONTHLY;BYDAY=1MO,-1SU",
+ *   "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;WEEKPARITY=EVEN"
+ * - Palabras: "every other friday", "every 3 weeks on monday from 2026-01-05",
+ *   "first monday of the month", "last sunday of the month",
+ *   "first monday and last friday of the month", "first and third tuesday of the month",
+ *   "weekdays only in even iso weeks", "último domingo del mes", "viernes semanas impares",
+ *   "every second week on monday" (cada 2 semanas)
+ *
+ * Cada posición pertenece a su día ({ day, position }): en "1MO,-1SU" el lunes es el
+ * primero del mes y el domingo el último, no cualquiera de los dos. La fecha de inicio
+ * (DTSTART o "from") ancla los intervalos y, como UNTIL, limita los días en que ocurre
+ *
+ * @param {string} text - Regla escrita en la plantilla
+ * @returns {Object} Regla normalizada ({ interval, anchor, until, weekParity, days, positions })
+ * @throws {ValidationError} Si la regla no se puede interpretar
+ */
+export function parseRecurrence(text) {
+  const trimmed = (text || '').trim();
+
+  if (!trimmed) {
+    throw new ValidationError('La regla de recurrencia está vacía', 'recurrence');
+  }
+
+  if (/FREQ=/i.test(trimmed)) {
+    return parseRRule(trimmed);
+  }
+
+  return parseWords(trimmed);
+}
+
+/**
+ * Interpreta una regla en formato RRULE (subconjunto)
+ * @param {string} text - Regla RRULE, con o sin prefijo "RRULE:"
+ * @returns {Object} Regla normalizada
+ */
+function parseRRule(text) {
+  const rule = createEmptyRule();
+  const parts = text.replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  let freq = null;
+
+  for (const part of parts) {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const value = rawValue.trim().toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (value !== 'WEEKLY' && value !== 'MONTHLY') {
+          throw invalidRule(text, `FREQ=${value} no soportado (usa WEEKLY o MONTHLY)`);
+        }
+        freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = parsePositiveInteger(value, text);
+        break;
+      case 'BYDAY':
+        for (const token of value.split(',')) {
+          const match = token.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match) {
+            throw invalidRule(text, `BYDAY inválido: ${token}`);
+          }
+          addUnique(rule.days, rruleDays[match[2]]);
+          if (match[1]) {
+            addPosition(rule.positions, rruleDays[match[2]], parsePosition(Number(match[1]), text));
+          }
+        }
+        break;
+      case 'DTSTART':
+        rule.anchor = parseRuleDate(rawValue.trim(), text, 'fecha de inicio');
+        break;
+      case 'UNTIL':
+        rule.until = parseRuleDate(rawValue.trim(), text, 'fecha de fin');
+        break;
+      case 'WEEKPARITY':
+        if (!parityWords[value.toLowerCase()]) {
+          throw invalidRule(text, `WEEKPARITY debe ser EVEN u ODD`);
+        }
+        rule.weekParity = parityWords[value.toLowerCase()];
+        break;
+      default:
+        throw invalidRule(text, `parámetro ${key} no soportado`);
+    }
+  }
+
+  if (!freq) {
+    throw invalidRule(text, 'falta FREQ');
+  }
+
+  if (freq === 'MONTHLY' && (rule.positions.length === 0 || hasDaysWithoutPosition(rule))) {
+    throw invalidRule(text, 'FREQ=MONTHLY requiere BYDAY con la posición de cada día (ej: 1MO, -1SU)');
+  }
+
+  if (freq === 'WEEKLY' && rule.positions.length > 0) {
+    throw invalidRule(text, 'las posiciones en BYDAY solo aplican a FREQ=MONTHLY');
+  }
+
+  if (rule.anchor && rule.until && rule.until < rule.anchor) {
+    throw invalidRule(text, 'UNTIL es anterior a DTSTART');
+  }
+
+  return finalizeRule(rule);
+}
+
+/**
+ * Interpreta una regla escrita en palabras (inglés o español)
+ * @param {string} text - Regla en palabras
+ * @returns {Object} Regla normalizada
+ */
+function parseWords(text) {
+  const rule = createEmptyRule();
+  const normalized = text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/entre semana/g, 'weekdays')
+    .replace(/fin(es)? de semana/g, 'weekend')
+    .replace(/every day|todos los dias|cada dia/g, 'daily');
+  const tokens = normalized.split(/[\s,]+/).filter(Boolean);
+  // Posiciones leídas que esperan su día: "first and third monday", "last friday"
+  let pendingPositions = [];
+  let monthly = false;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token in dayWords || token in dayGroupWords) {
+      for (const day of token in dayWords ? [dayWords[token]] : dayGroupWords[token]) {
+        addUnique(rule.days, day);
+        pendingPositions.forEach(position => addPosition(rule.positions, day, position));
+      }
+      pendingPositions = [];
+    } else if (token in ordinalWords && ordinalWords[token] > 1 && weekWords.has(tokens[i + 1])) {
+      // "every second week" / "cada segunda semana": intervalo, no posición en el mes
+      rule.interval = ordinalWords[token];
+    } else if (token in ordinalWords) {
+      addUnique(pendingPositions, ordinalWords[token]);
+    } else if (monthWords.has(token)) {
+      monthly = true;
+    } else if (token in parityWords) {
+      rule.weekParity = parityWords[token];
+    } else if (token in intervalWords) {
+      rule.interval = intervalWords[token];
+    } else if (/^\d+$/.test(token) || token in numberWords) {
+      // "every 3 weeks" / "cada 3 semanas"
+      if (!/^semanas?$|^weeks?$/.test(tokens[i + 1] || '')) {
+        throw invalidRule(text, `número sin "weeks"/"semanas": ${token}`);
+      }
+      rule.interval = token in numberWords ? numberWords[token] : parsePositiveInteger(token, text);
+    } else if (/^\d{4}-\d{2}-\d{2}$/.test(token)) {
+      rule.anchor = parseRuleDate(token, text, 'fecha de inicio');
+    } else if (!fillerWords.has(token)) {
+      throw invalidRule(text, `palabra no reconocida: "${token}"`);
+    }
+  }
+
+  if (pendingPositions.length > 0) {
+    throw invalidRule(text, 'la posición en el mes debe ir seguida de un día (ej: "first monday")');
+  }
+
+  // Igual que FREQ=MONTHLY sin posición: "monthly on friday" no es "cada viernes",
+  // y en "first monday and friday of the month" no se sabe qué viernes
+  if ((monthly || rule.positions.length > 0) && (rule.positions.length === 0 || hasDaysWithoutPosition(rule))) {
+    throw invalidRule(text, 'una regla mensual requiere la posición de cada día (ej: "first monday and last friday of the month")');
+  }
+
+  return finalizeRule(rule);
+}
+
+/**
+ * Calcula los días de una semana en los que ocurre una regla
+ * @param {Object} rule - Regla normalizada (ver parseRecurrence)
+ * @param {Date} weekStart - Lunes de la semana objetivo (00:00)
+ * @param {string} [defaultDay] - Día(s) de la fila, usados si la regla no indica días
+ * @returns {Date[]} Fechas (a medianoche) en las que ocurre la regla, ordenadas
+ * @throws {ValidationError} Si la regla no tiene días y la fila tampoco
+ */
+export function getOccurrencesInWeek(rule, weekStart, defaultDay = '') {
+  let days = rule.days;
+
+  if (days.length === 0) {
+    const dayNames = expandDayNames(defaultDay);
+    days = dayNames.map(dayNameToIndex);
+    if (days.length === 0 || days.includes(-1)) {
+      throw new ValidationError(
+        `La regla de recurrencia no indica días y el día de la fila no es válido: ${defaultDay}`,
+        'day'
+      );
+    }
+  }
+
+  if (!matchesWeek(rule, weekStart)) {
+    return [];
+  }
+
+  return days
+    .map(dayIndex => addDays(weekStart, (dayIndex + 6) % 7))
+    .filter(date => isWithinBounds(date, rule))
+    .filter(date => rule.positions.length === 0 || matchesMonthPosition(date, rule.positions))
+    .sort((a, b) => a.getTime() - b.getTime());
+}
+
+/**
+ * Indica si una semana cumple el intervalo y la paridad de la regla
+ * @param {Object} rule - Regla normalizada
+ * @param {Date} weekStart - Lunes de la semana objetivo
+ * @returns {boolean} true si la regla aplica a esa semana
+ */
+function matchesWeek(rule, weekStart) {
+  if (rule.weekParity) {
+    const isEven = getISOWeek(weekStart) % 2 === 0;
+    if ((rule.weekParity === 'even') !== isEven) {
+      return false;
+    }
+  }
+
+  if (rule.interval > 1) {
+    const anchorWeek = startOfWeek(rule.anchor || DEFAULT_ANCHOR, { weekStartsOn: 1 });
+    const weeks = differenceInCalendarWeeks(weekStart, anchorWeek, { weekStartsOn: 1 });
+    if (weeks < 0 || weeks % rule.interval !== 0) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Indica si una fecha está entre la fecha de inicio y la de fin de la regla (ambas inclusive)
+ * @param {Date} date - Fecha a evaluar (a medianoche)
+ * @param {Object} rule - Regla normalizada
+ * @returns {boolean} true si la fecha no queda fuera de los límites
+ */
+function isWithinBounds(date, rule) {
+  return (!rule.anchor || date >= startOfDay(rule.anchor)) && (!rule.until || date <= rule.until);
+}
+
+/**
+ * Indica si una fecha ocupa alguna de las posiciones pedidas para su día de la semana
+ * (1 = primera aparición de ese día en el mes, -1 = última)
+ * @param {Date} date - Fecha a evaluar
+ * @param {Object[]} positions - Posiciones aceptadas ({ day, position })
+ * @returns {boolean} true si la fecha coincide
+ */
+function matchesMonthPosition(date, positions) {
+  const dayOfMonth = date.getDate();
+  const position = Math.ceil(dayOfMonth / 7);
+  const isLast = dayOfMonth + 7 > getDaysInMonth(date);
+
+  return positions.some(p => p.day === date.getDay() && (p.position === position || (p.position === -1 && isLast)));
+}
+
+/**
+ * Indica si algún día de la regla no tiene posición en el mes
+ * @param {Object} rule - Regla construida por el parser
+ * @returns {boolean} true si falta la posición de algún día
+ */
+function hasDaysWithoutPosition(rule) {
+  return rule.days.some(day => !rule.positions.some(p => p.day === day));
+}
+
+/**
+ * Crea una regla vacía equivalente a "cada semana"
+ * @returns {Object} Regla vacía
+ */
+function createEmptyRule() {
+  return { interval: 1, anchor: null, until: null, weekParity: null, days: [], positions: [] };
+}
+
+/**
+ * Valida combinaciones de la regla y ordena sus días
+ * @param {Object} rule - Regla construida por el parser
+ * @returns {Object} Regla normalizada
+ */
+function finalizeRule(rule) {
+  rule.days.sort((a, b) => a - b);
+  return rule;
+}
+
+/**
+ * Convierte un valor en entero positivo
+ * @param {string} value - Valor a convertir
+ * @param {string} text - Regla original (para el mensaje de error)
+ * @returns {number} Entero positivo
+ */
+function parsePositiveInteger(value, text) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw invalidRule(text, `intervalo inválido: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Valida una posición dentro del mes (1-5 o -1 para la última)
+ * @param {number} value - Posición a validar
+ * @param {string} text - Regla original (para el mensaje de error)
+ * @returns {number} Posición validada
+ */
+function parsePosition(value, text) {
+  if (value === -1 || (value >= 1 && value <= 5)) {
+    return value;
+  }
+  throw invalidRule(text, `posición en el mes inválida: ${value}`);
+}
+
+/**
+ * Convierte una fecha de la regla, de inicio o de fin (yyyy-MM-dd o yyyyMMdd)
+ * Si trae hora (ej: "20260630T235959Z") solo se usa el día
+ * @param {string} value - Fecha a convertir
+ * @param {string} text - Regla original (para el mensaje de error)
+ * @param {string} description - Qué fecha es (para el mensaje de error)
+ * @returns {Date} Fecha (a medianoche)
+ */
+function parseRuleDate(value, text, description) {
+  const match = value.match(/^(\d{4})-?(\d{2})-?(\d{2})(T[\d:]+Z?)?$/i);
+  const date = match ? parseISO(`${match[1]}-${match[2]}-${match[3]}`) : null;
+  if (!date || !isValid(date)) {
+    throw invalidRule(text, `${description} inválida: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Agrega un valor a una lista si aún no está presente
+ * @param {Array} list - Lista a modificar
+ * @param {*} value - Valor a agregar
+ */
+function addUnique(list, value) {
+  if (!list.includes(value)) {
+    list.push(value);
+  }
+}
+
+/**
+ * Agrega la posición en el mes de un día si aún no está presente
+ * @param {Object[]} positions - Posiciones de la regla ({ day, position })
+ * @param {number} day - Índice del día (0 = Domingo)
+ * @param {number} position - Posición en el mes (1-5 o -1)
+ */
+function addPosition(positions, day, position) {
+  if (!positions.some(p => p.day === day && p.position === position)) {
+    positions.push({ day, position });
+  }
+}
+
+/**
+ * Crea el error de validación para una regla inválida
+ * @param {string} text - Regla original
+ * @param {string} reason - Motivo del error
+ * @returns {ValidationError} Error listo para lanzar
+ */
+function invalidRule(text, reason) {
+  return new ValidationError(`Regla de recurrencia inválida "${text}": ${reason}`, 'recurrence');
+}
+
+export default {
+  parseRecurrence,
+  getOccurrencesInWeek,
+};
+
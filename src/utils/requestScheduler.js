@@ -0,0 +1,133 @@
+/**
+ * Planificador de peticiones a APIs externas
+ * Limita cuántas peticiones empiezan por segundo y cuántas hay en curso a la vez,
+ * y reintenta los errores transitorios (ver retryOperation). Cuando el servidor
+ * responde 429 con Retry-After, todas las peticiones del planificador esperan.
+ */
+
+import { createLogger } from './logger.js';
+import { retryOperation, getRetryAfterMs } from './errorHandler.js';
+
+const logger = createLogger('RequestScheduler');
+
+/**
+ * Crea un planificador de peticiones
+ * @param {Object} [options={}] - Límites del planificador
+ * @param {string} [options.name='API'] - Nombre de la API, para los logs
+ * @param {number|null} [options.requestsPerSecond=3] - Peticiones que pueden empezar por segundo;
+ *   null para no espaciarlas
+ * @param {number} [options.concurrency=3] - Peticiones en curso a la vez
+ * @param {number} [options.maxAttempts=5] - Intentos por petición ante errores transitorios
+ * @param {number} [options.baseDelay=1000] - Espera base del backoff exponencial en ms
+ * @returns {Object} Planificador ({ run })
+ */
+export function createRequestScheduler(options = {}) {
+  const {
+    name = 'API',
+    requestsPerSecond = 3,
+    concurrency = 3,
+    maxAttempts = 5,
+    baseDelay = 1000,
+  } = options;
+
+  const interval = requestsPerSecond ? 1000 / requestsPerSecond : 0;
+  const waiting = [];
+  let active = 0;
+  let nextStart = 0;
+  let pausedUntil = 0;
+
+  /**
+   * Espera un hueco libre y el turno de inicio de la siguiente petición
+   * @returns {Promise<void>}
+   */
+  async function acquire() {
+    if (active >= concurrency) {
+      // release() cede el hueco directamente al primero de la cola
+      await new Promise(resolve => waiting.push(resolve));
+    } else {
+      active++;
+    }
+
+    // Si llega un 429 mientras se espera el turno, se pide un turno nuevo tras la pausa
+    do {
+      const start = Math.max(Date.now(), nextStart, pausedUntil);
+      nextStart = start + interval;
+      await sleep(start - Date.now());
+    } while (pausedUntil > Date.now());
+  }
+
+  /**
+   * Libera el hueco de una petición terminada
+   */
+  function release() {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  }
+
+  /**
+   * Ejecuta una petición respetando los límites y reintentando errores transitorios
+   * Cada intento ocupa su propio turno
+   * @param {Function} fn - Función que realiza la petición
+   * @returns {Promise} Resultado de la petición
+   */
+  async function run(fn) {
+    return retryOperation(async () => {
+      await acquire();
+      try {
+        return await fn();
+      } finally {
+        release();
+      }
+    }, maxAttempts, baseDelay, {
+      name,
+      onRetry: (error, wait) => {
+        if (getRetryAfterMs(error) !== null) {
+          pausedUntil = Math.max(pausedUntil, Date.now() + wait);
+          logger.warn(`⚠ Límite de peticiones de ${name} alcanzado, se pausa ${wait}ms`);
+        }
+      },
+    });
+  }
+
+  return { run };
+}
+
+/**
+ * Aplica una función asíncrona a cada elemento con un máximo de ejecuciones simultáneas
+ * @param {Array} items - Elementos a procesar
+ * @param {number} concurrency - Máximo de ejecuciones en curso
+ * @param {Function} worker - Función (item, index) => Promise
+ * @returns {Promise<Array>} Resultados en el mismo orden que los elementos
+ */
+export async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Espera una cantidad de milisegundos
+ * @param {number} ms - Milisegundos (no hace nada si es 0 o negativo)
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+export default {
+  createRequestScheduler,
+  mapWithConcurrency,
+};
@@ -0,0 +1,98 @@
+/**
+ * Transporte de Winston que escribe en un archivo y lo rota por tamaño y por día
+ * Al rotar, el archivo actual se renombra como <nombre>.<yyyy-MM-dd>.<n><ext>
+ * (ej: combined.2026-10-19.1.log) y se borran los más antiguos
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readdirSync, renameSync, statSync, unlinkSync } from 'fs';
+import { basename, dirname, extname, join } from 'path';
+import { format } from 'date-fns';
+import winston from 'winston';
+
+/**
+ * Transporte de archivo con rotación
+ * Escribe de forma síncrona: así no se pierden las últimas líneas si el proceso
+ * termina con process.exit justo después de registrar un error
+ */
+export class RotatingFileTransport extends winston.Transport {
+  /**
+   * @param {Object} options - Opciones del transporte (además de las de winston.Transport)
+   * @param {string} options.filename - Ruta del archivo (ej: "logs/combined.log")
+   * @param {number} [options.maxSize=5242880] - Tamaño máximo en bytes antes de rotar
+   * @param {number} [options.maxFiles=14] - Archivos rotados que se conservan
+   */
+  constructor(options) {
+    super(options);
+    this.filename = options.filename;
+    this.maxSize = options.maxSize || 5 * 1024 * 1024;
+    this.maxFiles = options.maxFiles || 14;
+
+    mkdirSync(dirname(this.filename), { recursive: true });
+
+    // Si el archivo ya existe se continúa con su tamaño y su fecha
+    const stats = existsSync(this.filename) ? statSync(this.filename) : null;
+    this.size = stats ? stats.size : 0;
+    this.date = stats ? format(stats.mtime, 'yyyy-MM-dd') : today();
+  }
+
+  /**
+   * Escribe una línea ya formateada
+   * @param {Object} info - Entrada de log de Winston
+   * @param {Function} callback - Se llama al terminar
+   */
+  log(info, callback) {
+    const line = `${info[Symbol.for('message')]}\n`;
+    const bytes = Buffer.byteLength(line);
+
+    try {
+      if (this.size > 0 && (this.date !== today() || this.size + bytes > this.maxSize)) {
+        this.rotate();
+      }
+
+      appendFileSync(this.filename, line);
+      this.size += bytes;
+      this.emit('logged', info);
+    } catch (error) {
+      this.emit('error', error);
+    }
+
+    callback();
+  }
+
+  /**
+   * Renombra el archivo actual y borra los rotados que sobran
+   */
+  rotate() {
+    const directory = dirname(this.filename);
+    const extension = extname(this.filename);
+    const prefix = `${basename(this.filename, extension)}.`;
+
+    let index = 1;
+    while (existsSync(join(directory, `${prefix}${this.date}.${index}${extension}`))) {
+      index++;
+    }
+    renameSync(this.filename, join(directory, `${prefix}${this.date}.${index}${extension}`));
+
+    const rotated = readdirSync(directory)
+      .filter(name => name.startsWith(prefix) && name.endsWith(extension))
+      .map(name => ({ path: join(directory, name), mtime: statSync(join(directory, name)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime);
+
+    for (const file of rotated.slice(this.maxFiles)) {
+      unlinkSync(file.path);
+    }
+
+    this.size = 0;
+    this.date = today();
+  }
+}
+
+/**
+ * Fecha local de hoy
+ * @returns {string} Fecha en formato yyyy-MM-dd
+ */
+function today() {
+  return format(new Date(), 'yyyy-MM-dd');
+}
+
+export default RotatingFileTransport;
@@ -0,0 +1,181 @@
+/**
+ * Validación del esquema de las bases de datos de Notion
+ * Comprueba que las propiedades configuradas existan y tengan el tipo esperado
+ */
+
+import { ValidationError } from './errorHandler.js';
+
+/**
+ * Tipos de propiedad esperados para cada campo lógico de Template DB
+ */
+export const templateSchema = {
+  name: { types: ['title'], required: true },
+  day: { types: ['select', 'multi_select'], required: true },
+  time: { types: ['rich_text'], required: true },
+  duration: { types: ['number'], required: false },
+  notes: { types: ['rich_text'], required: false },
+  timezone: { types: ['rich_text', 'select'], required: false },
+  recurrence: { types: ['rich_text'], required: false },
+  tags: { types: ['multi_select'], required: false },
+  routine: { types: ['select', 'rich_text'], required: false },
+};
+
+/**
+ * Tipos de propiedad esperados para cada campo lógico de Calendar DB
+ */
+export const calendarSchema = {
+  name: { types: ['title'], required: true },
+  date: { types: ['date'], required: true },
+  notes: { types: ['rich_text'], required: true },
+  templateId: { types: ['rich_text'], required: true },
+};
+
+/**
+ * Tipos de propiedad esperados para cada campo lógico de la base de excepciones
+ */
+export const exceptionsSchema = {
+  name: { types: ['title'], required: true },
+  date: { types: ['date'], required: true },
+  action: { types: ['select'], required: false },
+  tags: { types: ['multi_select'], required: false },
+  routine: { types: ['select', 'rich_text'], required: false },
+};
+
+/**
+ * Tipos de propiedad que se pueden copiar de la fila de plantilla al evento (PASS_THROUGH_PROPERTIES)
+ */
+export const PASS_THROUGH_TYPES = ['select', 'multi_select', 'checkbox', 'number', 'url', 'people', 'relation', 'rich_text'];
+
+/**
+ * Interpreta la lista de propiedades a copiar de la fila de plantilla al evento
+ * Cada elemento es "Nombre" (mismo nombre en ambas bases) o "Nombre en plantilla=Nombre en calendario"
+ * @param {string[]} [list=[]] - Elementos de PASS_THROUGH_PROPERTIES
+ * @returns {Array<Object>} Pares de propiedades ({ template, calendar })
+ */
+export function parsePassThrough(list = []) {
+  return list.map(item => {
+    const [template, calendar = template] = item.split('=').map(name => name.trim());
+    return { template, calendar };
+  });
+}
+
+/**
+ * Busca los problemas de esquema de una base de datos
+ * @param {Object} database - Respuesta de databases.retrieve
+ * @param {Object} schema - Tipos esperados por campo lógico
+ * @param {Object} mapping - Nombre de la propiedad de Notion por campo lógico
+ * @returns {Array<Object>} Problemas encontrados ({ field, property, message })
+ */
+export function findSchemaProblems(database, schema, mapping) {
+  const problems = [];
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const propertyName = mapping[field];
+    const property = database.properties[propertyName];
+
+    if (!property) {
+      if (spec.required) {
+        problems.push({
+          field,
+          property: propertyName,
+          message: `falta la propiedad "${propertyName}" (${field}, tipo ${spec.types.join(' o ')})`,
+        });
+      }
+      continue;
+    }
+
+    if (!spec.types.includes(property.type)) {
+      problems.push({
+        field,
+        property: propertyName,
+        message: `la propiedad "${propertyName}" (${field}) es de tipo ${property.type}, se esperaba ${spec.types.join(' o ')}`,
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Valida el esquema de una base de datos y lanza un error con todos los problemas
+ * @param {Object} database - Respuesta de databases.retrieve
+ * @param {Object} schema - Tipos esperados por campo lógico
+ * @param {Object} mapping - Nombre de la propiedad de Notion por campo lógico
+ * @param {string} label - Nombre de la base de datos para el mensaje
+ * @throws {ValidationError} Si alguna propiedad falta o tiene un tipo incorrecto
+ */
+export function validateDatabaseSchema(database, schema, mapping, label) {
+  const problems = findSchemaProblems(database, schema, mapping);
+
+  if (problems.length > 0) {
+    throw new ValidationError(
+      `Esquema de ${label} inválido: ${problems.map(p => p.message).join('; ')}`,
+      problems[0].property
+    );
+  }
+}
+
+/**
+ * Busca los problemas de las propiedades que se copian de la fila de plantilla al evento
+ * @param {Object} templateDb - Respuesta de databases.retrieve de Template DB
+ * @param {Object} calendarDb - Respuesta de databases.retrieve de Calendar DB
+ * @param {Array<Object>} passThrough - Pares de propiedades ({ template, calendar })
+ * @param {Object} calendarMapping - Propiedades que ya escribe el scheduler en Calendar DB
+ * @returns {Array<Object>} Problemas encontrados ({ field, property, message })
+ */
+export function findPassThroughProblems(templateDb, calendarDb, passThrough, calendarMapping) {
+  const problems = [];
+  const reserved = Object.values(calendarMapping);
+
+  for (const { template, calendar } of passThrough) {
+    const source = templateDb.properties[template];
+    const target = calendarDb.properties[calendar];
+    const problem = message => problems.push({ field: 'passThrough', property: template, message });
+
+    if (reserved.includes(calendar)) {
+      problem(`"${calendar}" ya la completa el scheduler en Calendar DB y no se puede copiar`);
+    } else if (!source) {
+      problem(`falta la propiedad "${template}" en Template DB`);
+    } else if (!target) {
+      problem(`falta la propiedad "${calendar}" en Calendar DB`);
+    } else if (!PASS_THROUGH_TYPES.includes(source.type)) {
+      problem(`"${template}" es de tipo ${source.type}, que no se puede copiar (se admiten ${PASS_THROUGH_TYPES.join(', ')})`);
+    } else if (source.type !== target.type) {
+      problem(`"${template}" es de tipo ${source.type} en Template DB pero "${calendar}" es de tipo ${target.type} en Calendar DB`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Valida las propiedades que se copian de la fila al evento y lanza un error con todos los problemas
+ * @param {Object} templateDb - Respuesta de databases.retrieve de Template DB
+ * @param {Object} calendarDb - Respuesta de databases.retrieve de Calendar DB
+ * @param {Array<Object>} passThrough - Pares de propiedades ({ template, calendar })
+ * @param {Object} calendarMapping - Propiedades que ya escribe el scheduler en Calendar DB
+ * @throws {ValidationError} Si alguna propiedad falta, no se admite o tiene tipos distintos
+ */
+export function validatePassThroughSchema(templateDb, calendarDb, passThrough, calendarMapping) {
+  const problems = findPassThroughProblems(templateDb, calendarDb, passThrough, calendarMapping);
+
+  if (problems.length > 0) {
+    throw new ValidationError(
+      `Propiedades a copiar (PASS_THROUGH_PROPERTIES) inválidas: ${problems.map(p => p.message).join('; ')}`,
+      problems[0].property
+    );
+  }
+}
+
+export default {
+  templateSchema,
+  calendarSchema,
+  exceptionsSchema,
+  PASS_THROUGH_TYPES,
+  parsePassThrough,
+  findSchemaProblems,
+  validateDatabaseSchema,
+  findPassThroughProblems,
+  validatePassThroughSchema,
+};
+
@@ -0,0 +1,266 @@
+/**
+ * Cliente SMTP mínimo para enviar emails de texto
+ * Cubre lo necesario para las notificaciones: TLS directo (puerto 465) o
+ * STARTTLS (puerto 587), autenticación PLAIN/LOGIN y varios destinatarios
+ */
+
+import net from 'net';
+import tls from 'tls';
+import { randomBytes } from 'crypto';
+import { hostname } from 'os';
+import { NotificationError } from './errorHandler.js';
+
+/**
+ * Tiempo máximo sin respuesta del servidor
+ */
+const SOCKET_TIMEOUT_MS = 15000;
+
+/**
+ * Envía un email de texto plano
+ * @param {Object} server - Servidor SMTP
+ * @param {string} server.host - Host del servidor
+ * @param {number} server.port - Puerto (465 con TLS directo, 587 o 25 con STARTTLS)
+ * @param {boolean} [server.secure=false] - TLS desde el inicio de la conexión
+ * @param {string|null} [server.username] - Usuario para AUTH
+ * @param {string|null} [server.password] - Contraseña para AUTH
+ * @param {Object} message - Mensaje a enviar
+ * @param {string} message.from - Remitente
+ * @param {string[]} message.to - Destinatarios
+ * @param {string} message.subject - Asunto
+ * @param {string} message.text - Cuerpo en texto plano
+ * @returns {Promise<void>}
+ * @throws {NotificationError} Si la conexión falla o el servidor rechaza algún paso
+ */
+export async function sendMail(server, message) {
+  const session = await openSession(server);
+
+  try {
+    await session.expect(220);
+    let capabilities = await session.command(`EHLO ${getClientName()}`, 250);
+
+    if (!server.secure && capabilities.includes('STARTTLS')) {
+      await session.command('STARTTLS', 220);
+      await session.upgrade();
+      capabilities = await session.command(`EHLO ${getClientName()}`, 250);
+    }
+
+    if (server.username) {
+      if (!session.encrypted && !isLoopback(server.host)) {
+        throw new NotificationError(`El servidor SMTP ${server.host} no ofrece STARTTLS; no se envían credenciales sin cifrar`);
+      }
+      await authenticate(session, server, capabilities);
+    }
+
+    await session.command(`MAIL FROM:<${extractAddress(message.from)}>`, 250);
+    for (const recipient of message.to) {
+      await session.command(`RCPT TO:<${extractAddress(recipient)}>`, [250, 251]);
+    }
+    await session.command('DATA', 354);
+    await session.command(`${buildMessage(message)}\r\n.`, 250, 'el mensaje');
+    await session.command('QUIT', 221).catch(() => {});
+  } finally {
+    session.close();
+  }
+}
+
+/**
+ * Abre la conexión con el servidor y prepara la lectura de respuestas
+ * @param {Object} server - Servidor SMTP
+ * @returns {Promise<Object>} Sesión ({ expect, command, upgrade, close, encrypted })
+ */
+async function openSession(server) {
+  let socket;
+  let buffer = '';
+  let pending = null;
+  let failure = null;
+  const lines = [];
+
+  /**
+   * Entrega la respuesta completa (la última línea es "NNN texto") a quien la espera
+   */
+  const flush = () => {
+    const last = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (last === -1 || !pending) {
+      return;
+    }
+
+    const response = lines.splice(0, last + 1);
+    const { resolve } = pending;
+    pending = null;
+    resolve({ code: Number(response[response.length - 1].slice(0, 3)), lines: response.map(line => line.slice(4)) });
+  };
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    const parts = buffer.split('\r\n');
+    buffer = parts.pop();
+    lines.push(...parts);
+    flush();
+  };
+
+  const onError = error => {
+    failure = new NotificationError(`Error de conexión con el servidor SMTP ${server.host}: ${error.message}`, error);
+    if (pending) {
+      pending.reject(failure);
+      pending = null;
+    }
+  };
+
+  const onClose = () => onError(new Error('el servidor cerró la conexión'));
+
+  const attach = target => {
+    target.on('data', onData);
+    target.on('error', onError);
+    target.on('close', onClose);
+    target.setTimeout(SOCKET_TIMEOUT_MS, () => target.destroy(new Error('tiempo de espera agotado')));
+    socket = target;
+  };
+
+  await new Promise((resolve, reject) => {
+    const target = server.secure
+      ? tls.connect({ host: server.host, port: server.port, servername: server.host }, resolve)
+      : net.connect({ host: server.host, port: server.port }, resolve);
+    target.once('error', reject);
+    attach(target);
+  }).catch(error => {
+    throw new NotificationError(`No se pudo conectar con el servidor SMTP ${server.host}:${server.port}: ${error.message}`, error);
+  });
+
+  /**
+   * Espera la siguiente respuesta y comprueba su código
+   * @param {number|number[]} expected - Código(s) aceptados
+   * @param {string} [step='la conexión'] - Paso de la sesión (para el mensaje de error)
+   * @returns {Promise<string[]>} Líneas de la respuesta
+   */
+  const expect = async (expected, step = 'la conexión') => {
+    if (failure) {
+      throw failure;
+    }
+
+    const response = await new Promise((resolve, reject) => {
+      pending = { resolve, reject };
+      flush();
+    });
+
+    if (![].concat(expected).includes(response.code)) {
+      throw new NotificationError(
+        `El servidor SMTP rechazó ${step}: ${response.code} ${response.lines.join(' ')}`,
+        null,
+        response.code
+      );
+    }
+
+    return response.lines;
+  };
+
+  return {
+    expect,
+    // El paso por defecto es el verbo del comando, para no repetir credenciales en los errores
+    command: (line, expected, step = line.split(' ')[0]) => {
+      socket.write(`${line}\r\n`);
+      return expect(expected, step);
+    },
+    upgrade: () => new Promise((resolve, reject) => {
+      const plain = socket;
+      plain.removeListener('data', onData);
+      plain.removeListener('error', onError);
+      plain.removeListener('close', onClose);
+      const secure = tls.connect({ socket: plain, servername: server.host }, () => resolve());
+      secure.once('error', error => reject(
+        new NotificationError(`No se pudo iniciar TLS con ${server.host}: ${error.message}`, error)
+      ));
+      attach(secure);
+    }),
+    close: () => socket.destroy(),
+    get encrypted() {
+      return socket instanceof tls.TLSSocket;
+    },
+  };
+}
+
+/**
+ * Se autentica con el mecanismo que ofrezca el servidor (PLAIN o LOGIN)
+ * @param {Object} session - Sesión SMTP
+ * @param {Object} server - Servidor con username y password
+ * @param {string[]} capabilities - Líneas de la respuesta a EHLO
+ * @returns {Promise<void>}
+ */
+async function authenticate(session, server, capabilities) {
+  const mechanisms = (capabilities.find(line => /^AUTH[ =]/i.test(line)) || '').toUpperCase();
+  const encode = value => Buffer.from(value, 'utf8').toString('base64');
+
+  if (mechanisms.includes('LOGIN') && !mechanisms.includes('PLAIN')) {
+    await session.command('AUTH LOGIN', 334);
+    await session.command(encode(server.username), 334, 'AUTH LOGIN');
+    await session.command(encode(server.password || ''), 235, 'AUTH LOGIN');
+    return;
+  }
+
+  await session.command(`AUTH PLAIN ${encode(`\0${server.username}\0${server.password || ''}`)}`, 235);
+}
+
+/**
+ * Construye el mensaje (cabeceras y cuerpo) listo para DATA
+ * El cuerpo va en base64 para no tener que escapar tildes ni líneas que empiecen por "."
+ * @param {Object} message - Mensaje ({ from, to, subject, text })
+ * @returns {string} Mensaje con saltos de línea CRLF
+ */
+function buildMessage(message) {
+  const domain = extractAddress(message.from).split('@')[1] || 'localhost';
+  const body = Buffer.from(message.text, 'utf8').toString('base64').match(/.{1,76}/g) || [];
+
+  return [
+    `From: ${message.from}`,
+    `To: ${message.to.join(', ')}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${randomBytes(12).toString('hex')}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...body,
+  ].join('\r\n');
+}
+
+/**
+ * Codifica una cabecera con caracteres no ASCII (RFC 2047)
+ * @param {string} value - Valor de la cabecera
+ * @returns {string} Valor listo para la cabecera
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Extrae la dirección de un remitente o destinatario ("Nombre <a@b.com>" -> "a@b.com")
+ * @param {string} value - Dirección con o sin nombre
+ * @returns {string} Dirección
+ */
+function extractAddress(value) {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+/**
+ * Nombre del cliente para EHLO
+ * @returns {string} Nombre del equipo o "localhost"
+ */
+function getClientName() {
+  return hostname() || 'localhost';
+}
+
+/**
+ * Indica si un host es la propia máquina
+ * @param {string} host - Host del servidor
+ * @returns {boolean} true si es localhost
+ */
+function isLoopback(host) {
+  return ['localhost', '127.0.0.1', '::1'].includes(host);
+}
+
+export default {
+  sendMail,
+};
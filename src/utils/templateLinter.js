@@ -0,0 +1,186 @@
+/**
+ * Validación de las filas de plantilla (lint)
+ * Revisa todas las filas antes de generar y devuelve todos los problemas juntos,
+ * en lugar de fallar a mitad de la generación o crear eventos incorrectos
+ */
+
+import { startOfWeek } from 'date-fns';
+import {
+  expandDayNames,
+  isValidDayName,
+  isValidTimezone,
+  parseTimeOfDay,
+  getWeekDayDate,
+} from './dateHelper.js';
+import { parseRecurrence } from './recurrence.js';
+import { ValidationError } from './errorHandler.js';
+
+/**
+ * Duración máxima razonable de un evento en minutos (un día)
+ */
+const MAX_DURATION = 24 * 60;
+
+/**
+ * Nombres de los días por índice de getDay (0 = domingo), para los mensajes
+ */
+const DAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Revisa las filas de plantilla
+ * @param {Array<Object>} tasks - Tareas de plantilla (ver createTemplateTask y parseTemplatePage)
+ * @returns {ValidationError[]} Un error por problema, en orden de fila; cada uno lleva su tarea
+ *   (error.task) y un mensaje con el nombre de la fila y su enlace de Notion (o su ubicación en el archivo)
+ */
+export function lintTemplateTasks(tasks) {
+  const findings = [];
+  const slots = [];
+
+  for (const task of tasks) {
+    const { problems, slot } = lintTask(task);
+    findings.push(...problems.map(problem => ({ task, ...problem })));
+    if (slot) {
+      slots.push(slot);
+    }
+  }
+
+  findings.push(...findOverlaps(slots));
+
+  // Los solapamientos se agregan al final: se ordenan para agrupar los problemas de cada fila
+  const order = new Map(tasks.map((task, index) => [task, index]));
+  return findings
+    .sort((a, b) => order.get(a.task) - order.get(b.task))
+    .map(({ task, field, message }) => {
+      const where = task.url || task.location || task.id;
+      const error = new ValidationError(`Fila "${task.name || '(sin nombre)'}" (${where}): ${message}`, field);
+      error.task = task;
+      return error;
+    });
+}
+
+/**
+ * Revisa una fila de plantilla
+ * @param {Object} task - Tarea de plantilla
+ * @returns {Object} Problemas de la fila ({ field, message }) y su horario
+ *   ({ task, days, start, end }) si se puede calcular, para buscar solapamientos
+ */
+function lintTask(task) {
+  const problems = [];
+  const add = (field, message) => problems.push({ field, message });
+
+  if (!task.name?.trim()) {
+    add('name', 'la fila no tiene nombre');
+  }
+
+  let rule = null;
+  if (task.recurrence) {
+    try {
+      rule = parseRecurrence(task.recurrence);
+    } catch (error) {
+      add('recurrence', error.message);
+    }
+  }
+
+  // Day no se usa con una regla que indica días ni en las filas de una rutina alternativa
+  // (ocupan los días con excepción)
+  const dayNames = expandDayNames(task.day);
+  const unknownDays = dayNames.filter(dayName => !isValidDayName(dayName));
+  if (unknownDays.length > 0) {
+    add('day', `día(s) desconocido(s): ${unknownDays.join(', ')}`);
+  } else if (dayNames.length === 0 && !task.routine && !(rule?.days.length > 0)) {
+    add('day', 'Day está vacío');
+  }
+
+  let start = null;
+  try {
+    const { hours, minutes } = parseTimeOfDay(task.time);
+    start = hours * 60 + minutes;
+  } catch (error) {
+    add('time', error.message);
+  }
+
+  if (task.durationMissing) {
+    add('duration', 'Duration está vacío (se usarían 60 minutos)');
+  } else if (!(task.duration > 0)) {
+    add('duration', `duración no válida: ${task.duration} (debe ser mayor que 0 minutos)`);
+  } else if (task.duration > MAX_DURATION) {
+    add('duration', `duración de ${task.duration} minutos (más de 24 horas)`);
+  }
+
+  if (task.timezone && !isValidTimezone(task.timezone)) {
+    add('timezone', `zona horaria no válida: ${task.timezone}`);
+  }
+
+  if (start === null || !(task.duration > 0) || task.duration > MAX_DURATION) {
+    return { problems };
+  }
+
+  const end = start + task.duration;
+  if (end > MAX_DURATION) {
+    add('time', `termina después de medianoche (${task.time} + ${task.duration} minutos)`);
+  }
+
+  const days = rule?.days.length > 0
+    ? rule.days
+    : dayNames.filter(isValidDayName).map(getDayIndex);
+
+  return { problems, slot: { task, days, start, end, recurring: Boolean(task.recurrence) } };
+}
+
+/**
+ * Busca las filas que se solapan el mismo día
+ * Solo se comparan filas de la misma rutina y zona horaria. Dos filas con regla de
+ * recurrencia no se comparan: pueden ocurrir en semanas distintas (ej: semanas pares e impares)
+ * @param {Array<Object>} slots - Horarios de las filas ({ task, days, start, end, recurring })
+ * @returns {Array<Object>} Problemas ({ task, field, message }), uno por par de filas y día
+ */
+function findOverlaps(slots) {
+  const findings = [];
+
+  slots.forEach((slot, index) => {
+    for (const other of slots.slice(0, index)) {
+      if (
+        (slot.recurring && other.recurring) ||
+        (slot.task.routine || null) !== (other.task.routine || null) ||
+        (slot.task.timezone || null) !== (other.task.timezone || null) ||
+        slot.start >= other.end ||
+        other.start >= slot.end
+      ) {
+        continue;
+      }
+
+      for (const day of slot.days.filter(day => other.days.includes(day))) {
+        findings.push({
+          task: slot.task,
+          field: 'time',
+          message: `se solapa el ${DAY_LABELS[day]} con "${other.task.name}" ` +
+            `(${formatMinutes(other.start)}–${formatMinutes(other.end)})`,
+        });
+      }
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Obtiene el índice de un día de la semana (0 = domingo, como getDay)
+ * @param {string} dayName - Nombre del día válido
+ * @returns {number} Índice del día
+ */
+function getDayIndex(dayName) {
+  return getWeekDayDate(startOfWeek(new Date(), { weekStartsOn: 1 }), dayName).getDay();
+}
+
+/**
+ * Formatea minutos desde medianoche como hora (HH:mm); pasada la medianoche sigue contando
+ * @param {number} minutes - Minutos desde medianoche
+ * @returns {string} Hora (ej: "08:30")
+ */
+function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+export default {
+  lintTemplateTasks,
+};
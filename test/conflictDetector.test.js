@@ -0,0 +1,65 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveConflicts } from '../src/utils/conflictDetector.js';
+import { createNotionDateObject, parseNotionDateRange } from '../src/utils/dateHelper.js';
+
+const timezone = 'America/Bogota';
+
+/**
+ * Evento de plantilla preparado, como los de generateWeek
+ * @param {string} name - Nombre del evento
+ * @param {string} start - Inicio (ISO con offset)
+ * @param {string} end - Fin (ISO con offset)
+ * @returns {Object} Evento ({ templateId, name, date })
+ */
+function templateEvent(name, start, end) {
+  return { templateId: name, name, date: createNotionDateObject(new Date(start), new Date(end), timezone) };
+}
+
+const gym = templateEvent('Gym', '2026-10-26T07:00:00-05:00', '2026-10-26T08:00:00-05:00');
+const holiday = { name: 'Festivo', ...parseNotionDateRange({ start: '2026-10-26' }, timezone) };
+
+describe('resolveConflicts', () => {
+  it('ignora por defecto los eventos existentes de día completo', () => {
+    const { events, conflicts } = resolveConflicts([gym], [holiday], 'skip', timezone);
+
+    assert.deepEqual(events, [gym]);
+    assert.deepEqual(conflicts, []);
+  });
+
+  it('con allDayEvents=block un evento de día completo ocupa el día entero', () => {
+    const { events, conflicts } = resolveConflicts([gym], [holiday], 'skip', timezone, { allDayEvents: 'block' });
+
+    assert.deepEqual(events, []);
+    assert.deepEqual(conflicts.map(conflict => [conflict.event, conflict.action]), [['Gym', 'skipped']]);
+  });
+
+  it('un evento existente sin fin se toma como de 60 minutos', () => {
+    const meeting = { name: 'Reunión', start: new Date('2026-10-26T06:30:00-05:00'), end: null, allDay: false };
+    const { events, conflicts } = resolveConflicts([gym], [meeting], 'shift', timezone);
+
+    assert.equal(conflicts[0].action, 'shifted');
+    assert.equal(events[0].date.start, '2026-10-26T07:30:00');
+    assert.equal(events[0].date.end, '2026-10-26T08:30:00');
+  });
+
+  it('entre dos filas que se solapan conserva la que empieza antes', () => {
+    const work = templateEvent('Work', '2026-10-26T06:30:00-05:00', '2026-10-26T07:30:00-05:00');
+    const { events, conflicts } = resolveConflicts([gym, work], [], 'skip', timezone);
+
+    assert.deepEqual(events, [work]);
+    assert.equal(conflicts[0].event, 'Gym');
+  });
+
+  it('no cuenta como conflicto un evento que termina cuando empieza otro', () => {
+    const before = { name: 'Desayuno', start: new Date('2026-10-26T06:00:00-05:00'), end: new Date('2026-10-26T07:00:00-05:00') };
+
+    assert.deepEqual(resolveConflicts([gym], [before], 'skip', timezone).conflicts, []);
+  });
+
+  it('rechaza modos desconocidos', () => {
+    assert.throws(() => resolveConflicts([gym], [], 'skip', timezone, { allDayEvents: 'maybe' }), { name: 'ValidationError' });
+    assert.throws(() => resolveConflicts([gym], [], 'ignore', timezone), { name: 'ValidationError' });
+  });
+});
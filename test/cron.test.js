@@ -0,0 +1,98 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, getNextRun, getPreviousRun, getRunsBetween, countRunsBetween } from '../src/utils/cron.js';
+
+const everyMinute = parseCron('* * * * *');
+
+describe('getNextRun', () => {
+  it('evalúa la expresión en la zona horaria indicada', () => {
+    // Miércoles 2026-10-14 -> domingo 2026-10-18 18:00 en Bogotá (23:00Z)
+    const next = getNextRun(parseCron('0 18 * * SUN'), new Date('2026-10-14T12:00:00Z'), 'America/Bogota');
+    assert.equal(next.toISOString(), '2026-10-18T23:00:00.000Z');
+  });
+
+  it('devuelve el minuto siguiente, estrictamente posterior', () => {
+    assert.equal(
+      getNextRun(everyMinute, new Date('2026-10-19T13:45:00Z'), 'America/Bogota').toISOString(),
+      '2026-10-19T13:46:00.000Z'
+    );
+    assert.equal(
+      getNextRun(everyMinute, new Date('2026-10-19T13:45:30Z'), 'America/Bogota').toISOString(),
+      '2026-10-19T13:46:00.000Z'
+    );
+  });
+
+  it('mantiene la hora de reloj al cruzar el cambio de horario', () => {
+    const cron = parseCron('0 9 * * *');
+    const timezone = 'America/New_York';
+
+    assert.equal(getNextRun(cron, new Date('2026-03-07T12:00:00Z'), timezone).toISOString(), '2026-03-07T14:00:00.000Z');
+    assert.equal(getNextRun(cron, new Date('2026-03-07T15:00:00Z'), timezone).toISOString(), '2026-03-08T13:00:00.000Z');
+    assert.equal(getNextRun(cron, new Date('2026-10-31T15:00:00Z'), timezone).toISOString(), '2026-11-01T14:00:00.000Z');
+  });
+
+  it('devuelve null si la expresión nunca ocurre', () => {
+    assert.equal(getNextRun(parseCron('0 0 30 2 *'), new Date('2026-10-19T00:00:00Z'), 'UTC'), null);
+  });
+});
+
+describe('getPreviousRun', () => {
+  it('devuelve la ejecución anterior, estrictamente', () => {
+    const cron = parseCron('0 18 * * 0');
+
+    assert.equal(getPreviousRun(cron, new Date('2026-10-18T23:00:00Z'), 'America/Bogota').toISOString(), '2026-10-11T23:00:00.000Z');
+    assert.equal(getPreviousRun(cron, new Date('2026-10-18T23:00:01Z'), 'America/Bogota').toISOString(), '2026-10-18T23:00:00.000Z');
+  });
+});
+
+describe('getRunsBetween', () => {
+  it('devuelve las ejecuciones más recientes del intervalo (desde, hasta]', () => {
+    const runs = getRunsBetween(parseCron('0 18 * * 0'), new Date('2026-09-01T00:00:00Z'), new Date('2026-10-18T23:00:00Z'), 'America/Bogota', 3);
+
+    assert.deepEqual(runs.map(run => run.toISOString()), [
+      '2026-10-04T23:00:00.000Z',
+      '2026-10-11T23:00:00.000Z',
+      '2026-10-18T23:00:00.000Z',
+    ]);
+  });
+
+  it('no recorre todo el intervalo para devolver las últimas', () => {
+    const startedAt = Date.now();
+    const runs = getRunsBetween(everyMinute, new Date('2025-10-19T00:00:00Z'), new Date('2026-10-19T00:00:30Z'), 'America/Bogota', 1);
+
+    assert.deepEqual(runs.map(run => run.toISOString()), ['2026-10-19T00:00:00.000Z']);
+    assert.ok(Date.now() - startedAt < 1000);
+  });
+});
+
+describe('countRunsBetween', () => {
+  it('cuenta una semana de "* * * * *" sin listarla', () => {
+    const startedAt = Date.now();
+    const count = countRunsBetween(everyMinute, new Date('2026-10-12T05:00:00Z'), new Date('2026-10-19T05:00:00Z'), 'America/Bogota');
+
+    assert.equal(count, 7 * 24 * 60);
+    assert.ok(Date.now() - startedAt < 1000);
+  });
+
+  it('respeta los extremos del intervalo', () => {
+    const cron = parseCron('0 18 * * 0');
+
+    assert.equal(countRunsBetween(cron, new Date('2026-10-11T23:00:00Z'), new Date('2026-10-18T23:00:00Z'), 'America/Bogota'), 1);
+    assert.equal(countRunsBetween(cron, new Date('2026-10-11T22:59:00Z'), new Date('2026-10-18T22:59:00Z'), 'America/Bogota'), 1);
+    assert.equal(countRunsBetween(cron, new Date('2026-10-12T00:00:00Z'), new Date('2026-10-18T22:59:00Z'), 'America/Bogota'), 0);
+  });
+
+  it('coincide con las ejecuciones listadas en los días de cambio de horario', () => {
+    const timezone = 'America/New_York';
+    // 2026-03-08 tiene 23 horas y 2026-11-01 tiene 25 (la hora repetida cuenta una vez)
+    for (const [from, to, expected] of [
+      ['2026-03-08T05:00:00Z', '2026-03-09T04:00:00Z', 23 * 60],
+      ['2026-11-01T04:00:00Z', '2026-11-02T05:00:00Z', 24 * 60],
+    ]) {
+      const count = countRunsBetween(everyMinute, new Date(from), new Date(to), timezone);
+      assert.equal(count, expected);
+      assert.equal(getRunsBetween(everyMinute, new Date(from), new Date(to), timezone, 5000).length, count);
+    }
+  });
+});
@@ -0,0 +1,104 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { format } from 'date-fns';
+import {
+  parseTimeToDate,
+  createNotionDateObject,
+  getZonedNow,
+  getNextMidnight,
+  parseNotionDate,
+  parseNotionDateRange,
+  resolveTargetWeeks,
+} from '../src/utils/dateHelper.js';
+
+describe('parseTimeToDate', () => {
+  it('usa el offset de verano tras el cambio de horario de marzo', () => {
+    // America/New_York pasa a EDT (-04:00) el domingo 2026-03-08
+    assert.equal(parseTimeToDate(new Date(2026, 2, 6), '07:00', 'America/New_York').toISOString(), '2026-03-06T12:00:00.000Z');
+    assert.equal(parseTimeToDate(new Date(2026, 2, 9), '07:00', 'America/New_York').toISOString(), '2026-03-09T11:00:00.000Z');
+  });
+
+  it('usa el offset de invierno tras el cambio de horario de octubre', () => {
+    // Europe/Madrid pasa a CET (+01:00) el domingo 2026-10-25
+    assert.equal(parseTimeToDate(new Date(2026, 9, 24), '07:00', 'Europe/Madrid').toISOString(), '2026-10-24T05:00:00.000Z');
+    assert.equal(parseTimeToDate(new Date(2026, 9, 26), '07:00', 'Europe/Madrid').toISOString(), '2026-10-26T06:00:00.000Z');
+  });
+
+  it('rechaza horas fuera de formato', () => {
+    assert.throws(() => parseTimeToDate(new Date(2026, 9, 26), '25:00', 'Europe/Madrid'), { name: 'ValidationError' });
+  });
+});
+
+describe('createNotionDateObject', () => {
+  it('conserva el reloj de pared de la zona a ambos lados del cambio de horario', () => {
+    const start = parseTimeToDate(new Date(2026, 9, 25), '01:30', 'Europe/Madrid');
+    const end = parseTimeToDate(new Date(2026, 9, 25), '04:00', 'Europe/Madrid');
+
+    assert.deepEqual(createNotionDateObject(start, end, 'Europe/Madrid'), {
+      start: '2026-10-25T01:30:00',
+      end: '2026-10-25T04:00:00',
+      time_zone: 'Europe/Madrid',
+    });
+    // 01:30 CEST a 04:00 CET son tres horas y media reales
+    assert.equal(end - start, 3.5 * 60 * 60 * 1000);
+  });
+});
+
+describe('getZonedNow', () => {
+  it('expresa el instante con el reloj de pared de la zona', () => {
+    // 07:30Z del 2026-03-08 ya es horario de verano en Nueva York (03:30 EDT)
+    const zoned = getZonedNow('America/New_York', new Date('2026-03-08T07:30:00Z'));
+    assert.equal(format(zoned, 'yyyy-MM-dd HH:mm'), '2026-03-08 03:30');
+  });
+});
+
+describe('getNextMidnight', () => {
+  it('termina el día del cambio de horario tras 25 horas', () => {
+    const dayStart = getNextMidnight('2026-10-24', 'Europe/Madrid');
+    const dayEnd = getNextMidnight('2026-10-25', 'Europe/Madrid');
+
+    assert.equal(dayStart.toISOString(), '2026-10-24T22:00:00.000Z');
+    assert.equal(dayEnd.toISOString(), '2026-10-25T23:00:00.000Z');
+  });
+});
+
+describe('parseNotionDate', () => {
+  it('respeta el offset explícito y usa la zona de la propiedad si no lo hay', () => {
+    assert.equal(parseNotionDate('2026-03-09T07:00:00-05:00', 'America/New_York').toISOString(), '2026-03-09T12:00:00.000Z');
+    assert.equal(parseNotionDate('2026-03-09T07:00:00', 'America/New_York').toISOString(), '2026-03-09T11:00:00.000Z');
+    assert.equal(parseNotionDate('2026-03-09T07:00:00', null, 'America/Bogota').toISOString(), '2026-03-09T12:00:00.000Z');
+  });
+});
+
+describe('parseNotionDateRange', () => {
+  it('trata una fecha de solo día como el día completo en su zona', () => {
+    const range = parseNotionDateRange({ start: '2026-10-25', end: null, time_zone: null }, 'Europe/Madrid');
+
+    assert.equal(range.allDay, true);
+    assert.equal(range.start.toISOString(), '2026-10-24T22:00:00.000Z');
+    assert.equal(range.end.toISOString(), '2026-10-25T23:00:00.000Z');
+  });
+
+  it('incluye el último día de un rango de varios días', () => {
+    const range = parseNotionDateRange({ start: '2026-10-26', end: '2026-10-27' }, 'America/Bogota');
+
+    assert.equal(range.end.toISOString(), '2026-10-28T05:00:00.000Z');
+  });
+
+  it('deja el fin en null si una fecha con hora no lo tiene', () => {
+    const range = parseNotionDateRange({ start: '2026-10-26T07:00:00', end: null }, 'America/Bogota');
+
+    assert.equal(range.allDay, false);
+    assert.equal(range.start.toISOString(), '2026-10-26T12:00:00.000Z');
+    assert.equal(range.end, null);
+  });
+});
+
+describe('resolveTargetWeeks', () => {
+  it('recorre un rango de semanas que cruza el cambio de horario', () => {
+    const weeks = resolveTargetWeeks({ from: '2026-10-21', to: '2026-W45' });
+
+    assert.deepEqual(weeks.map(week => format(week, 'yyyy-MM-dd')), ['2026-10-19', '2026-10-26', '2026-11-02']);
+  });
+});
@@ -0,0 +1,76 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getWeekCoverage } from '../src/services/historyService.js';
+
+const lastWeekStart = new Date(2026, 9, 26); // 2026-W44
+
+/**
+ * Entrada de historial de una ejecución correcta de una semana
+ * @param {string} runId - ID de la ejecución
+ * @param {string} finishedAt - Fin de la ejecución (ISO)
+ * @param {Object} [counts={}] - Contadores de la semana (created, alreadyPresent)
+ * @returns {Object} Entrada del historial
+ */
+function entry(runId, finishedAt, counts = {}) {
+  return {
+    runId,
+    finishedAt,
+    success: true,
+    weeks: ['2026-W44'],
+    weekResults: [{ week: '2026-W44', created: 3, alreadyPresent: 0, failed: 0, transformErrors: 0, ...counts }],
+  };
+}
+
+/**
+ * Rollback registrado en el manifiesto de una ejecución
+ * @param {string} at - Momento del rollback (ISO)
+ * @param {Object} week - Páginas de 2026-W44 ({ removed, kept })
+ * @returns {Object} Rollback (ver loadRolledBackWeeks)
+ */
+function rollback(at, week) {
+  return { at, weeks: new Map([['2026-W44', week]]) };
+}
+
+describe('getWeekCoverage', () => {
+  it('marca como completa una semana generada sin errores', () => {
+    const [week] = getWeekCoverage([entry('a', '2026-10-19T18:00:00Z')], lastWeekStart, 1);
+
+    assert.deepEqual(week, { week: '2026-W44', status: 'complete', runId: 'a', rolledBack: false });
+  });
+
+  it('vuelve a sin generar si se deshizo la ejecución que la creó', () => {
+    const rolledBack = new Map([['a', rollback('2026-10-20T08:00:00Z', { removed: 3, kept: 0 })]]);
+    const [week] = getWeekCoverage([entry('a', '2026-10-19T18:00:00Z')], lastWeekStart, 1, rolledBack);
+
+    assert.equal(week.status, 'missing');
+    assert.equal(week.rolledBack, true);
+  });
+
+  it('queda parcial si el rollback dejó páginas o ya había eventos de antes', () => {
+    const kept = new Map([['a', rollback('2026-10-20T08:00:00Z', { removed: 2, kept: 1 })]]);
+    const removed = new Map([['a', rollback('2026-10-20T08:00:00Z', { removed: 3, kept: 0 })]]);
+
+    assert.equal(getWeekCoverage([entry('a', '2026-10-19T18:00:00Z')], lastWeekStart, 1, kept)[0].status, 'partial');
+    assert.equal(
+      getWeekCoverage([entry('a', '2026-10-19T18:00:00Z', { alreadyPresent: 2 })], lastWeekStart, 1, removed)[0].status,
+      'partial'
+    );
+  });
+
+  it('queda parcial si después de la última ejecución se deshizo una anterior', () => {
+    const entries = [entry('b', '2026-10-19T19:00:00Z', { created: 0, alreadyPresent: 3 }), entry('a', '2026-10-19T18:00:00Z')];
+    const rolledBack = new Map([['a', rollback('2026-10-20T08:00:00Z', { removed: 3, kept: 0 })]]);
+
+    assert.deepEqual(getWeekCoverage(entries, lastWeekStart, 1, rolledBack)[0], {
+      week: '2026-W44', status: 'partial', runId: 'b', rolledBack: true,
+    });
+  });
+
+  it('ignora un rollback anterior a la ejecución que volvió a generar la semana', () => {
+    const entries = [entry('b', '2026-10-21T18:00:00Z'), entry('a', '2026-10-19T18:00:00Z')];
+    const rolledBack = new Map([['a', rollback('2026-10-20T08:00:00Z', { removed: 3, kept: 0 })]]);
+
+    assert.equal(getWeekCoverage(entries, lastWeekStart, 1, rolledBack)[0].status, 'complete');
+  });
+});
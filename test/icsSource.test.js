@@ -0,0 +1,120 @@
+import './setup.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { format } from 'date-fns';
+import { createIcsSource } from '../src/services/templateSources/icsSource.js';
+import { parseRecurrence, getOccurrencesInWeek } from '../src/utils/recurrence.js';
+
+/**
+ * Calendario de prueba; TIMEZONE es America/Bogota (ver setup.js)
+ */
+const calendar = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  // Martes 02:00 UTC es lunes 21:00 en Bogotá
+  'BEGIN:VEVENT',
+  'UID:utc-weekly',
+  'SUMMARY:Lectura',
+  'DTSTART:20261027T020000Z',
+  'DTEND:20261027T030000Z',
+  'RRULE:FREQ=WEEKLY;BYDAY=TU',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:monthly',
+  'SUMMARY:Revisión',
+  'DTSTART;TZID=America/Bogota:20261102T070000',
+  'DURATION:PT30M',
+  'RRULE:FREQ=MONTHLY;BYDAY=1MO,-1FR',
+  'END:VEVENT',
+  // UNTIL en UTC: 2026-11-11 04:59Z es el 10 de noviembre en Bogotá
+  'BEGIN:VEVENT',
+  'UID:until',
+  'SUMMARY:Natación',
+  'DTSTART;TZID=America/Bogota:20261014T180000',
+  'DTEND;TZID=America/Bogota:20261014T190000',
+  'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=WE;UNTIL=20261111T045959Z',
+  'EXDATE;TZID=America/Bogota:20261028T180000',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:until',
+  'SUMMARY:Natación (movida)',
+  'RECURRENCE-ID;TZID=America/Bogota:20261028T180000',
+  'DTSTART;TZID=America/Bogota:20261029T180000',
+  'DTEND;TZID=America/Bogota:20261029T190000',
+  'END:VEVENT',
+  // Con posición en el mes el cambio de día de UTC no se puede traducir
+  'BEGIN:VEVENT',
+  'UID:utc-monthly',
+  'SUMMARY:Pagos',
+  'DTSTART:20261103T020000Z',
+  'RRULE:FREQ=MONTHLY;BYDAY=1TU',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+/**
+ * Días de una semana en los que ocurre una tarea importada, como yyyy-MM-dd
+ * @param {Object} task - Tarea de plantilla
+ * @param {string} weekStart - Lunes de la semana (yyyy-MM-dd)
+ * @returns {string[]} Fechas en las que ocurre
+ */
+function occurrences(task, weekStart) {
+  const [year, month, day] = weekStart.split('-').map(Number);
+  return getOccurrencesInWeek(parseRecurrence(task.recurrence), new Date(year, month - 1, day), task.day)
+    .map(date => format(date, 'yyyy-MM-dd'));
+}
+
+describe('fuente de plantilla .ics', () => {
+  let directory;
+  let tasks;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'ics-source-'));
+    const filePath = join(directory, 'rutina.ics');
+    await writeFile(filePath, calendar);
+    tasks = await createIcsSource(filePath).getTemplateTasks();
+  });
+
+  after(() => rm(directory, { recursive: true, force: true }));
+
+  const task = id => tasks.find(item => item.id === id);
+
+  it('omite las modificaciones de una fecha y las reglas que no se pueden traducir', () => {
+    assert.deepEqual(tasks.map(item => item.name), ['Lectura', 'Revisión', 'Natación']);
+  });
+
+  it('mueve BYDAY con el día local de un inicio en UTC', () => {
+    const reading = task('utc-weekly');
+
+    assert.equal(reading.day, 'Monday');
+    assert.equal(reading.time, '21:00');
+    assert.equal(reading.timezone, null);
+    assert.equal(reading.recurrence, 'FREQ=WEEKLY;BYDAY=MO;DTSTART=2026-10-26');
+    assert.deepEqual(occurrences(reading, '2026-10-19'), []);
+    assert.deepEqual(occurrences(reading, '2026-10-26'), ['2026-10-26']);
+  });
+
+  it('conserva la posición de cada día de BYDAY', () => {
+    const review = task('monthly');
+
+    assert.equal(review.day, 'Monday, Friday');
+    assert.equal(review.duration, 30);
+    assert.equal(review.recurrence, 'FREQ=MONTHLY;BYDAY=1MO,-1FR;DTSTART=2026-11-02');
+    assert.deepEqual(occurrences(review, '2026-11-02'), ['2026-11-02']);
+    assert.deepEqual(occurrences(review, '2026-11-23'), ['2026-11-27']);
+  });
+
+  it('evalúa DTSTART y UNTIL en cada semana objetivo', () => {
+    const swimming = task('until');
+
+    assert.equal(swimming.recurrence, 'FREQ=WEEKLY;INTERVAL=2;BYDAY=WE;DTSTART=2026-10-14;UNTIL=2026-11-10');
+    assert.deepEqual(occurrences(swimming, '2026-09-28'), []);
+    assert.deepEqual(occurrences(swimming, '2026-10-12'), ['2026-10-14']);
+    assert.deepEqual(occurrences(swimming, '2026-10-19'), []);
+    assert.deepEqual(occurrences(swimming, '2026-10-26'), ['2026-10-28']);
+    assert.deepEqual(occurrences(swimming, '2026-11-09'), []);
+  });
+});
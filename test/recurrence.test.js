@@ -0,0 +1,98 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { format } from 'date-fns';
+import { parseRecurrence, getOccurrencesInWeek } from '../src/utils/recurrence.js';
+
+/**
+ * Días de una semana en los que ocurre una regla, como yyyy-MM-dd
+ * @param {string} text - Regla de recurrencia
+ * @param {string} weekStart - Lunes de la semana (yyyy-MM-dd)
+ * @param {string} [defaultDay] - Día de la fila
+ * @returns {string[]} Fechas en las que ocurre
+ */
+function occurrences(text, weekStart, defaultDay) {
+  const [year, month, day] = weekStart.split('-').map(Number);
+  return getOccurrencesInWeek(parseRecurrence(text), new Date(year, month - 1, day), defaultDay)
+    .map(date => format(date, 'yyyy-MM-dd'));
+}
+
+describe('posiciones en el mes por día', () => {
+  it('FREQ=MONTHLY;BYDAY=1MO,-1SU no toma el primer domingo (semana 2026-11-30)', () => {
+    // 11-30 es el último lunes de noviembre; 12-06 es el primer domingo de diciembre, no el último
+    assert.deepEqual(occurrences('FREQ=MONTHLY;BYDAY=1MO,-1SU', '2026-11-30'), []);
+  });
+
+  it('FREQ=MONTHLY;BYDAY=1MO,-1SU no toma el último lunes (semana 2026-10-26)', () => {
+    // 10-26 es el último lunes de octubre, no el primero; 11-01 es el primer domingo, no el último
+    assert.deepEqual(occurrences('FREQ=MONTHLY;BYDAY=1MO,-1SU', '2026-10-26'), []);
+  });
+
+  it('FREQ=MONTHLY;BYDAY=1MO,-1SU toma cada día en su posición', () => {
+    assert.deepEqual(occurrences('FREQ=MONTHLY;BYDAY=1MO,-1SU', '2026-11-02'), ['2026-11-02']);
+    assert.deepEqual(occurrences('FREQ=MONTHLY;BYDAY=1MO,-1SU', '2026-11-23'), ['2026-11-29']);
+  });
+
+  it('"first monday and last friday of the month" no toma el primer viernes (semana 2026-11-02)', () => {
+    assert.deepEqual(occurrences('first monday and last friday of the month', '2026-11-02'), ['2026-11-02']);
+    assert.deepEqual(occurrences('first monday and last friday of the month', '2026-11-23'), ['2026-11-27']);
+  });
+
+  it('una posición compartida aplica al día que la sigue', () => {
+    assert.deepEqual(occurrences('first and third tuesday of the month', '2026-11-02'), ['2026-11-03']);
+    assert.deepEqual(occurrences('first and third tuesday of the month', '2026-11-16'), ['2026-11-17']);
+    assert.deepEqual(occurrences('first and third tuesday of the month', '2026-11-09'), []);
+    assert.deepEqual(occurrences('último domingo del mes', '2026-10-26'), []);
+    assert.deepEqual(occurrences('último domingo del mes', '2026-11-23'), ['2026-11-29']);
+  });
+
+  it('rechaza reglas mensuales con días sin posición', () => {
+    for (const text of [
+      'FREQ=MONTHLY;BYDAY=FR',
+      'FREQ=MONTHLY;BYDAY=1MO,FR',
+      'monthly on friday',
+      'first monday and friday of the month',
+      'monday of the first',
+    ]) {
+      assert.throws(() => parseRecurrence(text), { name: 'ValidationError' }, text);
+    }
+  });
+
+  it('rechaza posiciones en FREQ=WEEKLY', () => {
+    assert.throws(() => parseRecurrence('FREQ=WEEKLY;BYDAY=1MO'), { name: 'ValidationError' });
+  });
+});
+
+describe('intervalos y paridad', () => {
+  it('"every second week on monday" es cada 2 semanas desde la fecha de inicio', () => {
+    assert.deepEqual(occurrences('every second week on monday from 2026-10-19', '2026-10-19'), ['2026-10-19']);
+    assert.deepEqual(occurrences('every second week on monday from 2026-10-19', '2026-10-26'), []);
+    assert.deepEqual(occurrences('every second week on monday from 2026-10-19', '2026-11-02'), ['2026-11-02']);
+  });
+
+  it('FREQ=WEEKLY;INTERVAL=2 cuenta desde DTSTART y no ocurre antes', () => {
+    const rule = 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR;DTSTART=2026-10-30';
+    assert.deepEqual(occurrences(rule, '2026-10-12'), []);
+    assert.deepEqual(occurrences(rule, '2026-10-26'), ['2026-10-30']);
+    assert.deepEqual(occurrences(rule, '2026-11-02'), []);
+    assert.deepEqual(occurrences(rule, '2026-11-09'), ['2026-11-13']);
+  });
+
+  it('UNTIL limita las fechas, inclusive', () => {
+    const rule = 'FREQ=WEEKLY;BYDAY=MO,FR;DTSTART=2026-10-21;UNTIL=20261102';
+    assert.deepEqual(occurrences(rule, '2026-10-19'), ['2026-10-23']);
+    assert.deepEqual(occurrences(rule, '2026-11-02'), ['2026-11-02']);
+    assert.deepEqual(occurrences(rule, '2026-11-09'), []);
+    assert.throws(() => parseRecurrence('FREQ=WEEKLY;BYDAY=MO;DTSTART=2026-11-02;UNTIL=2026-10-26'), { name: 'ValidationError' });
+  });
+
+  it('WEEKPARITY filtra por semana ISO', () => {
+    // 2026-10-26 es la semana ISO 44
+    assert.deepEqual(occurrences('FREQ=WEEKLY;BYDAY=MO;WEEKPARITY=EVEN', '2026-10-26'), ['2026-10-26']);
+    assert.deepEqual(occurrences('FREQ=WEEKLY;BYDAY=MO;WEEKPARITY=ODD', '2026-10-26'), []);
+  });
+
+  it('usa el día de la fila si la regla no nombra días', () => {
+    assert.deepEqual(occurrences('every other week from 2026-10-26', '2026-10-26', 'Weekend'), ['2026-10-31', '2026-11-01']);
+  });
+});
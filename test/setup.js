@@ -0,0 +1,15 @@
+/**
+ * Preparación común de las pruebas
+ * La configuración se valida al importarla, así que las variables de entorno se fijan
+ * aquí antes de que cualquier prueba importe un módulo de src/ (importar este archivo primero)
+ */
+
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+process.env.NOTION_API_KEY = 'secret_test';
+process.env.TEMPLATE_DB_ID = 'template-db-test';
+process.env.CALENDAR_DB_ID = 'calendar-db-test';
+process.env.TIMEZONE = 'America/Bogota';
+process.env.LOG_LEVEL = 'error';
+process.env.LOG_DIR = join(tmpdir(), 'auto-notion-scheduler-test-logs');